@@ -0,0 +1,154 @@
+/**
+ * Concept Manifest
+ *
+ * The one list of concepts in the playground. The home page grid, the page
+ * headers and breadcrumbs, the previous/next links and the example button
+ * containers of each concept page are all generated from it, in this order.
+ * Adding or reordering a concept only touches this file:
+ *
+ * {
+ *     id: 'promises',                 // route, #/promises
+ *     icon: '🎯',
+ *     title: 'Promises',              // card, header, breadcrumb and document title
+ *     description: 'Advanced ...',    // card and header
+ *     modules: [                      // concept modules shown on the page, in js/concepts/
+ *         { file: 'promises.js', section: 'promises' } // section the module registers its examples under
+ *     ],
+ *     eventLoop: true                 // optional: show the event loop simulator on the page
+ * }
+ */
+
+const CONCEPTS = [
+    {
+        id: 'variables',
+        icon: '📊',
+        title: 'Variables & Data Types',
+        description: 'Learn about let, const, var and different data types in JavaScript',
+        modules: [{ file: 'variables.js', section: 'variables' }]
+    },
+    {
+        id: 'functions',
+        icon: '⚡',
+        title: 'Functions',
+        description: 'Explore function declarations, expressions, arrow functions and more',
+        modules: [{ file: 'functions.js', section: 'functions' }]
+    },
+    {
+        id: 'arrays',
+        icon: '📚',
+        title: 'Arrays & Objects',
+        description: 'Master array methods and object manipulation techniques',
+        modules: [{ file: 'arrays.js', section: 'arrays' }]
+    },
+    {
+        id: 'async',
+        icon: '⏱️',
+        title: 'Async & Promises',
+        description: 'Understand asynchronous programming, callbacks, and promises',
+        modules: [{ file: 'async.js', section: 'async' }],
+        eventLoop: true
+    },
+    {
+        id: 'dom',
+        icon: '🎨',
+        title: 'DOM Manipulation',
+        description: 'Learn how to interact with and modify web page elements',
+        modules: [{ file: 'dom.js', section: 'dom' }]
+    },
+    {
+        id: 'closures',
+        icon: '🔒',
+        title: 'Closures',
+        description: 'Deep dive into closures and lexical scope in JavaScript',
+        modules: [{ file: 'closures.js', section: 'closures' }]
+    },
+    {
+        id: 'promises',
+        icon: '🎯',
+        title: 'Promises',
+        description: 'Advanced promise patterns, chaining, and error handling',
+        modules: [{ file: 'promises.js', section: 'promises' }],
+        eventLoop: true
+    },
+    {
+        id: 'modern-module-pattern',
+        icon: '🏗️',
+        title: 'Modern Module Pattern',
+        description: 'Explore modern JavaScript module patterns with WeakMap',
+        modules: [
+            { file: 'modern-module-pattern.js', section: 'modern-module-pattern' },
+            { file: 'module-without-weakmap.js', section: 'module-without-weakmap' }
+        ]
+    }
+];
+
+/**
+ * Check the manifest, so a typo fails on load instead of rendering a broken page
+ * @param {Array} concepts - Manifest entries
+ * @throws {Error} If an entry is incomplete or an id or section is used twice
+ */
+function validateConcepts(concepts) {
+    const ids = new Set();
+    const sections = new Set();
+    concepts.forEach(concept => {
+        const { id, title, modules } = concept;
+        if (!id || !/^[\w-]+$/.test(id)) {
+            throw new Error(`Concept id "${id}" must be a non-empty route segment`);
+        }
+        if (ids.has(id)) {
+            throw new Error(`Concept "${id}" is listed twice`);
+        }
+        ids.add(id);
+        if (!title) {
+            throw new Error(`Concept "${id}" needs a title`);
+        }
+        if (!Array.isArray(modules) || modules.length === 0) {
+            throw new Error(`Concept "${id}" needs at least one module`);
+        }
+        modules.forEach(({ file, section }) => {
+            if (!file || !section) {
+                throw new Error(`Modules of concept "${id}" need a file and a section`);
+            }
+            if (sections.has(section)) {
+                throw new Error(`Section "${section}" is used by more than one concept module`);
+            }
+            sections.add(section);
+        });
+    });
+}
+
+validateConcepts(CONCEPTS);
+
+/**
+ * Find a concept by id
+ * @param {string} id - Concept id, like 'promises'
+ * @returns {Object|undefined} The concept
+ */
+function findConcept(id) {
+    return CONCEPTS.find(concept => concept.id === id);
+}
+
+/**
+ * The concepts before and after one, in manifest order
+ * @param {string} id - Concept id
+ * @returns {Object} { previous, next }; either is null at the ends
+ */
+function getAdjacentConcepts(id) {
+    const index = CONCEPTS.findIndex(concept => concept.id === id);
+    return {
+        previous: index > 0 ? CONCEPTS[index - 1] : null,
+        next: index !== -1 && index < CONCEPTS.length - 1 ? CONCEPTS[index + 1] : null
+    };
+}
+
+/**
+ * Link to a concept page, or to one of its examples
+ * @param {Object} concept - Manifest entry
+ * @param {string} exampleId - Optional example id
+ * @returns {string} Hash link, like '#/promises/fetch-user-data'
+ */
+function conceptLink(concept, exampleId = null) {
+    return exampleId ? `#/${concept.id}/${encodeURIComponent(exampleId)}` : `#/${concept.id}`;
+}
+
+export { CONCEPTS, findConcept, getAdjacentConcepts, conceptLink, validateConcepts };
@@ -1,4 +1,6 @@
 // Arrays and Objects Examples
+import { registerExample } from '../utils/example-registry.js';
+
 export function arraysExample() {
     let output = '=== ARRAYS & OBJECTS ===\n\n';
     
@@ -132,3 +134,11 @@ export function arraysExample() {
     return output;
 }
 
+registerExample({
+    id: 'arrays',
+    title: 'Arrays Example',
+    label: 'Run Arrays Example',
+    section: 'arrays',
+    tags: ['basics'],
+    run: () => arraysExample()
+});
@@ -1,5 +1,16 @@
 // Async Programming Examples
-export async function asyncExample() {
+import { logger } from '../utils/logger.js';
+import { registerExample } from '../utils/example-registry.js';
+import { RunContext } from '../utils/run-context.js';
+
+// Used when the example is called without the run logger of an example run
+const asyncLog = logger.child({ section: 'async' });
+
+export async function asyncExample(log = asyncLog, run = new RunContext(log)) {
+    // Timers, random() and now() go through the run, so a cancelled run stops
+    // where it is and a deterministic run gives the same output every time;
+    // its Promise shows the promises in the promise timeline
+    const { setTimeout, random, now, Promise } = run;
     let output = '=== ASYNC & PROMISES ===\n\n';
     
     // 1. Callbacks (old way)
@@ -95,8 +106,11 @@ export async function asyncExample() {
     }
     
     try {
-        const user = await fetchUserData(1);
-        const posts = await fetchUserPosts(1);
+        // Each await waits for the previous call (see the waterfall in the log viewer)
+        const { user, posts } = await log.trace('Sequential fetch', async span => ({
+            user: await span.trace('fetchUserData(1)', () => fetchUserData(1)),
+            posts: await span.trace('fetchUserPosts(1)', () => fetchUserPosts(1))
+        }));
         
         output += `   User: ${JSON.stringify(user)}\n`;
         output += `   Posts: ${JSON.stringify(posts)}\n`;
@@ -108,17 +122,17 @@ export async function asyncExample() {
     output += '\n5. Parallel Execution:\n';
     
     try {
-        const startTime = Date.now();
+        const started = now();
         
-        const [user1, user2] = await Promise.all([
-            fetchUserData(1),
-            fetchUserData(2)
-        ]);
+        // Both calls start at once; the span ends even if one of them fails
+        const [user1, user2] = await log.trace('Parallel fetch', span => Promise.all([
+            span.trace('fetchUserData(1)', () => fetchUserData(1)),
+            span.trace('fetchUserData(2)', () => fetchUserData(2))
+        ]));
         
-        const endTime = Date.now();
-        const duration = endTime - startTime;
+        const duration = now() - started;
         
-        output += `   Parallel fetch duration: ${duration}ms\n`;
+        output += `   Parallel fetch duration: ${Math.round(duration)}ms\n`;
         output += `   User 1: ${user1.name}\n`;
         output += `   User 2: ${user2.name}\n`;
     } catch (error) {
@@ -129,8 +143,7 @@ export async function asyncExample() {
     output += '\n6. Error Handling:\n';
     
     async function riskyOperation() {
-        const random = Math.random();
-        if (random < 0.5) {
+        if (random() < 0.5) {
             throw new Error('Random failure occurred');
         }
         return 'Operation succeeded';
@@ -170,3 +183,12 @@ export async function asyncExample() {
     return output;
 }
 
+registerExample({
+    id: 'async',
+    title: 'Async Example',
+    label: 'Run Async Example',
+    section: 'async',
+    async: true,
+    tags: ['async'],
+    run: context => asyncExample(context.log, context)
+});
@@ -5,7 +5,13 @@
  * even after the outer function has returned. This is a powerful feature of JavaScript.
  */
 
-export function closuresExample() {
+import { registerExample } from '../utils/example-registry.js';
+import { RunContext } from '../utils/run-context.js';
+
+export function closuresExample(run = new RunContext()) {
+    // Timers go through the run, so stopping it clears the pitfall timers below
+    // (Date is fixed in deterministic mode)
+    const { setTimeout, Date } = run;
     console.log('=== JavaScript Closures - Use Cases ===\n');
 
 // ============================================================================
@@ -355,3 +361,12 @@ setTimeout(() => {
     
     return 'Closures examples completed! Check the console for detailed output.';
 }
+
+registerExample({
+    id: 'closures',
+    title: 'Closures Example',
+    label: 'Run Closures Example',
+    section: 'closures',
+    tags: ['functions'],
+    run: context => closuresExample(context)
+});
@@ -1,4 +1,6 @@
 // DOM Manipulation Examples
+import { registerExample } from '../utils/example-registry.js';
+
 export function domExample() {
     let output = '=== DOM MANIPULATION ===\n\n';
     
@@ -187,3 +189,14 @@ export function domExample() {
     return output;
 }
 
+registerExample({
+    id: 'dom',
+    title: 'DOM Example',
+    label: 'Run DOM Example',
+    section: 'dom',
+    tags: ['dom'],
+    // Runs against the sandbox's fixture instead of changing the page
+    sandbox: true,
+    module: 'dom.js',
+    run: () => domExample()
+});
@@ -1,4 +1,6 @@
 // Functions Examples
+import { registerExample } from '../utils/example-registry.js';
+
 export function functionsExample() {
     let output = '=== FUNCTIONS ===\n\n';
     
@@ -99,3 +101,11 @@ export function functionsExample() {
     return output;
 }
 
+registerExample({
+    id: 'functions',
+    title: 'Functions Example',
+    label: 'Run Functions Example',
+    section: 'functions',
+    tags: ['basics'],
+    run: () => functionsExample()
+});
@@ -11,7 +11,17 @@
  * - Works with any object as a key
  */
 
-export function modernModulePatternExample() {
+import { logger } from '../utils/logger.js';
+import { registerExample } from '../utils/example-registry.js';
+import { RunContext, ignoreAbort } from '../utils/run-context.js';
+
+// Used when the example is called without the run logger of an example run
+const modulePatternLog = logger.child({ section: 'modern-module-pattern' });
+
+export function modernModulePatternExample(log = modulePatternLog, run = new RunContext(log)) {
+    // Timers go through the run, so stopping it ends the APIClient request loop below
+    // (Date is fixed in deterministic mode, and moves with the virtual clock)
+    const { setTimeout, delay, Date } = run;
     console.log('=== Modern Module Pattern with WeakMap ===\n');
 
     // ============================================================================
@@ -181,6 +191,8 @@ export function modernModulePatternExample() {
     console.log('User 1 email:', user1.getEmail());
     console.log('Password verification (correct):', user1.verifyPassword('secret123')); // true
     console.log('Password verification (wrong):', user1.verifyPassword('wrong')); // false
+    // The password is masked by the logger's redaction rules before the entry is stored
+    log.debug('Login attempt failed', { email: user1.getEmail(), password: 'wrong', attempts: user1.getLoginAttempts() });
     console.log('Login attempts:', user1.getLoginAttempts());
     console.log('Last login:', user1.getLastLogin());
 
@@ -303,6 +315,12 @@ export function modernModulePatternExample() {
 
     console.log('Account 1 balance after transactions:', account1.getBalance());
     console.log('Account 1 transaction count:', account1.getTransactionHistory().length);
+    // Account number and balances are redacted in the log viewer, storage and exports
+    log.info('Account 1 statement', {
+        accountNumber: account1.getAccountNumber(),
+        balance: account1.getBalance(),
+        transactions: account1.getTransactionHistory()
+    });
 
     // Private data is truly inaccessible
     console.log('Direct balance access:', account1.balance); // undefined
@@ -666,8 +684,10 @@ export function modernModulePatternExample() {
             const url = `${data.baseURL}${endpoint}`;
 
             // Wait if rate limit exceeded
+            // The logger collapses the repeated "waiting" entries into one with a repeat count
             while (!this._canMakeRequest()) {
-                await new Promise(resolve => setTimeout(resolve, 100));
+                log.debug('Rate limit reached, waiting', { endpoint });
+                await delay(100); // Rejects if the run is cancelled
             }
 
             this._recordRequest(endpoint);
@@ -701,9 +721,9 @@ export function modernModulePatternExample() {
 
     // Simulate multiple requests
     console.log('Making multiple API requests:');
-    apiClient.request('/users').then(res => console.log('  Response:', res.data));
-    apiClient.request('/posts').then(res => console.log('  Response:', res.data));
-    apiClient.request('/comments').then(res => console.log('  Response:', res.data));
+    apiClient.request('/users').then(res => console.log('  Response:', res.data)).catch(ignoreAbort);
+    apiClient.request('/posts').then(res => console.log('  Response:', res.data)).catch(ignoreAbort);
+    apiClient.request('/comments').then(res => console.log('  Response:', res.data)).catch(ignoreAbort);
 
     setTimeout(() => {
         console.log('API Client stats:', apiClient.getStats());
@@ -716,3 +736,11 @@ export function modernModulePatternExample() {
     return 'Modern Module Pattern examples completed! Check the console for detailed output.';
 }
 
+registerExample({
+    id: 'modern-module-pattern',
+    title: 'Modern Module Pattern Example',
+    label: 'Run Modern Module Pattern Example',
+    section: 'modern-module-pattern',
+    tags: ['modules'],
+    run: context => modernModulePatternExample(context.log, context)
+});
@@ -12,6 +12,8 @@
  * - Manual cleanup required
  */
 
+import { registerExample } from '../utils/example-registry.js';
+
 export function moduleWithoutWeakMapExample() {
     console.log('=== Module Pattern WITHOUT WeakMap - Problems Demonstrated ===\n');
 
@@ -552,3 +554,11 @@ export function moduleWithoutWeakMapExample() {
     return 'Module Pattern WITHOUT WeakMap examples completed! Check the console to see the problems.';
 }
 
+registerExample({
+    id: 'module-without-weakmap',
+    title: 'Module Without WeakMap Example',
+    label: 'Run WITHOUT WeakMap (See Problems)',
+    section: 'module-without-weakmap',
+    tags: ['modules'],
+    run: () => moduleWithoutWeakMapExample()
+});
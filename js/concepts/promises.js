@@ -6,12 +6,22 @@
  */
 
 import { logger } from '../utils/logger.js';
-
-// Make API functions available globally immediately
-window.fetchUserData = function () {
-  logger.info("Fetching user data from JSONPlaceholder API", "promises");
-
-  return fetch("https://jsonplaceholder.typicode.com/users/1")
+import { registerExample } from '../utils/example-registry.js';
+import { RunContext, isAbortError, ignoreAbort } from '../utils/run-context.js';
+import { apiUrl } from '../utils/api-config.js';
+
+// Used when a function is called without the run logger of an example run
+const promisesLog = logger.child({ section: "promises" });
+
+// Functions take the RunContext of an example run as well, and shadow the
+// fetch/setTimeout globals with its helpers so Stop tears their work down.
+// The run's Promise (and the promises its fetch/delay return) show up in the
+// promise timeline
+export function fetchUserData(log = promisesLog, run = new RunContext(log)) {
+  const { fetch } = run;
+  log.info("Fetching user data from JSONPlaceholder API");
+
+  return fetch(apiUrl("jsonplaceholder", "/users/1"))
     .then((response) => {
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -19,7 +29,7 @@ window.fetchUserData = function () {
       return response.json();
     })
     .then((userData) => {
-      logger.info("User data fetched successfully", "promises", {
+      log.info("User data fetched successfully", {
         userId: userData.id,
         name: userData.name,
       });
@@ -27,34 +37,39 @@ window.fetchUserData = function () {
       return userData;
     })
     .catch((error) => {
-      logger.error("Failed to fetch user data", "promises", {
+      log.error("Failed to fetch user data", {
         error: error.message,
       });
       console.error("Error fetching user data:", error.message);
       throw error;
     });
-};
+}
 
-window.promiseReturningValue = function() {
-  new Promise((resolve) => {
+export function promiseReturningValue(log = promisesLog, run = new RunContext(log)) {
+  const { Promise } = run;
+  return new Promise((resolve) => {
     resolve("Hello from promise");
   }).then(result => {
-    logger.info("result from then", "promises", { result });
-  })
+    log.info("result from then", { result });
+    return result;
+  });
 }
 
 // here we are returning a promise from a promise instead of a value
-window.promiseReturningPromise = function() {
-  new Promise((resolve) => {
+export function promiseReturningPromise(log = promisesLog, run = new RunContext(log)) {
+  const { Promise } = run;
+  return new Promise((resolve) => {
     resolve(new Promise((resolve) => resolve("Hello from inner promise")));
       // this is the inner promise
   }).then(result => {
-    logger.info("result from then", "promises", { result });
-  })
-};
+    log.info("result from then", { result });
+    return result;
+  });
+}
 
-window.promiseThenReturnsPromise = function() {
-  new Promise(resolve => {
+export function promiseThenReturnsPromise(log = promisesLog, run = new RunContext(log)) {
+  const { Promise } = run;
+  return new Promise(resolve => {
     resolve("Hello from promise");
   }).then(result => {
     return new Promise(resolve => {
@@ -62,8 +77,9 @@ window.promiseThenReturnsPromise = function() {
     });
   }).then(result => {
     console.log("result from then", result);
-    logger.info("result from then", "promises", { result });
-  })
+    log.info("result from then", { result });
+    return result;
+  });
 }
 // window.fetchUserData = async function() {
 //   try {
@@ -111,19 +127,20 @@ window.promiseThenReturnsPromise = function() {
 //     console.log(posts); // logs ['post 1 for 123', 'post 2 for 123']
 //   });
 
-window.fetchMultipleData = async function() {
+export async function fetchMultipleData(log = promisesLog, run = new RunContext(log)) {
+  const { fetch, Promise } = run;
   try {
-    logger.info("Fetching multiple data sources in parallel", "promises");
+    log.info("Fetching multiple data sources in parallel");
 
     const [userData, catFact, quote] = await Promise.all([
-      fetch("https://jsonplaceholder.typicode.com/posts/1").then((res) =>
+      fetch(apiUrl("jsonplaceholder", "/posts/1")).then((res) =>
         res.json()
       ),
-      fetch("https://catfact.ninja/fact").then((res) => res.json()),
-      fetch("https://api.quotable.io/random").then((res) => res.json()),
+      fetch(apiUrl("catfact", "/fact")).then((res) => res.json()),
+      fetch(apiUrl("quotable", "/random")).then((res) => res.json()),
     ]);
 
-    logger.info("All parallel API calls completed successfully", "promises", {
+    log.info("All parallel API calls completed successfully", {
       userPost: userData.title,
       catFactLength: catFact.fact.length,
       quoteAuthor: quote.author,
@@ -135,28 +152,29 @@ window.fetchMultipleData = async function() {
 
     return { userData, catFact, quote };
   } catch (error) {
-    logger.error("One or more parallel API calls failed", "promises", {
+    log.error("One or more parallel API calls failed", {
       error: error.message,
     });
     console.error("Error in parallel API calls:", error.message);
     throw error;
   }
-};
+}
 
-window.chainAPICalls = async function() {
+export async function chainAPICalls(log = promisesLog, run = new RunContext(log)) {
+  const { fetch } = run;
   try {
-    logger.info("Starting chained API calls", "promises");
+    log.info("Starting chained API calls");
 
     // First API call
     const userResponse = await fetch(
-      "https://jsonplaceholder.typicode.com/users/1"
+      apiUrl("jsonplaceholder", "/users/1")
     );
     const user = await userResponse.json();
     console.log("Step 1 - User fetched:", user.name);
 
     // Second API call using data from first
     const postsResponse = await fetch(
-      `https://jsonplaceholder.typicode.com/posts?userId=${user.id}`
+      apiUrl("jsonplaceholder", `/posts?userId=${user.id}`)
     );
     const posts = await postsResponse.json();
     console.log("Step 2 - User posts fetched:", posts.length, "posts");
@@ -164,7 +182,7 @@ window.chainAPICalls = async function() {
     // Third API call using data from second
     const firstPost = posts[0];
     const commentsResponse = await fetch(
-      `https://jsonplaceholder.typicode.com/posts/${firstPost.id}/comments`
+      apiUrl("jsonplaceholder", `/posts/${firstPost.id}/comments`)
     );
     const comments = await commentsResponse.json();
     console.log(
@@ -173,7 +191,7 @@ window.chainAPICalls = async function() {
       "comments"
     );
 
-    logger.info("All chained API calls completed successfully", "promises", {
+    log.info("All chained API calls completed successfully", {
       userName: user.name,
       postCount: posts.length,
       commentCount: comments.length,
@@ -181,23 +199,111 @@ window.chainAPICalls = async function() {
 
     return { user, posts, comments };
   } catch (error) {
-    logger.error("Chained API calls failed", "promises", {
+    log.error("Chained API calls failed", {
       error: error.message,
     });
     console.error("Error in chained API calls:", error.message);
     throw error;
   }
-};
+}
+
+// Retries failed requests with a growing delay; the network panel's "Flaky"
+// profile or an error rule for the URL shows the retries
+export async function fetchWithRetry(url, maxRetries = 3, delay = 1000, log = promisesLog, run = new RunContext(log)) {
+  const { fetch } = run;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      log.info(`API call attempt ${attempt}/${maxRetries}`, { url });
+
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      log.info(`API call successful on attempt ${attempt}`, { url, attempts: attempt });
+      console.log(`Success on attempt ${attempt}:`, data);
+      return data;
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      log.warn(`API call attempt ${attempt} failed`, {
+        url,
+        attempt,
+        error: error.message,
+      });
+      console.warn(`Attempt ${attempt} failed:`, error.message);
+
+      if (attempt === maxRetries) {
+        log.error("All retry attempts failed", {
+          url,
+          maxRetries,
+          finalError: error.message,
+        });
+        throw new Error(`Failed after ${maxRetries} attempts: ${error.message}`);
+      }
+
+      // Wait before retrying (rejects if the run is cancelled meanwhile)
+      await run.delay(delay * attempt);
+    }
+  }
+}
+
+// Races the request against a timer; the network panel's "3G" profile is
+// slower than the timeout, so the request times out
+export async function fetchWithTimeout(url, timeoutMs = 5000, log = promisesLog, run = new RunContext(log)) {
+  const { fetch, Promise } = run;
+  log.info("Making API call with timeout", { url, timeoutMs });
+
+  // Aborting the request once the timer wins frees the connection
+  const controller = new AbortController();
+  const fetchPromise = fetch(url, { signal: controller.signal }).then((response) => {
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  });
+
+  // The timer races a real request, so it stays on the real clock: a
+  // deterministic run's virtual timer would always win. It is cleared in
+  // finally, also when the run is cancelled and the request aborts
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = globalThis.setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Request timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    const data = await Promise.race([fetchPromise, timeoutPromise]);
+    log.info("API call completed within timeout", { url });
+    console.log("API call successful:", data);
+    return data;
+  } catch (error) {
+    log.error("API call failed or timed out", {
+      url,
+      error: error.message,
+    });
+    console.error("API call error:", error.message);
+    throw error;
+  } finally {
+    globalThis.clearTimeout(timer);
+    fetchPromise.catch(ignoreAbort);
+  }
+}
 
-export function promisesExample() {
-  logger.info("Starting JavaScript Promises - Complete Guide", "promises");
+export function promisesExample(log = promisesLog, run = new RunContext(log)) {
+  const { setTimeout, fetch, random, Promise } = run;
+  log.info("Starting JavaScript Promises - Complete Guide");
   console.log("=== JavaScript Promises - Complete Guide ===\n");
 
   // ============================================================================
   // 1. BASIC PROMISE CREATION AND USAGE
   // ============================================================================
 
-  logger.info("Demonstrating basic promise creation", "promises");
+  log.info("Demonstrating basic promise creation");
   console.log("1. Basic Promise Creation:");
 
   // Creating a simple promise
@@ -214,11 +320,11 @@ export function promisesExample() {
   // Using the promise
   basicPromise
     .then((result) => {
-      logger.info("Basic promise resolved", "promises", { result });
+      log.info("Basic promise resolved", { result });
       console.log("Success:", result);
     })
     .catch((error) => {
-      logger.error("Basic promise rejected", "promises", { error });
+      log.error("Basic promise rejected", { error });
       console.log("Error:", error);
     });
 
@@ -501,7 +607,7 @@ export function promisesExample() {
     return new Promise((resolve, reject) => {
       setTimeout(() => {
         if (data && data.name) {
-          resolve({ id: Math.random(), ...data });
+          resolve({ id: random(), ...data });
         } else {
           reject(new Error("Invalid data"));
         }
@@ -536,7 +642,7 @@ export function promisesExample() {
     }
   }
 
-  realWorldExample();
+  realWorldExample().catch(ignoreAbort);
 
   console.log();
 
@@ -578,7 +684,7 @@ export function promisesExample() {
   // Example usage of utilities
   const flakyOperation = () => {
     return new Promise((resolve, reject) => {
-      const success = Math.random() > 0.5; // 50% chance of success
+      const success = random() > 0.5; // 50% chance of success
       setTimeout(() => {
         if (success) {
           resolve("Operation succeeded");
@@ -591,11 +697,11 @@ export function promisesExample() {
 
   retry(flakyOperation, 3, 200)
     .then((result) => {
-      logger.info("Retry operation succeeded", "promises", { result });
+      log.info("Retry operation succeeded", { result });
       console.log("Retry success:", result);
     })
     .catch((error) => {
-      logger.error("Retry operation failed after all attempts", "promises", {
+      log.error("Retry operation failed after all attempts", {
         error: error.message,
       });
       console.log("Retry failed after all attempts:", error.message);
@@ -682,14 +788,14 @@ export function promisesExample() {
   // ============================================================================
 
   console.log("13. Real API Calls with Promises:");
-  logger.info("Demonstrating promises with real API calls", "promises");
+  log.info("Demonstrating promises with real API calls");
 
   // Example 1: Basic API call with fetch
   async function fetchUserData() {
     try {
-      logger.info("Fetching user data from JSONPlaceholder API", "promises");
+      log.info("Fetching user data from JSONPlaceholder API");
       const response = await fetch(
-        "https://jsonplaceholder.typicode.com/users/1"
+        apiUrl("jsonplaceholder", "/users/1")
       );
 
       if (!response.ok) {
@@ -697,14 +803,14 @@ export function promisesExample() {
       }
 
       const userData = await response.json();
-      logger.info("User data fetched successfully", "promises", {
+      log.info("User data fetched successfully", {
         userId: userData.id,
         name: userData.name,
       });
       console.log("User Data:", userData.name, "-", userData.email);
       return userData;
     } catch (error) {
-      logger.error("Failed to fetch user data", "promises", {
+      log.error("Failed to fetch user data", {
         error: error.message,
       });
       console.error("Error fetching user data:", error.message);
@@ -715,17 +821,17 @@ export function promisesExample() {
   // Example 2: Multiple API calls with Promise.all
   async function fetchMultipleData() {
     try {
-      logger.info("Fetching multiple data sources in parallel", "promises");
+      log.info("Fetching multiple data sources in parallel");
 
       const [userData, catFact, quote] = await Promise.all([
-        fetch("https://jsonplaceholder.typicode.com/posts/1").then((res) =>
+        fetch(apiUrl("jsonplaceholder", "/posts/1")).then((res) =>
           res.json()
         ),
-        fetch("https://catfact.ninja/fact").then((res) => res.json()),
-        fetch("https://api.quotable.io/random").then((res) => res.json()),
+        fetch(apiUrl("catfact", "/fact")).then((res) => res.json()),
+        fetch(apiUrl("quotable", "/random")).then((res) => res.json()),
       ]);
 
-      logger.info("All parallel API calls completed successfully", "promises", {
+      log.info("All parallel API calls completed successfully", {
         userPost: userData.title,
         catFactLength: catFact.fact.length,
         quoteAuthor: quote.author,
@@ -737,7 +843,7 @@ export function promisesExample() {
 
       return { userData, catFact, quote };
     } catch (error) {
-      logger.error("One or more parallel API calls failed", "promises", {
+      log.error("One or more parallel API calls failed", {
         error: error.message,
       });
       console.error("Error in parallel API calls:", error.message);
@@ -745,96 +851,24 @@ export function promisesExample() {
     }
   }
 
-  // Example 3: API call with retry logic using promises
-  async function fetchWithRetry(url, maxRetries = 3, delay = 1000) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        logger.info(`API call attempt ${attempt}/${maxRetries}`, "promises", {
-          url,
-        });
-
-        const response = await fetch(url);
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const data = await response.json();
-        logger.info(`API call successful on attempt ${attempt}`, "promises", {
-          url,
-          attempt,
-        });
-        console.log(`Success on attempt ${attempt}:`, data);
-        return data;
-      } catch (error) {
-        logger.warn(`API call attempt ${attempt} failed`, "promises", {
-          url,
-          attempt,
-          error: error.message,
-        });
-
-        if (attempt === maxRetries) {
-          logger.error("All retry attempts failed", "promises", {
-            url,
-            maxRetries,
-            finalError: error.message,
-          });
-          throw new Error(
-            `Failed after ${maxRetries} attempts: ${error.message}`
-          );
-        }
-
-        // Wait before retrying using a promise
-        await new Promise((resolve) => setTimeout(resolve, delay * attempt));
-      }
-    }
-  }
-
-  // Example 4: API call with timeout using Promise.race
-  async function fetchWithTimeout(url, timeoutMs = 5000) {
-    logger.info("Making API call with timeout", "promises", { url, timeoutMs });
-
-    const fetchPromise = fetch(url).then((response) => {
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return response.json();
-    });
-
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error("Request timed out")), timeoutMs);
-    });
-
-    try {
-      const data = await Promise.race([fetchPromise, timeoutPromise]);
-      logger.info("API call completed within timeout", "promises", { url });
-      console.log("API call successful:", data);
-      return data;
-    } catch (error) {
-      logger.error("API call failed or timed out", "promises", {
-        url,
-        error: error.message,
-      });
-      console.error("API call error:", error.message);
-      throw error;
-    }
-  }
+  // Examples 3 and 4, retry logic and a timeout with Promise.race, are the
+  // exported fetchWithRetry() and fetchWithTimeout(), called with this run
 
   // Example 5: Chaining API calls with promises
   async function chainAPICalls() {
     try {
-      logger.info("Starting chained API calls", "promises");
+      log.info("Starting chained API calls");
 
       // First API call
       const userResponse = await fetch(
-        "https://jsonplaceholder.typicode.com/users/1"
+        apiUrl("jsonplaceholder", "/users/1")
       );
       const user = await userResponse.json();
       console.log("Step 1 - User fetched:", user.name);
 
       // Second API call using data from first
       const postsResponse = await fetch(
-        `https://jsonplaceholder.typicode.com/posts?userId=${user.id}`
+        apiUrl("jsonplaceholder", `/posts?userId=${user.id}`)
       );
       const posts = await postsResponse.json();
       console.log("Step 2 - User posts fetched:", posts.length, "posts");
@@ -842,7 +876,7 @@ export function promisesExample() {
       // Third API call using data from second
       const firstPost = posts[0];
       const commentsResponse = await fetch(
-        `https://jsonplaceholder.typicode.com/posts/${firstPost.id}/comments`
+        apiUrl("jsonplaceholder", `/posts/${firstPost.id}/comments`)
       );
       const comments = await commentsResponse.json();
       console.log(
@@ -851,7 +885,7 @@ export function promisesExample() {
         "comments"
       );
 
-      logger.info("All chained API calls completed successfully", "promises", {
+      log.info("All chained API calls completed successfully", {
         userName: user.name,
         postCount: posts.length,
         commentCount: comments.length,
@@ -859,7 +893,7 @@ export function promisesExample() {
 
       return { user, posts, comments };
     } catch (error) {
-      logger.error("Chained API calls failed", "promises", {
+      log.error("Chained API calls failed", {
         error: error.message,
       });
       console.error("Error in chained API calls:", error.message);
@@ -874,15 +908,15 @@ export function promisesExample() {
 
       // Basic API call
       await fetchUserData();
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // Rate limiting
+      await run.delay(1000); // Rate limiting
 
       // Parallel API calls
       await fetchMultipleData();
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+      await run.delay(1000);
 
       // Retry logic example
       try {
-        await fetchWithRetry("https://httpbin.org/status/500", 2, 500);
+        await fetchWithRetry(apiUrl("httpbin", "/status/500"), 2, 500, log, run);
       } catch (error) {
         console.log(
           "Retry example completed (expected to fail):",
@@ -893,8 +927,10 @@ export function promisesExample() {
       // Timeout example
       try {
         await fetchWithTimeout(
-          "https://jsonplaceholder.typicode.com/posts/1",
-          3000
+          apiUrl("jsonplaceholder", "/posts/1"),
+          3000,
+          log,
+          run
         );
       } catch (error) {
         console.log("Timeout example result:", error.message);
@@ -903,10 +939,14 @@ export function promisesExample() {
       // Chained API calls
       await chainAPICalls();
 
-      logger.info("All API examples with promises completed", "promises");
+      log.info("All API examples with promises completed");
       console.log("\n=== API Examples with Promises Completed ===");
     } catch (error) {
-      logger.error("Error running API examples with promises", "promises", {
+      if (isAbortError(error)) {
+        log.info("API examples with promises cancelled");
+        return;
+      }
+      log.error("Error running API examples with promises", {
         error: error.message,
       });
       console.error("Error running API examples:", error.message);
@@ -916,8 +956,99 @@ export function promisesExample() {
      // Start running the API examples
    runAPIExamples();
 
-   logger.info("Promises examples completed successfully", "promises");
+   log.info("Promises examples completed successfully");
    console.log("\n=== End of Promises Examples ===");
 
    return "Promises examples completed! Check the console and HTML logs for detailed output.";
 }
+
+registerExample({
+  id: "promises",
+  title: "Promises Example",
+  label: "Run Promises Example",
+  section: "promises",
+  tags: ["async"],
+  run: (context) => promisesExample(context.log, context),
+});
+
+registerExample({
+  id: "fetch-user-data",
+  title: "Fetch User Data",
+  section: "promises",
+  async: true,
+  tags: ["async", "network"],
+  run: (context) => fetchUserData(context.log, context),
+  format: (user) => `User Data: ${user.name} - ${user.email}`,
+});
+
+registerExample({
+  id: "fetch-multiple-data",
+  title: "Fetch Multiple Data",
+  section: "promises",
+  async: true,
+  tags: ["async", "network"],
+  run: (context) => fetchMultipleData(context.log, context),
+  format: ({ userData, catFact, quote }) =>
+    `Multiple Data: Post - ${userData.title}, Cat Fact - ${catFact.fact.substring(
+      0,
+      50
+    )}..., Quote - ${quote.content.substring(0, 50)}...`,
+});
+
+registerExample({
+  id: "chain-api-calls",
+  title: "Chain API Calls",
+  section: "promises",
+  async: true,
+  tags: ["async", "network"],
+  run: (context) => chainAPICalls(context.log, context),
+  format: ({ user, posts, comments }) =>
+    `Chained API: User - ${user.name}, Posts - ${posts.length}, Comments - ${comments.length}`,
+});
+
+registerExample({
+  id: "fetch-with-retry",
+  title: "Fetch With Retry",
+  section: "promises",
+  async: true,
+  tags: ["async", "network"],
+  run: (context) => fetchWithRetry(apiUrl("jsonplaceholder", "/posts/1"), 3, 500, context.log, context),
+  format: (post) => `Fetched "${post.title}"`,
+});
+
+registerExample({
+  id: "fetch-with-timeout",
+  title: "Fetch With Timeout",
+  section: "promises",
+  async: true,
+  tags: ["async", "network"],
+  run: (context) => fetchWithTimeout(apiUrl("jsonplaceholder", "/posts/1"), 1500, context.log, context),
+  format: (post) => `Fetched "${post.title}" within 1500ms`,
+});
+
+registerExample({
+  id: "promise-returning-promise",
+  title: "Promise Returning Promise",
+  section: "promises",
+  async: true,
+  tags: ["async"],
+  run: (context) => promiseReturningPromise(context.log, context),
+});
+
+registerExample({
+  id: "promise-then-returns-promise",
+  title: "Promise Then Returns Promise",
+  section: "promises",
+  async: true,
+  tags: ["async"],
+  run: (context) => promiseThenReturnsPromise(context.log, context),
+});
+
+registerExample({
+  id: "promise-returning-value",
+  title: "Promise Returning Value",
+  section: "promises",
+  async: true,
+  tags: ["async"],
+  run: (context) => promiseReturningValue(context.log, context),
+});
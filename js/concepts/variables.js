@@ -1,4 +1,6 @@
 // Variables and Data Types Examples
+import { registerExample } from '../utils/example-registry.js';
+
 export function variablesExample() {
     let output = '=== VARIABLES & DATA TYPES ===\n\n';
     
@@ -66,3 +68,11 @@ export function variablesExample() {
     return output;
 }
 
+registerExample({
+    id: 'variables',
+    title: 'Variables Example',
+    label: 'Run Variables Example',
+    section: 'variables',
+    tags: ['basics'],
+    run: () => variablesExample()
+});
@@ -0,0 +1,128 @@
+/**
+ * API Config Module
+ *
+ * Where the network examples send their requests: the live public APIs
+ * (jsonplaceholder, catfact.ninja, quotable and httpbin) or the offline mock
+ * API (see mock-api.js), which the Vite dev server serves under /mock-api and
+ * the page answers itself when no server does. Examples build their URLs
+ * here instead of hard-coding them:
+ *
+ * fetch(apiUrl('jsonplaceholder', '/users/1'))
+ * // live: https://jsonplaceholder.typicode.com/users/1
+ * // mock: http://localhost:3000/mock-api/users/1
+ *
+ * The mode comes from the URL (?api=mock), the footer controls or the
+ * VITE_API_MODE environment variable, in that order. Like log-span.js this
+ * module has no imports, so sandboxed examples can load a copy of it
+ */
+
+const STORAGE_KEY = 'playground-api-mode';
+const MOCK_API_BASE = '/mock-api';
+const API_MODES = ['live', 'mock'];
+
+// Base URLs of the live APIs
+const LIVE_APIS = {
+    jsonplaceholder: 'https://jsonplaceholder.typicode.com',
+    catfact: 'https://catfact.ninja',
+    quotable: 'https://api.quotable.io',
+    httpbin: 'https://httpbin.org'
+};
+
+// Live paths the mock API serves under another name; other paths are the same
+const MOCK_PATHS = {
+    catfact: { '/fact': '/facts/random' },
+    quotable: { '/random': '/quotes/random' }
+};
+
+class ApiConfig {
+    constructor() {
+        this.mode = 'live';
+        this.origin = null; // Origin of the mock API; the page's own origin when null
+    }
+
+    /**
+     * Update the settings
+     * @param {Object} options - { mode: 'live' or 'mock', origin: origin of the mock API }
+     */
+    configure(options = {}) {
+        if (options.mode !== undefined) {
+            if (!API_MODES.includes(options.mode)) {
+                throw new Error(`Unknown API mode "${options.mode}", expected ${API_MODES.join(' or ')}`);
+            }
+            this.mode = options.mode;
+        }
+        if (options.origin !== undefined) {
+            this.origin = options.origin;
+        }
+    }
+
+    /**
+     * Whether requests go to the mock API
+     * @returns {boolean} True in mock mode
+     */
+    isMock() {
+        return this.mode === 'mock';
+    }
+
+    /**
+     * Origin the mock API is served from
+     * @returns {string} Origin, like 'http://localhost:3000'
+     */
+    mockOrigin() {
+        return this.origin || globalThis.location.origin;
+    }
+
+    /**
+     * Build the URL of an API request
+     * @param {string} service - 'jsonplaceholder', 'catfact', 'quotable' or 'httpbin'
+     * @param {string} path - Path on the live API, with its query, like '/posts?userId=1'
+     * @returns {string} Absolute URL for the current mode
+     * @throws {Error} For an unknown service
+     */
+    url(service, path) {
+        if (!LIVE_APIS[service]) {
+            throw new Error(`Unknown API "${service}"`);
+        }
+        if (!this.isMock()) {
+            return `${LIVE_APIS[service]}${path}`;
+        }
+        const [pathname, query] = path.split(/(?=\?)/);
+        const mockPath = MOCK_PATHS[service]?.[pathname] || pathname;
+        return `${this.mockOrigin()}${MOCK_API_BASE}${mockPath}${query || ''}`;
+    }
+
+    /**
+     * Read the mode from the URL (?api=mock), the footer controls or VITE_API_MODE
+     * @returns {Object} { mode }
+     */
+    static requested() {
+        const param = new URLSearchParams(window.location.search).get('api');
+        const saved = localStorage.getItem(STORAGE_KEY);
+        const env = import.meta.env?.VITE_API_MODE;
+        const mode = [param, saved, env].find(value => API_MODES.includes(value));
+        return { mode: mode || 'live' };
+    }
+
+    /**
+     * Remember the mode for the next visit
+     * @param {string} mode - 'live' or 'mock'
+     */
+    static saveRequested(mode) {
+        localStorage.setItem(STORAGE_KEY, mode);
+    }
+}
+
+// Shared setting used by the network examples and the sandbox
+const apiConfig = new ApiConfig();
+
+/**
+ * Build the URL of an API request with the shared setting; see ApiConfig.url()
+ * @param {string} service - API name
+ * @param {string} path - Path on the live API
+ * @returns {string} Absolute URL
+ */
+function apiUrl(service, path) {
+    return apiConfig.url(service, path);
+}
+
+export { apiConfig, ApiConfig, apiUrl, API_MODES, LIVE_APIS, MOCK_API_BASE };
@@ -0,0 +1,311 @@
+/**
+ * Code Editor Module
+ *
+ * Shows a concept module's source in an editable, highlighted editor on its
+ * page. "Run edited" runs the selected example from the edited copy through
+ * the shared runner, so output and logs end up in the usual output box and
+ * log viewer. Edits are kept for the tab (sessionStorage).
+ *
+ * By default the copy runs in the sandbox (see sandbox.js): a fresh iframe
+ * with its own DOM fixture and a time budget, so a broken edit or an
+ * infinite loop cannot take the playground down. With "Sandbox" unchecked
+ * the copy is loaded in the page from a blob: URL instead; its registrations
+ * are collected rather than registered (see ExampleRegistry.collect()), and
+ * its relative imports are pointed at the original files, which the Vite dev
+ * server serves (`npm run dev`); a production build bundles them
+ */
+
+import { logger } from './logger.js';
+import { exampleRegistry } from './example-registry.js';
+import { runDefinition, updateOutput } from './example-runner.js';
+import { sandbox } from './sandbox.js';
+import { highlightJS } from './syntax-highlight.js';
+import { diffLines, renderDiff } from './line-diff.js';
+
+const STORAGE_PREFIX = 'playground-edited:';
+const INDENT = '    ';
+
+// Concept modules live in ../concepts/ next to this module (kept in a variable
+// so Vite does not treat new URL(..., import.meta.url) as an asset reference)
+const MODULE_URL = import.meta.url;
+
+/**
+ * URL of a concept module
+ * @param {string} file - File name, like 'async.js'
+ * @returns {string} Absolute URL
+ */
+function conceptUrl(file) {
+    return new URL(`../concepts/${file}`, MODULE_URL).href;
+}
+
+/**
+ * Point relative import specifiers at the original module's location,
+ * since a blob: URL has no base to resolve them against
+ * @param {string} source - Module source
+ * @param {string} baseUrl - URL of the original module
+ * @returns {string} Source with absolute import URLs
+ */
+function resolveImports(source, baseUrl) {
+    return source.replace(
+        /(\bfrom\s*|\bimport\s*\(?\s*)(['"])(\.{1,2}\/[^'"]+)\2/g,
+        (match, prefix, quote, specifier) => `${prefix}${quote}${new URL(specifier, baseUrl).href}${quote}`
+    );
+}
+
+/**
+ * Load an edited copy of a module and collect the examples it registers
+ * @param {string} source - Edited source
+ * @param {string} baseUrl - URL of the original module
+ * @returns {Promise<Array>} Examples the copy registered
+ */
+async function loadEditedModule(source, baseUrl) {
+    const blob = new Blob([resolveImports(source, baseUrl)], { type: 'text/javascript' });
+    const url = URL.createObjectURL(blob);
+    try {
+        return await exampleRegistry.collect(() => import(/* @vite-ignore */ url));
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+class CodeEditor {
+    /**
+     * @param {Object} options - Editor options
+     * @param {string} options.source - Original source (import it with ?raw)
+     * @param {string} options.file - File name shown in the heading, like 'async.js'
+     * @param {string} options.section - Section whose examples can be run
+     * @param {string} options.url - URL of the original module, used to resolve its imports
+     *   (defaults to the file in js/concepts/)
+     */
+    constructor({ source, file, section, url = conceptUrl(file) }) {
+        this.original = source;
+        this.file = file;
+        this.url = url;
+        this.section = section;
+        this.element = null;
+        this.renderScheduled = false;
+    }
+
+    /**
+     * Build the editor and add it to a container
+     * @param {HTMLElement} container - Element to add the editor to
+     * @returns {HTMLElement} Editor element
+     */
+    mount(container) {
+        const element = document.createElement('section');
+        element.className = 'concept-section code-editor';
+        element.innerHTML = `
+            <h2>Source: ${this.file}</h2>
+            <div class="code-editor-toolbar">
+                <select class="code-editor-example"></select>
+                <button type="button" class="code-editor-run">Run edited</button>
+                <button type="button" class="code-editor-reset">Reset to original</button>
+                <button type="button" class="code-editor-diff-toggle">Diff vs original</button>
+                <label><input type="checkbox" class="code-editor-sandbox" checked> Sandbox</label>
+                <label>Budget <input type="number" class="code-editor-budget" min="100" step="500"> ms</label>
+                <span class="code-editor-status"></span>
+            </div>
+            <div class="code-editor-body">
+                <pre class="code-editor-highlight" aria-hidden="true"><code></code></pre>
+                <textarea class="code-editor-input" spellcheck="false" autocapitalize="off" autocomplete="off"></textarea>
+            </div>
+            <div class="code-editor-diff" hidden></div>
+        `;
+        container.appendChild(element);
+        this.element = element;
+
+        this.input = element.querySelector('.code-editor-input');
+        this.highlight = element.querySelector('.code-editor-highlight');
+        this.status = element.querySelector('.code-editor-status');
+        this.diff = element.querySelector('.code-editor-diff');
+        this.exampleSelect = element.querySelector('.code-editor-example');
+        this.sandboxToggle = element.querySelector('.code-editor-sandbox');
+        this.budgetInput = element.querySelector('.code-editor-budget');
+        this.budgetInput.value = sandbox.timeBudget;
+
+        this.setExamples(exampleRegistry.list({ section: this.section }));
+        this.input.value = sessionStorage.getItem(this.storageKey()) ?? this.original;
+
+        this.input.addEventListener('input', () => this.changed());
+        this.input.addEventListener('scroll', () => {
+            this.highlight.scrollTop = this.input.scrollTop;
+            this.highlight.scrollLeft = this.input.scrollLeft;
+        });
+        this.input.addEventListener('keydown', event => this.onKeyDown(event));
+        element.querySelector('.code-editor-run').addEventListener('click', () => this.run());
+        element.querySelector('.code-editor-reset').addEventListener('click', () => this.reset());
+        element.querySelector('.code-editor-diff-toggle').addEventListener('click', () => this.toggleDiff());
+        this.sandboxToggle.addEventListener('change', () => {
+            this.budgetInput.disabled = !this.sandboxToggle.checked;
+        });
+        this.budgetInput.addEventListener('change', () => {
+            const timeBudget = Number(this.budgetInput.value);
+            if (timeBudget > 0) {
+                sandbox.configure({ timeBudget });
+                logger.info(`Sandbox time budget set to ${timeBudget}ms`, 'system');
+            }
+        });
+
+        this.render();
+        return element;
+    }
+
+    storageKey() {
+        return `${STORAGE_PREFIX}${this.file}`;
+    }
+
+    /**
+     * Whether the source differs from the original
+     * @returns {boolean} True if edited
+     */
+    isModified() {
+        return this.input.value !== this.original;
+    }
+
+    /**
+     * Fill the example picker
+     * @param {Array} examples - Examples that can be run
+     */
+    setExamples(examples) {
+        const selected = this.exampleSelect.value;
+        this.exampleSelect.innerHTML = '';
+        examples.forEach(example => {
+            const option = document.createElement('option');
+            option.value = example.id;
+            option.textContent = example.label;
+            this.exampleSelect.appendChild(option);
+        });
+        if (examples.some(example => example.id === selected)) {
+            this.exampleSelect.value = selected;
+        }
+    }
+
+    /**
+     * Save the edit and redraw on the next frame
+     */
+    changed() {
+        if (this.isModified()) {
+            sessionStorage.setItem(this.storageKey(), this.input.value);
+        } else {
+            sessionStorage.removeItem(this.storageKey());
+        }
+        if (!this.renderScheduled) {
+            this.renderScheduled = true;
+            requestAnimationFrame(() => {
+                this.renderScheduled = false;
+                this.render();
+            });
+        }
+    }
+
+    render() {
+        // A trailing newline needs a character after it, or the last line collapses
+        this.highlight.firstElementChild.innerHTML = `${highlightJS(this.input.value)}\n `;
+        this.status.textContent = this.isModified() ? 'Edited' : '';
+        if (!this.diff.hidden) {
+            this.renderDiff();
+        }
+    }
+
+    renderDiff() {
+        this.diff.replaceChildren(renderDiff(diffLines(this.original, this.input.value)));
+    }
+
+    /**
+     * Tab indents instead of leaving the editor, Shift+Tab outdents the current line
+     * @param {KeyboardEvent} event - Key event
+     */
+    onKeyDown(event) {
+        if (event.key !== 'Tab') {
+            return;
+        }
+        event.preventDefault();
+        const { selectionStart, selectionEnd, value } = this.input;
+        if (event.shiftKey) {
+            const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+            const removed = value.slice(lineStart, lineStart + INDENT.length).match(/^ */)[0].length;
+            this.input.setRangeText('', lineStart, lineStart + removed);
+            this.input.selectionStart = this.input.selectionEnd = Math.max(lineStart, selectionStart - removed);
+        } else {
+            this.input.setRangeText(INDENT, selectionStart, selectionEnd, 'end');
+        }
+        this.changed();
+    }
+
+    /**
+     * Run the selected example from the edited source, in the sandbox unless it is unchecked
+     * @returns {Promise<Object|null>} Run result, or null if the source could not be loaded
+     */
+    async run() {
+        if (this.sandboxToggle.checked) {
+            return this.runSandboxed();
+        }
+        const output = `${this.section}-output`;
+        let examples;
+        try {
+            examples = await loadEditedModule(this.input.value, this.url);
+        } catch (error) {
+            logger.error(`Edited ${this.file} could not be loaded`, this.section, { error });
+            updateOutput(output, `Error in edited ${this.file}: ${error.message}`);
+            return null;
+        }
+
+        this.setExamples(examples.filter(example => example.section === this.section));
+        const example = examples.find(candidate => candidate.id === this.exampleSelect.value);
+        if (!example) {
+            updateOutput(output, `Edited ${this.file} does not register an example for "${this.section}"`);
+            return null;
+        }
+        return runDefinition({ ...example, title: `${example.title} (edited)` });
+    }
+
+    /**
+     * Run the selected example from the edited source in the sandbox;
+     * the copy is only evaluated inside the frame
+     * @returns {Promise<Object|null>} Run result, or null if no example is selected
+     */
+    async runSandboxed() {
+        const example = exampleRegistry.get(this.exampleSelect.value);
+        if (!example) {
+            updateOutput(`${this.section}-output`, `No example selected for "${this.section}"`);
+            return null;
+        }
+        return runDefinition({
+            ...example,
+            title: `${example.title} (edited)`,
+            sandbox: true,
+            module: this.file,
+            source: this.input.value
+        });
+    }
+
+    /**
+     * Throw away the edits
+     */
+    reset() {
+        this.input.value = this.original;
+        this.changed();
+        logger.info(`${this.file} reset to the original`, this.section);
+    }
+
+    toggleDiff() {
+        this.diff.hidden = !this.diff.hidden;
+        if (!this.diff.hidden) {
+            this.renderDiff();
+        }
+    }
+}
+
+/**
+ * Add a code editor for a concept module to the page
+ * @param {HTMLElement} container - Element to add the editor to
+ * @param {Object} options - See CodeEditor
+ * @returns {CodeEditor} The editor
+ */
+function mountCodeEditor(container, options) {
+    const editor = new CodeEditor(options);
+    editor.mount(container);
+    return editor;
+}
+
+export { CodeEditor, mountCodeEditor, resolveImports };
@@ -0,0 +1,342 @@
+/**
+ * Console Capture Module
+ *
+ * Opt-in mode that forwards console output and uncaught errors to the
+ * Logger, so output of examples that only use console.log reaches the
+ * log viewer, storage and exports too.
+ *
+ * Output is logged through the run logger of the example that ran last
+ * (see logger.startRun()), so it shares that run's section and runId.
+ * The run stays active after the example returns, so output of timers
+ * and promises the example started is still attributed to it.
+ *
+ * Listeners (addListener()) get every console call, including table and
+ * group calls, whether or not output is forwarded to the logger; the
+ * example runner uses one to show console output in the output box
+ * (see console-output.js)
+ */
+
+import { safeStringify } from './serialize.js';
+
+const STORAGE_KEY = 'playground-console-capture';
+
+// Console method -> log level
+const METHOD_LEVELS = {
+    log: 'info',
+    info: 'info',
+    warn: 'warn',
+    error: 'error',
+    debug: 'debug',
+    table: 'info',
+    group: 'info',
+    groupCollapsed: 'info'
+};
+
+// Wrapped console methods; groupEnd is passed to listeners but not logged
+const CONSOLE_METHODS = [...Object.keys(METHOD_LEVELS), 'groupEnd'];
+
+/**
+ * Turn one console argument into text
+ * @param {any} value - Console argument
+ * @param {number} space - Indentation for objects (single line by default)
+ * @returns {string} Text
+ */
+function formatValue(value, space) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+        return typeof value === 'bigint' ? `${value}n` : String(value);
+    }
+    if (value instanceof Error) {
+        return `${value.name}: ${value.message}`;
+    }
+    return safeStringify(value, space);
+}
+
+/**
+ * Turn console arguments into a single message, like the console does
+ * %s, %d, %i, %f, %o and %O in the first argument are substituted,
+ * %c style arguments are dropped
+ * @param {Array} args - Console arguments
+ * @param {number} space - Indentation for objects (single line by default)
+ * @returns {string} Message text
+ */
+function formatArgs(args, space) {
+    if (typeof args[0] !== 'string') {
+        return args.map(arg => formatValue(arg, space)).join(' ');
+    }
+    const values = args.slice(1);
+    const text = args[0].replace(/%[sdifoOc%]/g, token => {
+        if (token === '%%') {
+            return '%';
+        }
+        if (values.length === 0) {
+            return token;
+        }
+        const value = values.shift();
+        if (token === '%c') {
+            return '';
+        }
+        if (token === '%d' || token === '%i') {
+            return String(Number.parseInt(String(value), 10));
+        }
+        if (token === '%f') {
+            return String(Number.parseFloat(String(value)));
+        }
+        return formatValue(value, space);
+    });
+    return [text, ...values.map(value => formatValue(value, space))].join(' ');
+}
+
+class ConsoleCapture {
+    constructor() {
+        this.logger = null;
+        this.run = null; // Child logger captured output is written with
+        this.originals = {};
+        this.wrapped = false; // Console methods are replaced
+        this.inConsoleCall = false;
+        this.capturingConsole = false; // Console output is forwarded to the logger
+        this.listeners = new Set();
+        this.capturingErrors = false;
+        this.forwarding = false; // Guards against loops when a transport writes to the console
+        this.onError = this.onError.bind(this);
+        this.onRejection = this.onRejection.bind(this);
+    }
+
+    /**
+     * Start capturing
+     * @param {Logger} logger - Logger that receives the captured output
+     * @param {Object} options - { console: wrap console methods, errors: record uncaught errors }
+     */
+    enable(logger, options = {}) {
+        const { console: wrapConsole = true, errors = true } = options;
+        this.logger = logger;
+        if (!this.run) {
+            this.run = logger.child({ section: 'console' });
+        }
+
+        if (wrapConsole && !this.capturingConsole) {
+            this.wrapConsole(logger);
+            this.capturingConsole = true;
+        }
+
+        if (errors && !this.capturingErrors) {
+            window.addEventListener('error', this.onError);
+            window.addEventListener('unhandledrejection', this.onRejection);
+            this.capturingErrors = true;
+        }
+    }
+
+    /**
+     * Stop capturing; the original console methods are restored unless listeners still need them
+     */
+    disable() {
+        this.capturingConsole = false;
+        if (this.listeners.size === 0) {
+            this.unwrapConsole();
+        }
+
+        window.removeEventListener('error', this.onError);
+        window.removeEventListener('unhandledrejection', this.onRejection);
+        this.capturingErrors = false;
+    }
+
+    /**
+     * Replace the console methods with wrappers that capture each call
+     * @param {Logger} logger - Logger whose console transport must keep writing to the real console
+     */
+    wrapConsole(logger) {
+        if (!this.wrapped) {
+            CONSOLE_METHODS.forEach(method => {
+                const original = console[method];
+                this.originals[method] = original;
+                console[method] = (...args) => {
+                    // Some consoles implement group and table on top of log
+                    if (this.inConsoleCall) {
+                        original.apply(console, args);
+                        return;
+                    }
+                    this.inConsoleCall = true;
+                    try {
+                        original.apply(console, args);
+                    } finally {
+                        this.inConsoleCall = false;
+                    }
+                    this.capture(method, args);
+                };
+            });
+            this.wrapped = true;
+        }
+
+        // The console transport must keep writing to the real console,
+        // otherwise every entry would be captured and logged again
+        const consoleTransport = logger.getTransport('console');
+        if (consoleTransport) {
+            const raw = { ...console };
+            Object.entries(this.originals).forEach(([method, original]) => {
+                raw[method] = original.bind(console);
+            });
+            consoleTransport.configure({ console: raw });
+        }
+    }
+
+    /**
+     * Restore the original console methods
+     */
+    unwrapConsole() {
+        Object.entries(this.originals).forEach(([method, original]) => {
+            console[method] = original;
+        });
+        this.originals = {};
+        this.wrapped = false;
+    }
+
+    /**
+     * Call a listener with every console call until the returned function is called
+     * @param {Function} listener - (method, args) => void
+     * @param {Logger} logger - Logger whose console transport must keep writing to the real console
+     * @returns {Function} Removes the listener
+     */
+    addListener(listener, logger) {
+        this.listeners.add(listener);
+        this.wrapConsole(logger);
+        return () => {
+            this.listeners.delete(listener);
+            if (this.listeners.size === 0 && !this.capturingConsole) {
+                this.unwrapConsole();
+            }
+        };
+    }
+
+    /**
+     * Hand a console call to the listeners and, if enabled, the logger
+     * @param {string} method - Console method name
+     * @param {Array} args - Console arguments
+     */
+    capture(method, args) {
+        // Output caused by our own logging is not captured again
+        if (this.forwarding) {
+            return;
+        }
+        this.listeners.forEach(listener => listener(method, args));
+        if (this.capturingConsole && METHOD_LEVELS[method]) {
+            this.forward(method, args);
+        }
+    }
+
+    /**
+     * Run a callback without capturing the console output it writes
+     * Transports report their own failures this way, so a sink that keeps
+     * failing does not log its warnings to itself again and again
+     * @param {Function} callback - Writes to the console
+     * @returns {any} Return value of the callback
+     */
+    uncaptured(callback) {
+        const forwarding = this.forwarding;
+        this.forwarding = true;
+        try {
+            return callback();
+        } finally {
+            this.forwarding = forwarding;
+        }
+    }
+
+    /**
+     * Attribute captured output to the example that is running
+     * @param {ChildLogger} run - Run logger from logger.startRun()
+     */
+    setRun(run) {
+        this.run = run;
+    }
+
+    /**
+     * Log captured console output
+     * @param {string} method - Console method name
+     * @param {Array} args - Console arguments
+     */
+    forward(method, args) {
+        if (this.forwarding || !this.logger) {
+            return;
+        }
+        this.forwarding = true;
+        try {
+            const hasValues = args.some(arg => typeof arg !== 'string');
+            // Key rules (password, token, ...) only see objects, so the
+            // arguments are redacted before they are formatted into the message
+            const { data: redacted } = this.logger.redact('', args);
+            this.run.log(
+                METHOD_LEVELS[method],
+                Array.isArray(redacted) ? formatArgs(redacted) : redacted,
+                hasValues ? { console: method, args } : { console: method }
+            );
+        } finally {
+            this.forwarding = false;
+        }
+    }
+
+    /**
+     * Record an uncaught error (window error event)
+     * @param {ErrorEvent} event - Error event
+     */
+    onError(event) {
+        this.logError(`Uncaught error: ${event.message}`, {
+            error: event.error,
+            source: event.filename,
+            line: event.lineno,
+            column: event.colno
+        });
+    }
+
+    /**
+     * Record an unhandled promise rejection
+     * @param {PromiseRejectionEvent} event - Rejection event
+     */
+    onRejection(event) {
+        const { reason } = event;
+        const message = reason instanceof Error ? reason.message : safeStringify(reason);
+        this.logError(`Unhandled promise rejection: ${message}`, { reason });
+    }
+
+    /**
+     * Log an error without capturing console output it causes
+     * @param {string} message - Error message
+     * @param {Object} data - Error details
+     */
+    logError(message, data) {
+        if (this.forwarding || !this.logger) {
+            return;
+        }
+        this.forwarding = true;
+        try {
+            this.run.error(message, data);
+        } finally {
+            this.forwarding = false;
+        }
+    }
+
+    /**
+     * Whether capture was switched on in the footer controls or the URL (?captureConsole=1)
+     * @returns {boolean} True if capture should be enabled
+     */
+    static isRequested() {
+        const param = new URLSearchParams(window.location.search).get('captureConsole');
+        if (param !== null) {
+            return param !== '0' && param !== 'false';
+        }
+        return localStorage.getItem(STORAGE_KEY) === 'on';
+    }
+
+    /**
+     * Remember the capture choice for the other pages
+     * @param {boolean} enabled - Whether capture is on
+     */
+    static saveRequested(enabled) {
+        localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+    }
+}
+
+// Shared capture used by the playground pages
+const consoleCapture = new ConsoleCapture();
+
+export { consoleCapture, ConsoleCapture, formatArgs, METHOD_LEVELS };
@@ -0,0 +1,196 @@
+/**
+ * Console Output Module
+ *
+ * Renders the console output of an example run inside its output box, below
+ * the text the example returned, so the pages are usable without DevTools.
+ * The example runner feeds it every console call made during the run and
+ * afterwards (see ConsoleCapture.addListener()), until the next run starts.
+ *
+ * - log/info/debug/warn/error become lines styled by method
+ * - group/groupCollapsed/groupEnd nest lines in collapsible groups
+ * - table renders a table, like the DevTools console
+ * - every line shows the time since the run started
+ */
+
+import { formatArgs } from './console-capture.js';
+
+// Lines kept per run; later output is counted instead of shown
+const MAX_LINES = 500;
+
+/**
+ * Cell text for console.table()
+ * @param {any} value - Cell value
+ * @returns {string} Text
+ */
+function formatCell(value) {
+    return value === undefined ? '' : formatArgs([value]);
+}
+
+class ConsoleOutput {
+    /**
+     * Clear an output box and prepare it for a new run
+     * @param {HTMLElement} element - Output box
+     */
+    constructor(element) {
+        this.element = element;
+        this.started = performance.now();
+        this.lineCount = 0;
+        this.dropped = 0;
+
+        this.result = document.createElement('div');
+        this.result.className = 'output-result';
+        this.lines = document.createElement('div');
+        this.lines.className = 'console-output';
+        this.element.replaceChildren(this.result, this.lines);
+
+        // Innermost group last; output goes to the last entry
+        this.groups = [this.lines];
+        this.overflow = null;
+    }
+
+    /**
+     * Render a console call
+     * @param {string} method - Console method name
+     * @param {Array} args - Console arguments
+     */
+    write(method, args) {
+        if (method === 'groupEnd') {
+            if (this.groups.length > 1) {
+                this.groups.pop();
+            }
+            return;
+        }
+        if (this.lineCount >= MAX_LINES) {
+            this.countDropped();
+            return;
+        }
+        this.lineCount++;
+        const following = this.isScrolledToEnd();
+
+        if (method === 'group' || method === 'groupCollapsed') {
+            this.openGroup(args, method === 'group');
+        } else if (method === 'table' && args[0] !== null && typeof args[0] === 'object') {
+            this.append(this.createLine('table', this.createTable(args[0], args[1])));
+        } else {
+            const text = document.createElement('span');
+            text.className = 'console-text';
+            text.textContent = formatArgs(args, 2);
+            this.append(this.createLine(method, text));
+        }
+        if (following) {
+            this.lines.scrollTop = this.lines.scrollHeight;
+        }
+    }
+
+    /**
+     * Add an element to the innermost open group
+     * @param {HTMLElement} node - Element
+     */
+    append(node) {
+        this.groups[this.groups.length - 1].appendChild(node);
+    }
+
+    /**
+     * Build a line with its timestamp
+     * @param {string} method - Console method name, used for styling
+     * @param {HTMLElement} content - Line content
+     * @returns {HTMLElement} Line element
+     */
+    createLine(method, content) {
+        const line = document.createElement('div');
+        line.className = `console-line console-${method}`;
+
+        const elapsed = performance.now() - this.started;
+        const time = document.createElement('span');
+        time.className = 'console-time';
+        time.textContent = `+${(elapsed / 1000).toFixed(3)}s`;
+        time.title = new Date().toLocaleTimeString();
+
+        line.append(time, content);
+        return line;
+    }
+
+    /**
+     * Start a group; following lines are nested in it until groupEnd
+     * @param {Array} args - Group label arguments
+     * @param {boolean} open - False for groupCollapsed
+     */
+    openGroup(args, open) {
+        const group = document.createElement('details');
+        group.className = 'console-group';
+        group.open = open;
+
+        const label = document.createElement('span');
+        label.className = 'console-text';
+        label.textContent = args.length ? formatArgs(args) : 'console.group';
+        const summary = document.createElement('summary');
+        summary.appendChild(this.createLine('group', label));
+
+        const body = document.createElement('div');
+        body.className = 'console-group-body';
+        group.append(summary, body);
+        this.append(group);
+        this.groups.push(body);
+    }
+
+    /**
+     * Build a table like console.table(): one row per entry, one column per property
+     * @param {Object|Array} data - Rows
+     * @param {Array} columns - Optional properties to show
+     * @returns {HTMLElement} Table element
+     */
+    createTable(data, columns) {
+        const rows = data instanceof Map ? [...data.entries()] : Object.entries(data);
+        const isRecord = value => value !== null && typeof value === 'object';
+        const keys = Array.isArray(columns)
+            ? columns.map(String)
+            : [...new Set(rows.flatMap(([, value]) => (isRecord(value) ? Object.keys(value) : [])))];
+        const hasValues = rows.some(([, value]) => !isRecord(value));
+
+        const table = document.createElement('table');
+        table.className = 'console-table';
+        const header = table.createTHead().insertRow();
+        ['(index)', ...keys, ...(hasValues ? ['Value'] : [])].forEach(name => {
+            const cell = document.createElement('th');
+            cell.textContent = name;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(([index, value]) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = formatCell(index);
+            keys.forEach(key => {
+                row.insertCell().textContent = isRecord(value) ? formatCell(value[key]) : '';
+            });
+            if (hasValues) {
+                row.insertCell().textContent = isRecord(value) ? '' : formatCell(value);
+            }
+        });
+        return table;
+    }
+
+    /**
+     * Show how many lines were left out after MAX_LINES
+     */
+    countDropped() {
+        this.dropped++;
+        if (!this.overflow) {
+            this.overflow = document.createElement('div');
+            this.overflow.className = 'console-line console-overflow';
+            this.lines.appendChild(this.overflow);
+        }
+        this.overflow.textContent = `… ${this.dropped} more console ${this.dropped === 1 ? 'line' : 'lines'} not shown`;
+    }
+
+    /**
+     * Whether the lines are scrolled to the bottom, so new output should stay in view
+     * @returns {boolean} True if scrolled to the bottom
+     */
+    isScrolledToEnd() {
+        const { scrollHeight, scrollTop, clientHeight } = this.lines;
+        return scrollHeight - scrollTop - clientHeight < 20;
+    }
+}
+
+export { ConsoleOutput };
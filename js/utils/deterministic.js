@@ -0,0 +1,257 @@
+/**
+ * Deterministic Module
+ *
+ * Makes example runs reproducible and instant:
+ * - mulberry32() is a small seeded PRNG that replaces Math.random()
+ * - VirtualClock runs timers in virtual time, fast-forwarding to the next
+ *   due timer instead of waiting for it
+ * - createFixedDate() returns a Date class whose "now" is the clock's time
+ *
+ * Nothing global is patched: example runs get these through their
+ * RunContext (see run-context.js), so the logger keeps real timestamps and
+ * unique ids. deterministicMode holds the setting the runner reads
+ */
+
+const STORAGE_KEY = 'playground-deterministic';
+const DEFAULT_SEED = 42;
+const DEFAULT_START_TIME = Date.UTC(2024, 0, 1, 12, 0, 0); // Fixed "now" for Date
+const MAX_TICKS = 10000; // Timers fired per clock before it gives up (runaway intervals)
+
+/**
+ * Seeded pseudo-random number generator
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1), like Math.random
+ */
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class VirtualClock {
+    /**
+     * @param {Object} options - { startTime: epoch ms that Date reports at virtual time 0 }
+     */
+    constructor({ startTime = DEFAULT_START_TIME } = {}) {
+        this.startTime = startTime;
+        this.time = 0; // Virtual milliseconds since the clock started
+        this.timers = new Map(); // id -> { id, due, seq, callback, args, interval }
+        this.nextId = 1;
+        this.seq = 0; // Keeps timers due at the same time in scheduling order
+        this.ticks = 0;
+        this.scheduled = false;
+
+        ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'now'].forEach(method => {
+            this[method] = this[method].bind(this);
+        });
+    }
+
+    /**
+     * Virtual milliseconds since the clock started, like performance.now()
+     * @returns {number} Virtual time
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Current virtual time as epoch milliseconds, like Date.now()
+     * @returns {number} Epoch milliseconds
+     */
+    epoch() {
+        return this.startTime + this.time;
+    }
+
+    setTimeout(callback, ms = 0, ...args) {
+        return this.add(callback, ms, args, null);
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    setInterval(callback, ms = 0, ...args) {
+        return this.add(callback, ms, args, Math.max(ms, 1));
+    }
+
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Schedule a timer and make sure the clock keeps fast-forwarding
+     * @returns {number} Timer id
+     */
+    add(callback, ms, args, interval) {
+        const id = this.nextId++;
+        this.timers.set(id, { id, due: this.time + Math.max(Number(ms) || 0, 0), seq: this.seq++, callback, args, interval });
+        this.schedule();
+        return id;
+    }
+
+    /**
+     * Fire the next due timer on a real macrotask, so promise callbacks
+     * between two timers run before the clock moves on
+     */
+    schedule() {
+        if (this.scheduled || this.timers.size === 0) {
+            return;
+        }
+        this.scheduled = true;
+        globalThis.setTimeout(() => {
+            this.scheduled = false;
+            try {
+                this.tick();
+            } finally {
+                this.schedule(); // A throwing timer must not stall the others
+            }
+        }, 0);
+    }
+
+    /**
+     * Advance to the earliest timer and run it
+     * @returns {boolean} True if a timer fired
+     */
+    tick() {
+        let next = null;
+        this.timers.forEach(timer => {
+            if (!next || timer.due < next.due || (timer.due === next.due && timer.seq < next.seq)) {
+                next = timer;
+            }
+        });
+        if (!next) {
+            return false;
+        }
+        if (++this.ticks > MAX_TICKS) {
+            this.timers.clear();
+            throw new Error(`Virtual clock stopped after ${MAX_TICKS} timers (runaway setInterval?)`);
+        }
+
+        this.time = next.due;
+        if (next.interval) {
+            next.due += next.interval;
+            next.seq = this.seq++;
+        } else {
+            this.timers.delete(next.id);
+        }
+        next.callback(...next.args);
+        return true;
+    }
+
+    /**
+     * Advance virtual time, firing every timer due until then
+     * Timers scheduled by those timers fire too if they are due
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+        const target = this.time + ms;
+        const due = () => [...this.timers.values()].some(timer => timer.due <= target);
+        while (due()) {
+            this.tick();
+        }
+        this.time = target;
+    }
+
+    /**
+     * Whether any timer is still scheduled
+     * @returns {boolean} True if timers are pending
+     */
+    hasPendingTimers() {
+        return this.timers.size > 0;
+    }
+}
+
+/**
+ * Create a Date class that reports the clock's time as "now"
+ * Dates built from arguments behave like normal Dates
+ * @param {VirtualClock} clock - Clock to read
+ * @returns {Function} Date subclass
+ */
+function createFixedDate(clock) {
+    class FixedDate extends Date {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(clock.epoch());
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return clock.epoch();
+        }
+    }
+    return FixedDate;
+}
+
+class DeterministicMode {
+    constructor() {
+        this.enabled = false;
+        this.seed = DEFAULT_SEED;
+        this.startTime = DEFAULT_START_TIME;
+    }
+
+    /**
+     * Make the following example runs deterministic
+     * @param {Object} options - { seed, startTime }
+     */
+    enable({ seed, startTime } = {}) {
+        this.enabled = true;
+        if (seed !== undefined) {
+            this.seed = Number(seed);
+        }
+        if (startTime !== undefined) {
+            this.startTime = new Date(startTime).getTime();
+        }
+    }
+
+    disable() {
+        this.enabled = false;
+    }
+
+    /**
+     * Fresh random source, clock and Date for one run; every run with the same seed gets the same values
+     * @returns {Object} { random, clock, Date }
+     */
+    createEnvironment() {
+        const clock = new VirtualClock({ startTime: this.startTime });
+        return {
+            random: mulberry32(this.seed),
+            clock,
+            Date: createFixedDate(clock)
+        };
+    }
+
+    /**
+     * Read the setting from the URL (?deterministic=on or ?deterministic=<seed>) or the footer controls
+     * @returns {Object|null} { seed } if deterministic mode was requested
+     */
+    static requested() {
+        const param = new URLSearchParams(window.location.search).get('deterministic');
+        const value = param !== null ? param : localStorage.getItem(STORAGE_KEY);
+        if (value === null || value === '0' || value === 'false' || value === 'off') {
+            return null;
+        }
+        const seed = Number(value);
+        return { seed: Number.isInteger(seed) ? seed : DEFAULT_SEED };
+    }
+
+    /**
+     * Remember the setting for the other pages
+     * @param {boolean} enabled - Whether deterministic mode is on
+     * @param {number} seed - Seed to use
+     */
+    static saveRequested(enabled, seed) {
+        localStorage.setItem(STORAGE_KEY, enabled ? String(seed) : 'off');
+    }
+}
+
+// Shared setting used by the example runner
+const deterministicMode = new DeterministicMode();
+
+export { deterministicMode, DeterministicMode, VirtualClock, mulberry32, createFixedDate, DEFAULT_SEED };
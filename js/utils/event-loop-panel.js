@@ -0,0 +1,246 @@
+/**
+ * Event Loop Panel Module
+ *
+ * Steps a snippet through the event loop simulator (see event-loop.js) on a
+ * concept page: the call stack, the microtask, macrotask and animation frame
+ * queues after each step, and the console output in the order it happened.
+ * Presets show the ordering subtleties of the Promises examples, like the
+ * extra microtasks of promiseReturningPromise; the snippet can be edited
+ */
+
+import { logger } from './logger.js';
+import { EventLoopSimulator } from './event-loop.js';
+
+const PRESETS = [
+    {
+        id: 'resolve-with-promise',
+        title: 'Resolving with a promise vs a value',
+        source: `// Like promiseReturningPromise and promiseReturningValue:
+// adopting the inner promise takes two extra microtasks
+const inner = new Promise(resolve => resolve('inner'));
+
+new Promise(resolve => resolve(inner))
+  .then(value => console.log('resolved with a promise:', value));
+
+new Promise(resolve => resolve('value'))
+  .then(value => console.log('resolved with a value:', value));
+
+Promise.resolve()
+  .then(() => console.log('tick 1'))
+  .then(() => console.log('tick 2'))
+  .then(() => console.log('tick 3'));
+`
+    },
+    {
+        id: 'then-returns-promise',
+        title: 'then() returning a promise',
+        source: `// Like promiseThenReturnsPromise: returning a promise from then()
+// delays the next then() by two microtasks too
+Promise.resolve('outer')
+  .then(value => new Promise(resolve => resolve(value + ' and inner')))
+  .then(value => console.log('second then:', value));
+
+Promise.resolve()
+  .then(() => console.log('tick 1'))
+  .then(() => console.log('tick 2'))
+  .then(() => console.log('tick 3'))
+  .then(() => console.log('tick 4'));
+`
+    },
+    {
+        id: 'task-order',
+        title: 'Microtasks, timers and animation frames',
+        source: `console.log('script start');
+
+setTimeout(() => console.log('setTimeout 0'), 0);
+setTimeout(() => console.log('setTimeout 20'), 20);
+
+requestAnimationFrame(function paint() {
+  console.log('animation frame');
+  Promise.resolve().then(() => console.log('microtask after the frame callback'));
+});
+
+queueMicrotask(() => console.log('queueMicrotask'));
+Promise.resolve().then(() => console.log('promise then'));
+
+console.log('script end');
+`
+    },
+    {
+        id: 'starving-timers',
+        title: 'Microtasks run before timers',
+        source: `setTimeout(() => console.log('timeout, finally'), 0);
+
+// Every microtask queues another one; the timer waits for all of them
+let count = 0;
+function again() {
+  count++;
+  if (count < 5) {
+    queueMicrotask(again);
+  } else {
+    console.log(count + ' microtasks ran first');
+  }
+}
+queueMicrotask(again);
+`
+    }
+];
+
+/**
+ * Fill a list with labels, or a placeholder when there are none
+ * @param {HTMLElement} list - List element
+ * @param {Array} labels - Item texts
+ * @param {string} empty - Placeholder text
+ */
+function renderList(list, labels, empty) {
+    if (labels.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'event-loop-empty';
+        item.textContent = empty;
+        list.replaceChildren(item);
+        return;
+    }
+    list.replaceChildren(...labels.map(label => {
+        const item = document.createElement('li');
+        item.textContent = label;
+        return item;
+    }));
+}
+
+/**
+ * Mount the event loop simulator on a page
+ * @param {HTMLElement} container - Element to mount the panel into
+ * @param {Object} options - { presets: [{ id, title, source }] }
+ * @returns {Object} Panel API ({ load, step, run })
+ */
+function mountEventLoopPanel(container, { presets = PRESETS } = {}) {
+    const element = document.createElement('section');
+    element.className = 'concept-section event-loop';
+    element.innerHTML = `
+        <h2>Event Loop Simulator</h2>
+        <p class="event-loop-intro">
+            Runs the snippet against a modeled event loop, one task per step.
+            Microtasks (promise callbacks, queueMicrotask) all run before the next timer
+            or animation frame. The snippet gets modeled setTimeout, requestAnimationFrame,
+            queueMicrotask and Promise; async/await is not modeled.
+        </p>
+        <div class="event-loop-toolbar">
+            <select class="event-loop-preset">
+                ${presets.map(({ id, title }) => `<option value="${id}">${title}</option>`).join('')}
+            </select>
+            <button type="button" class="event-loop-step">Step</button>
+            <button type="button" class="event-loop-run">Run to end</button>
+            <button type="button" class="event-loop-restart">Restart</button>
+            <span class="event-loop-status"></span>
+        </div>
+        <textarea class="event-loop-source" spellcheck="false" autocapitalize="off" autocomplete="off"></textarea>
+        <div class="event-loop-task"></div>
+        <div class="event-loop-queues">
+            <div><h3>Call stack</h3><ol class="event-loop-stack"></ol></div>
+            <div><h3>Microtasks</h3><ol class="event-loop-microtasks"></ol></div>
+            <div><h3>Macrotasks</h3><ol class="event-loop-macrotasks"></ol></div>
+            <div><h3>Animation frames</h3><ol class="event-loop-frames"></ol></div>
+        </div>
+        <h3>Log order</h3>
+        <ol class="event-loop-log"></ol>
+    `;
+    container.appendChild(element);
+
+    const preset = element.querySelector('.event-loop-preset');
+    const source = element.querySelector('.event-loop-source');
+    const status = element.querySelector('.event-loop-status');
+    const taskLine = element.querySelector('.event-loop-task');
+    const stack = element.querySelector('.event-loop-stack');
+    const microtasks = element.querySelector('.event-loop-microtasks');
+    const macrotasks = element.querySelector('.event-loop-macrotasks');
+    const frames = element.querySelector('.event-loop-frames');
+    const log = element.querySelector('.event-loop-log');
+    const stepButton = element.querySelector('.event-loop-step');
+    const runButton = element.querySelector('.event-loop-run');
+
+    const simulator = new EventLoopSimulator();
+    // The snippet is loaded again before the next step once it was edited
+    let loaded = false;
+
+    function render(snapshot) {
+        stepButton.disabled = loaded && simulator.done;
+        runButton.disabled = loaded && simulator.done;
+        status.textContent = simulator.stopped || (simulator.done
+            ? `Done after ${simulator.steps} steps`
+            : `Step ${snapshot.step}, ${snapshot.time} ms`);
+        if (snapshot.task) {
+            taskLine.textContent = `Step ${snapshot.step} (${snapshot.task.queue}): ${snapshot.task.label}`;
+        } else {
+            taskLine.textContent = simulator.done ? 'Every queue is empty' : 'Not started: the script is the first macrotask';
+        }
+
+        // Top of the stack first, like DevTools
+        renderList(stack, [...snapshot.stack].reverse(), 'empty');
+        renderList(microtasks, snapshot.microtasks, 'empty');
+        renderList(macrotasks, snapshot.macrotasks, 'empty');
+        renderList(frames, snapshot.animationFrames, 'none requested');
+
+        log.replaceChildren(...snapshot.log.map(entry => {
+            const item = document.createElement('li');
+            item.className = `event-loop-line console-${entry.method}`;
+            item.classList.toggle('event-loop-current', entry.step === snapshot.step);
+            item.dataset.step = `step ${entry.step}`;
+            item.textContent = entry.text;
+            return item;
+        }));
+    }
+
+    function load() {
+        try {
+            simulator.load(source.value);
+            loaded = true;
+            render(simulator.snapshot());
+            return true;
+        } catch (error) {
+            loaded = false;
+            simulator.reset();
+            render(simulator.snapshot());
+            status.textContent = `${error.name}: ${error.message}`;
+            logger.warn('Event loop snippet could not be loaded', 'system', { error: error.message });
+            return false;
+        }
+    }
+
+    function step() {
+        if (!loaded && !load()) {
+            return;
+        }
+        const snapshot = simulator.step();
+        render(snapshot || simulator.snapshot());
+    }
+
+    function run() {
+        if (!loaded && !load()) {
+            return;
+        }
+        simulator.run();
+        render(simulator.snapshot());
+        logger.info('Event loop snippet run', 'system', { preset: preset.value, steps: simulator.steps, lines: simulator.log.length });
+    }
+
+    function showPreset() {
+        source.value = presets.find(({ id }) => id === preset.value).source;
+        load();
+    }
+
+    preset.addEventListener('change', showPreset);
+    source.addEventListener('input', () => {
+        loaded = false;
+        stepButton.disabled = false;
+        runButton.disabled = false;
+        status.textContent = 'Edited: the next step starts over';
+    });
+    stepButton.addEventListener('click', step);
+    runButton.addEventListener('click', run);
+    element.querySelector('.event-loop-restart').addEventListener('click', load);
+
+    showPreset();
+    return { load, step, run };
+}
+
+export { mountEventLoopPanel, PRESETS };
@@ -0,0 +1,541 @@
+/**
+ * Event Loop Module
+ *
+ * Runs a small snippet against a model of the browser's event loop, one
+ * task at a time, so the order of its output can be followed step by step
+ * (see event-loop-panel.js):
+ *
+ * const loop = new EventLoopSimulator();
+ * loop.load("setTimeout(() => console.log('b')); Promise.resolve().then(() => console.log('a'));");
+ * loop.step(); // runs the script: one timer and one microtask queued
+ * loop.run();  // every other step; loop.log holds 'a', then 'b'
+ *
+ * The snippet gets modeled versions of setTimeout, clearTimeout,
+ * queueMicrotask, requestAnimationFrame, cancelAnimationFrame, Promise and
+ * console. Nothing runs on the real queues: the model follows the spec
+ * steps, including the extra microtasks a promise takes to adopt another
+ * promise it was resolved with. Each step runs one task:
+ *
+ * 1. the next microtask, while there are any
+ * 2. the next callback of the animation frame being rendered
+ * 3. the earliest timer that is due, the script being the first task
+ * 4. otherwise the clock moves on to the next timer or frame (every 16 ms)
+ *
+ * async/await is not modeled, since await uses the real microtask queue;
+ * write the steps as then() callbacks instead
+ */
+
+import { formatArgs } from './console-capture.js';
+import { protectLoops, maskSource } from './loop-protect.js';
+
+const FRAME_INTERVAL = 16; // ms between animation frames
+const MAX_STEPS = 1000;
+const MAX_LOOP_ITERATIONS = 100000; // per task
+const GLOBALS = ['console', 'setTimeout', 'clearTimeout', 'queueMicrotask', 'requestAnimationFrame', 'cancelAnimationFrame', 'Promise'];
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+/**
+ * Name of a callback for queue labels
+ * @param {Function} callback - Callback
+ * @returns {string} " (name)" for named functions, '' otherwise
+ */
+function callbackName(callback) {
+    return typeof callback === 'function' && callback.name ? ` (${callback.name})` : '';
+}
+
+/**
+ * Build the modeled Promise class of a simulator
+ * @param {EventLoopSimulator} loop - Simulator whose microtask queue the promises use
+ * @returns {Function} Promise class
+ */
+function createPromiseClass(loop) {
+    let nextId = 1;
+
+    /**
+     * Make a pending promise without running an executor
+     * @returns {SimPromise} Promise
+     */
+    function createPending() {
+        const promise = Object.create(SimPromise.prototype);
+        promise.id = `P${nextId++}`;
+        promise.state = 'pending';
+        promise.value = undefined;
+        promise.reactions = [];
+        promise.handled = false;
+        return promise;
+    }
+
+    /**
+     * Settle a promise and queue its reactions
+     * @param {SimPromise} promise - Promise
+     * @param {string} state - 'fulfilled' or 'rejected'
+     * @param {any} value - Value or reason
+     */
+    function settle(promise, state, value) {
+        promise.state = state;
+        promise.value = value;
+        if (state === 'rejected' && !promise.handled) {
+            loop.unhandled.add(promise);
+        }
+        promise.reactions.forEach(reaction => queueReaction(promise, reaction));
+        promise.reactions = [];
+    }
+
+    /**
+     * Queue the job that runs a then() callback, or passes the result on without one
+     * @param {SimPromise} promise - Settled promise
+     * @param {Object} reaction - { onFulfilled, onRejected, derived, resolve, reject }
+     */
+    function queueReaction(promise, { onFulfilled, onRejected, derived, resolve, reject }) {
+        const fulfilled = promise.state === 'fulfilled';
+        const handler = fulfilled ? onFulfilled : onRejected;
+        const label = typeof handler === 'function'
+            ? `${fulfilled ? 'then' : 'catch'} callback of ${promise.id}${callbackName(handler)}`
+            : `${derived.id} takes the ${fulfilled ? 'value' : 'rejection'} of ${promise.id}`;
+        loop.queueMicrotask(label, () => {
+            if (typeof handler !== 'function') {
+                (fulfilled ? resolve : reject)(promise.value);
+                return;
+            }
+            try {
+                resolve(handler(promise.value));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Resolve and reject functions of a promise; only the first call counts
+     * @param {SimPromise} promise - Promise
+     * @returns {Object} { resolve, reject }
+     */
+    function createResolvingFunctions(promise) {
+        let alreadyResolved = false;
+        const reject = reason => {
+            if (!alreadyResolved) {
+                alreadyResolved = true;
+                settle(promise, 'rejected', reason);
+            }
+        };
+        const resolve = resolution => {
+            if (alreadyResolved) {
+                return;
+            }
+            alreadyResolved = true;
+            if (resolution === promise) {
+                settle(promise, 'rejected', new TypeError('Chaining cycle detected for promise'));
+                return;
+            }
+            if (resolution === null || (typeof resolution !== 'object' && typeof resolution !== 'function')) {
+                settle(promise, 'fulfilled', resolution);
+                return;
+            }
+            let then;
+            try {
+                then = resolution.then;
+            } catch (error) {
+                settle(promise, 'rejected', error);
+                return;
+            }
+            if (typeof then !== 'function') {
+                settle(promise, 'fulfilled', resolution);
+                return;
+            }
+            // Adopting a thenable takes a microtask of its own, before then() is even called
+            const name = resolution instanceof SimPromise ? resolution.id : 'a thenable';
+            loop.queueMicrotask(`${promise.id} adopts ${name}: calls its then()`, () => {
+                const adopted = createResolvingFunctions(promise);
+                try {
+                    then.call(resolution, adopted.resolve, adopted.reject);
+                } catch (error) {
+                    adopted.reject(error);
+                }
+            });
+        };
+        return { resolve, reject };
+    }
+
+    class SimPromise {
+        constructor(executor) {
+            if (typeof executor !== 'function') {
+                throw new TypeError('Promise resolver is not a function');
+            }
+            const promise = createPending();
+            const { resolve, reject } = createResolvingFunctions(promise);
+            loop.call(`Promise executor of ${promise.id}${callbackName(executor)}`, () => {
+                try {
+                    executor(resolve, reject);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            return promise;
+        }
+
+        then(onFulfilled, onRejected) {
+            const derived = createPending();
+            const reaction = { onFulfilled, onRejected, derived, ...createResolvingFunctions(derived) };
+            this.handled = true;
+            loop.unhandled.delete(this);
+            if (this.state === 'pending') {
+                this.reactions.push(reaction);
+            } else {
+                queueReaction(this, reaction);
+            }
+            return derived;
+        }
+
+        catch(onRejected) {
+            return this.then(undefined, onRejected);
+        }
+
+        finally(onFinally) {
+            if (typeof onFinally !== 'function') {
+                return this.then(onFinally, onFinally);
+            }
+            return this.then(
+                value => SimPromise.resolve(onFinally()).then(() => value),
+                reason => SimPromise.resolve(onFinally()).then(() => {
+                    throw reason;
+                })
+            );
+        }
+
+        toString() {
+            return `Promise ${this.id} <${this.state}>`;
+        }
+
+        static resolve(value) {
+            if (value instanceof SimPromise) {
+                return value;
+            }
+            const promise = createPending();
+            createResolvingFunctions(promise).resolve(value);
+            return promise;
+        }
+
+        static reject(reason) {
+            const promise = createPending();
+            settle(promise, 'rejected', reason);
+            return promise;
+        }
+
+        static all(iterable) {
+            return SimPromise.combine(iterable, 'all');
+        }
+
+        static allSettled(iterable) {
+            return SimPromise.combine(iterable, 'allSettled');
+        }
+
+        static race(iterable) {
+            return SimPromise.combine(iterable, 'race');
+        }
+
+        static any(iterable) {
+            return SimPromise.combine(iterable, 'any');
+        }
+
+        /**
+         * The combinators: each input is passed to resolve() and then() like the spec does
+         * @param {Iterable} iterable - Inputs
+         * @param {string} kind - 'all', 'allSettled', 'race' or 'any'
+         * @returns {SimPromise} Combined promise
+         */
+        static combine(iterable, kind) {
+            const promise = createPending();
+            const { resolve, reject } = createResolvingFunctions(promise);
+            const items = [...iterable];
+            const results = new Array(items.length);
+            let remaining = items.length;
+            const done = () => {
+                remaining--;
+                if (remaining === 0) {
+                    if (kind === 'any') {
+                        reject(new AggregateError(results, 'All promises were rejected'));
+                    } else {
+                        resolve(results);
+                    }
+                }
+            };
+            items.forEach((item, index) => {
+                const onFulfilled = value => {
+                    if (kind === 'race' || kind === 'any') {
+                        resolve(value);
+                        return;
+                    }
+                    results[index] = kind === 'allSettled' ? { status: 'fulfilled', value } : value;
+                    done();
+                };
+                const onRejected = reason => {
+                    if (kind === 'race' || kind === 'all') {
+                        reject(reason);
+                        return;
+                    }
+                    results[index] = kind === 'allSettled' ? { status: 'rejected', reason } : reason;
+                    done();
+                };
+                SimPromise.resolve(item).then(onFulfilled, onRejected);
+            });
+            if (items.length === 0 && kind !== 'race') {
+                remaining = 1;
+                done();
+            }
+            return promise;
+        }
+    }
+
+    return SimPromise;
+}
+
+class EventLoopSimulator {
+    /**
+     * @param {Object} options - { frameInterval, maxSteps }
+     */
+    constructor(options = {}) {
+        this.frameInterval = options.frameInterval || FRAME_INTERVAL;
+        this.maxSteps = options.maxSteps || MAX_STEPS;
+        this.reset();
+    }
+
+    /**
+     * Empty the queues and the log
+     */
+    reset() {
+        this.time = 0; // Virtual ms
+        this.steps = 0;
+        this.done = false;
+        this.stopped = null; // Why the run was stopped early
+        this.stack = []; // Labels of the frames running, outermost first
+        this.deepestStack = [];
+        this.microtasks = []; // [{ label, run }]
+        this.macrotasks = []; // [{ id, label, due, run }], by due time then order queued
+        this.animationFrames = []; // [{ id, label, run }] for the next frame
+        this.frameCallbacks = []; // Callbacks of the frame being rendered
+        this.log = []; // [{ step, method, text }]
+        this.unhandled = new Set(); // Rejected promises without a handler
+        this.nextId = 1;
+        this.Promise = null; // Modeled Promise class of the loaded snippet
+    }
+
+    /**
+     * Load a snippet; the script becomes the first task
+     * @param {string} source - Snippet
+     * @throws {SyntaxError} If the snippet does not parse
+     * @throws {Error} If it uses async/await, which the model cannot follow
+     */
+    load(source) {
+        this.reset();
+        if (/\b(async|await)\b/.test(maskSource(source))) {
+            throw new Error('async/await is not modeled: await uses the real microtask queue; use then() instead');
+        }
+        const script = new Function(...GLOBALS, '__loopGuard', protectLoops(source));
+        const globals = this.createGlobals();
+        let iterations = 0;
+        const guard = () => {
+            iterations++;
+            if (iterations > MAX_LOOP_ITERATIONS) {
+                throw new Error(`Loop ran more than ${MAX_LOOP_ITERATIONS} times in one task`);
+            }
+        };
+        this.resetIterations = () => {
+            iterations = 0;
+        };
+        this.macrotasks.push({
+            id: 0,
+            label: 'Run script',
+            due: 0,
+            run: () => script(...GLOBALS.map(name => globals[name]), guard)
+        });
+    }
+
+    /**
+     * Modeled globals passed to the snippet
+     * @returns {Object} Globals by name
+     */
+    createGlobals() {
+        this.Promise = createPromiseClass(this);
+        const console = {};
+        CONSOLE_METHODS.forEach(method => {
+            console[method] = (...args) => this.write(method, args);
+        });
+        return {
+            console,
+            setTimeout: (callback, delay = 0, ...args) => {
+                const ms = Math.max(0, Number(delay) || 0);
+                return this.queueMacrotask(`setTimeout callback, ${ms} ms${callbackName(callback)}`, ms, () => callback(...args));
+            },
+            clearTimeout: id => {
+                this.macrotasks = this.macrotasks.filter(task => task.id !== id);
+            },
+            queueMicrotask: callback => {
+                this.queueMicrotask(`queueMicrotask callback${callbackName(callback)}`, () => callback());
+            },
+            requestAnimationFrame: callback => {
+                const id = this.nextId++;
+                this.animationFrames.push({ id, label: `requestAnimationFrame callback${callbackName(callback)}`, run: () => callback(this.time) });
+                return id;
+            },
+            cancelAnimationFrame: id => {
+                this.animationFrames = this.animationFrames.filter(task => task.id !== id);
+                this.frameCallbacks = this.frameCallbacks.filter(task => task.id !== id);
+            },
+            Promise: this.Promise
+        };
+    }
+
+    /**
+     * Add a job to the microtask queue
+     * @param {string} label - Text shown in the queue
+     * @param {Function} run - Job
+     */
+    queueMicrotask(label, run) {
+        this.microtasks.push({ label, run });
+    }
+
+    /**
+     * Add a timer to the macrotask queue
+     * @param {string} label - Text shown in the queue
+     * @param {number} delay - ms from now
+     * @param {Function} run - Callback
+     * @returns {number} Timer id
+     */
+    queueMacrotask(label, delay, run) {
+        const id = this.nextId++;
+        const task = { id, label, due: this.time + delay, run };
+        // Timers with the same due time keep the order they were queued in
+        const index = this.macrotasks.findIndex(candidate => candidate.due > task.due);
+        this.macrotasks.splice(index === -1 ? this.macrotasks.length : index, 0, task);
+        return id;
+    }
+
+    /**
+     * Run a function in a stack frame, so the call stack shows it
+     * @param {string} label - Frame label
+     * @param {Function} fn - Function to run
+     * @returns {any} Its return value
+     */
+    call(label, fn) {
+        this.stack.push(label);
+        if (this.stack.length > this.deepestStack.length) {
+            this.deepestStack = [...this.stack];
+        }
+        try {
+            return fn();
+        } finally {
+            this.stack.pop();
+        }
+    }
+
+    /**
+     * Add a console call to the log
+     * @param {string} method - Console method
+     * @param {Array} args - Arguments
+     */
+    write(method, args) {
+        const values = args.map(arg => (this.Promise && arg instanceof this.Promise ? String(arg) : arg));
+        this.log.push({ step: this.steps, method, text: formatArgs(values) });
+    }
+
+    /**
+     * Take the task the event loop runs next, moving the clock if it has to wait
+     * @returns {Object|null} { label, queue, run }, or null when every queue is empty
+     */
+    nextTask() {
+        if (this.microtasks.length) {
+            return { ...this.microtasks.shift(), queue: 'microtask' };
+        }
+        if (this.frameCallbacks.length) {
+            return { ...this.frameCallbacks.shift(), queue: 'animation frame' };
+        }
+        const timer = this.macrotasks[0];
+        const frame = this.animationFrames.length
+            ? (Math.floor(this.time / this.frameInterval) + 1) * this.frameInterval
+            : Infinity;
+        if (timer && timer.due <= frame) {
+            this.macrotasks.shift();
+            this.time = Math.max(this.time, timer.due);
+            return { ...timer, queue: 'macrotask' };
+        }
+        if (this.animationFrames.length) {
+            // Callbacks requested while the frame renders wait for the next one
+            this.time = frame;
+            this.frameCallbacks = this.animationFrames;
+            this.animationFrames = [];
+            return { ...this.frameCallbacks.shift(), queue: 'animation frame' };
+        }
+        return null;
+    }
+
+    /**
+     * Run the next task
+     * @returns {Object|null} Snapshot after the task (see snapshot()), or null once there is nothing left to run
+     */
+    step() {
+        if (this.done) {
+            return null;
+        }
+        if (this.steps >= this.maxSteps) {
+            this.done = true;
+            this.stopped = `Stopped after ${this.maxSteps} steps`;
+            return null;
+        }
+        const task = this.nextTask();
+        if (!task) {
+            this.done = true;
+            return null;
+        }
+        this.steps++;
+        this.deepestStack = [];
+        this.resetIterations?.();
+        try {
+            this.call(task.label, task.run);
+        } catch (error) {
+            this.write('error', [`Uncaught ${error && error.name ? `${error.name}: ${error.message}` : String(error)}`]);
+        }
+        // Like the browser, a rejection nobody handled is reported once the microtasks have run
+        if (this.microtasks.length === 0) {
+            this.unhandled.forEach(promise => {
+                this.write('error', ['Uncaught (in promise)', promise.value]);
+            });
+            this.unhandled.clear();
+        }
+        return this.snapshot(task);
+    }
+
+    /**
+     * Run every remaining step
+     * @returns {Array} Snapshots of the steps
+     */
+    run() {
+        const snapshots = [];
+        let snapshot = this.step();
+        while (snapshot) {
+            snapshots.push(snapshot);
+            snapshot = this.step();
+        }
+        return snapshots;
+    }
+
+    /**
+     * State after a step
+     * @param {Object} task - Task the step ran
+     * @returns {Object} { step, time, task: { label, queue }, stack, output, log, microtasks, macrotasks, animationFrames }
+     */
+    snapshot(task = null) {
+        return {
+            step: this.steps,
+            time: this.time,
+            task: task ? { label: task.label, queue: task.queue } : null,
+            stack: task ? [...this.deepestStack] : [], // Deepest call stack seen while the task ran
+            output: this.log.filter(entry => entry.step === this.steps),
+            log: [...this.log],
+            microtasks: this.microtasks.map(({ label }) => label),
+            macrotasks: this.macrotasks.map(({ label, due }) => `${label} (at ${due} ms)`),
+            animationFrames: [...this.frameCallbacks, ...this.animationFrames].map(({ label }) => label)
+        };
+    }
+}
+
+export { EventLoopSimulator, FRAME_INTERVAL };
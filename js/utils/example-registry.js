@@ -0,0 +1,122 @@
+/**
+ * Example Registry Module
+ *
+ * Concept modules register their runnable examples here, with metadata
+ * the playground uses to build buttons and run them (see example-runner.js):
+ *
+ * registerExample({
+ *     id: 'fetch-user-data',      // unique, used in data-example="..."
+ *     title: 'Fetch User Data',   // log messages, and the button text unless label is given
+ *     label: 'Fetch User Data',   // optional button text
+ *     section: 'promises',        // log section and default output box (promises-output)
+ *     async: true,                // run() returns a promise
+ *     tags: ['network'],
+ *     run: ({ log }) => fetchUserData(log),
+ *     format: user => `User Data: ${user.name}`, // optional, turns the result into output text
+ *     sandbox: true,              // optional, run in a sandboxed iframe (see sandbox.js)
+ *     module: 'promises.js'       // concept module the sandbox loads the example from
+ * });
+ */
+
+class ExampleRegistry {
+    constructor() {
+        this.examples = new Map(); // id -> example, in registration order
+        this.collector = null; // Map that receives registrations while collect() runs
+    }
+
+    /**
+     * Register an example
+     * @param {Object} definition - Example definition (see module comment)
+     * @returns {Object} The registered example
+     */
+    register(definition) {
+        const { id, title, section, run } = definition;
+        if (!id || typeof id !== 'string') {
+            throw new Error('Example id is required');
+        }
+        const target = this.collector || this.examples;
+        if (target.has(id)) {
+            throw new Error(`Example "${id}" is already registered`);
+        }
+        if (typeof run !== 'function') {
+            throw new Error(`Example "${id}" needs a run function`);
+        }
+
+        const example = {
+            id,
+            title: title || id,
+            label: definition.label || title || id,
+            section: section || 'general',
+            async: Boolean(definition.async),
+            tags: definition.tags || [],
+            description: definition.description || '',
+            output: definition.output || `${section || 'general'}-output`,
+            format: definition.format || null,
+            sandbox: Boolean(definition.sandbox),
+            module: definition.module || null,
+            run
+        };
+        target.set(id, example);
+        return example;
+    }
+
+    /**
+     * Collect the examples registered while a module loads, without adding them
+     * to the registry; used to run edited copies of a concept module (see code-editor.js)
+     * @param {Function} load - Async function that loads the module
+     * @returns {Promise<Array>} Examples the module registered
+     */
+    async collect(load) {
+        const previous = this.collector;
+        const collected = new Map();
+        this.collector = collected;
+        try {
+            await load();
+        } finally {
+            this.collector = previous;
+        }
+        return [...collected.values()];
+    }
+
+    /**
+     * Get an example by id
+     * @param {string} id - Example id
+     * @returns {Object|undefined} The example, if registered
+     */
+    get(id) {
+        return this.examples.get(id);
+    }
+
+    /**
+     * List registered examples, optionally filtered
+     * @param {Object} filters - { section, tag }
+     * @returns {Array} Examples in registration order
+     */
+    list({ section, tag } = {}) {
+        return [...this.examples.values()].filter(example =>
+            (!section || example.section === section) && (!tag || example.tags.includes(tag))
+        );
+    }
+
+    /**
+     * Sections that have at least one example
+     * @returns {Array<string>} Section names
+     */
+    sections() {
+        return [...new Set([...this.examples.values()].map(example => example.section))];
+    }
+}
+
+// Shared registry used by the playground pages
+const exampleRegistry = new ExampleRegistry();
+
+/**
+ * Register an example with the shared registry
+ * @param {Object} definition - Example definition
+ * @returns {Object} The registered example
+ */
+function registerExample(definition) {
+    return exampleRegistry.register(definition);
+}
+
+export { exampleRegistry, ExampleRegistry, registerExample };
@@ -0,0 +1,570 @@
+/**
+ * Example Runner Module
+ *
+ * Runs registered examples (see example-registry.js) the same way on
+ * every page: a run logger with its own correlation ID, console capture
+ * attribution, output rendering and error capture. Buttons are wired with
+ * data attributes instead of inline onclick handlers:
+ *
+ * <div data-examples="promises"></div>       buttons for every example of a section
+ * <button data-example="fetch-user-data">    a button for one example
+ *
+ * Each run gets a RunContext (see run-context.js) with an AbortSignal and
+ * timer/fetch helpers. Running an example again cancels its previous run;
+ * the section's Stop button or leaving the page cancels every run.
+ * With deterministic mode on (see deterministic.js) the context's timers,
+ * random() and Date are virtual, so the output is reproducible and instant.
+ * The API switch (see api-config.js) points the network examples at the
+ * live APIs or the offline mock API (see mock-api.js), and the network
+ * panel makes their requests slow or fail (see network-simulator.js).
+ * Their requests can be recorded and replayed (see http-recorder.js).
+ * Examples registered with sandbox: true run in a sandboxed iframe with
+ * their own DOM fixture and a time budget (see sandbox.js).
+ * With the promise timeline on, the run's Promise records its promises
+ * and the output box draws them (see promise-tracker.js and
+ * promise-timeline.js); sandboxed runs have their own Promise and are
+ * not drawn.
+ *
+ * Console output is shown in the output box below the example's result
+ * (see console-output.js). Like console capture, it goes to the latest
+ * run, so output of timers an example left running shows up until the next
+ * run starts; with several runs at once (runAllExamples() with concurrency)
+ * it ends up in the box of the run that started last
+ *
+ * runAllExamples() runs every registered example and reports pass/fail,
+ * duration and log counts per example (see run-all-dashboard.js)
+ */
+
+import { logger } from './logger.js';
+import { consoleCapture } from './console-capture.js';
+import { ConsoleOutput } from './console-output.js';
+import { exampleRegistry } from './example-registry.js';
+import { Transport } from './log-transports.js';
+import { RunContext, isAbortError } from './run-context.js';
+import { deterministicMode, DeterministicMode } from './deterministic.js';
+import { sandbox, loadConceptSource } from './sandbox.js';
+import { apiConfig, ApiConfig, API_MODES, MOCK_API_BASE } from './api-config.js';
+import { installMockFetch } from './mock-api.js';
+import { networkSimulator, NetworkSimulator } from './network-simulator.js';
+import { mountNetworkPanel } from './network-panel.js';
+import { httpRecorder } from './http-recorder.js';
+import { mountRecorderPanel } from './recorder-panel.js';
+import { PromiseTracker } from './promise-tracker.js';
+import { PromiseTimeline } from './promise-timeline.js';
+
+// Latest run of each example: id -> { example, run, settled }
+const activeRuns = new Map();
+
+// Output box of the latest run, which receives console output
+let latestConsoleOutput = null;
+let listeningToConsole = false;
+
+let pageControlsMounted = false;
+let fetchLayersInstalled = false;
+let timelineEnabled = false;
+
+/**
+ * Show text in an output box with a short highlight animation
+ * @param {string} elementId - Output element id
+ * @param {string} content - Text to show
+ */
+function updateOutput(elementId, content) {
+    const element = document.getElementById(elementId);
+    if (element) {
+        // Console output below the result (see console-output.js) is kept
+        const result = element.querySelector(':scope > .output-result') || element;
+        result.textContent = content;
+        element.classList.add('updated');
+
+        // Remove animation class after animation completes
+        setTimeout(() => {
+            element.classList.remove('updated');
+        }, 500);
+    }
+}
+
+/**
+ * Cancel the latest run of an example, including timers and fetches it left running
+ * @param {string} id - Example id
+ * @param {string} reason - Cancellation message
+ */
+function stopRun(id, reason) {
+    const active = activeRuns.get(id);
+    if (!active) {
+        return;
+    }
+    activeRuns.delete(id);
+    const { example, run, settled } = active;
+    const hadWork = run.hasPendingWork();
+    run.abort(reason);
+
+    // A pending run reports the cancellation itself (see runExample)
+    if (settled && hadWork) {
+        run.log.warn(`${example.title} cancelled`, { reason, background: true });
+        updateOutput(example.output, `${example.title} cancelled`);
+    }
+}
+
+/**
+ * Cancel the runs of a section's examples
+ * @param {string} section - Section identifier
+ * @param {string} reason - Cancellation message
+ * @returns {boolean} True if there was a run to cancel
+ */
+function stopExamples(section, reason = 'Stopped') {
+    const ids = [...activeRuns.values()]
+        .filter(({ example }) => example.section === section)
+        .map(({ example }) => example.id);
+    ids.forEach(id => stopRun(id, reason));
+    return ids.length > 0;
+}
+
+/**
+ * Cancel the runs of every example
+ * @param {string} reason - Cancellation message
+ */
+function stopAllExamples(reason = 'Stopped') {
+    [...activeRuns.keys()].forEach(id => stopRun(id, reason));
+}
+
+/**
+ * Start showing console output in a run's output box
+ * @param {Object} example - Example being run
+ * @returns {ConsoleOutput|null} Console output, or null if the page has no output box for the example
+ */
+function startConsoleOutput(example) {
+    if (!listeningToConsole) {
+        consoleCapture.addListener((method, args) => {
+            if (latestConsoleOutput) {
+                latestConsoleOutput.write(method, args);
+            }
+        }, logger);
+        listeningToConsole = true;
+    }
+    const element = document.getElementById(example.output);
+    latestConsoleOutput = element ? new ConsoleOutput(element) : null;
+    return latestConsoleOutput;
+}
+
+/**
+ * Draw a run's promises in its output box, below the console output
+ * @param {Object} example - Example being run
+ * @param {PromiseTracker} tracker - Tracker of the run
+ */
+function showTimeline(example, tracker) {
+    const element = document.getElementById(example.output);
+    if (element) {
+        element.appendChild(new PromiseTimeline(tracker).element);
+    }
+}
+
+/**
+ * Run an example in the sandbox, from its own source or its concept module's
+ * @param {Object} example - Example with sandbox: true, and module or source set
+ * @param {RunContext} run - Run context; its signal removes the frame
+ * @param {ConsoleOutput|null} consoleOutput - Receives the frame's console output
+ * @returns {Promise<any>} Formatted output
+ */
+async function runSandboxed(example, run, consoleOutput) {
+    if (!example.source && !example.module) {
+        throw new Error(`Example "${example.id}" has no module to load in the sandbox`);
+    }
+    return sandbox.run({
+        source: example.source ?? await loadConceptSource(example.module),
+        file: example.module ?? `${example.section}.js`,
+        exampleId: example.id,
+        log: run.log,
+        signal: run.signal,
+        timeBudget: example.timeBudget,
+        onConsole: (method, args) => consoleOutput && consoleOutput.write(method, args),
+        deterministic: run.deterministic
+            ? { seed: deterministicMode.seed, startTime: deterministicMode.startTime }
+            : null
+    });
+}
+
+/**
+ * Run a registered example
+ * Errors are logged and shown in the output box, never thrown
+ * @param {string} id - Example id
+ * @returns {Promise<Object>} { status: 'ok' | 'error' | 'cancelled', result, error, runId, duration }
+ */
+async function runExample(id) {
+    const example = exampleRegistry.get(id);
+    if (!example) {
+        logger.error(`Unknown example: ${id}`, 'system');
+        return { status: 'error', error: new Error(`Unknown example: ${id}`) };
+    }
+    return runDefinition(example);
+}
+
+/**
+ * Run an example definition, registered or not (like an edited copy from the code editor)
+ * It replaces the latest run of the example with the same id.
+ * A sandboxed definition may carry its module source (source) and a time budget in ms (timeBudget)
+ * @param {Object} example - Normalized example (see ExampleRegistry.register())
+ * @returns {Promise<Object>} Same as runExample()
+ */
+async function runDefinition(example) {
+    stopRun(example.id, 'Restarted');
+    const log = logger.startRun(example.section, { example: example.id });
+    const environment = deterministicMode.enabled ? deterministicMode.createEnvironment() : null;
+    const tracker = timelineEnabled && !example.sandbox
+        ? new PromiseTracker({ now: environment ? environment.clock.now : undefined })
+        : null;
+    const run = new RunContext(log, environment, tracker ? { Promise: tracker.createPromiseClass() } : {});
+    const active = { example, run, settled: false };
+    activeRuns.set(example.id, active);
+    consoleCapture.setRun(log);
+    const consoleOutput = startConsoleOutput(example);
+    if (tracker && consoleOutput) {
+        showTimeline(example, tracker);
+    }
+    log.info(`Starting ${example.title}`, environment ? { seed: deterministicMode.seed } : undefined);
+    console.log(`Running ${example.title}...`);
+    const started = performance.now();
+
+    try {
+        const result = await run.race(Promise.resolve().then(
+            () => (example.sandbox ? runSandboxed(example, run, consoleOutput) : example.run(run))
+        ));
+        // Sandboxed output was formatted in the frame
+        updateOutput(example.output, example.format && !example.sandbox ? example.format(result) : result);
+        log.info(`${example.title} completed`, { result });
+        return { status: 'ok', result, runId: log.context.runId, duration: performance.now() - started };
+    } catch (error) {
+        if (run.aborted && isAbortError(error)) {
+            log.warn(`${example.title} cancelled`, { reason: error.message });
+            updateOutput(example.output, `${example.title} cancelled`);
+            return { status: 'cancelled', error, runId: log.context.runId, duration: performance.now() - started };
+        }
+        log.error(`${example.title} failed`, { error });
+        updateOutput(example.output, `Error: ${error.message}`);
+        return { status: 'error', error, runId: log.context.runId, duration: performance.now() - started };
+    } finally {
+        active.settled = true;
+    }
+}
+
+/**
+ * Counts the entries written for each run while runAllExamples() is active
+ * (the logger only keeps the most recent entries in memory)
+ */
+class RunCounter extends Transport {
+    constructor() {
+        super({ name: 'run-counter' });
+        this.counts = new Map(); // runId -> { logs, errors }
+    }
+
+    write(logEntry) {
+        this.add(logEntry, 1);
+    }
+
+    repeated(logEntry, added) {
+        this.add(logEntry, added);
+    }
+
+    add(logEntry, count) {
+        const runId = logEntry.context && logEntry.context.runId;
+        if (!runId) {
+            return;
+        }
+        const counts = this.get(runId);
+        counts.logs += count;
+        if (logEntry.level === 'error') {
+            counts.errors += count;
+        }
+    }
+
+    /**
+     * @param {string} runId - Run correlation ID
+     * @returns {Object} { logs, errors }
+     */
+    get(runId) {
+        if (!this.counts.has(runId)) {
+            this.counts.set(runId, { logs: 0, errors: 0 });
+        }
+        return this.counts.get(runId);
+    }
+}
+
+/**
+ * Run every registered example (or the ones matching a section/tag)
+ * With a concurrency above 1, captured console output is attributed to
+ * whichever example started last, so its log counts are approximate
+ * @param {Object} options - Run options
+ * @param {number} options.concurrency - Examples running at the same time (1 runs them one by one)
+ * @param {string} options.section - Only run examples of this section
+ * @param {string} options.tag - Only run examples with this tag
+ * @param {AbortSignal} options.signal - Stops starting examples and cancels the running ones
+ * @param {Function} options.onResult - Called with each result as soon as it is known
+ * @returns {Promise<Object>} { results, passed, failed, cancelled, duration }; results are in
+ *   registration order, examples that never started are left out
+ */
+async function runAllExamples({ concurrency = 1, section, tag, signal, onResult = () => {} } = {}) {
+    const examples = exampleRegistry.list({ section, tag });
+    const results = new Array(examples.length);
+    const counter = logger.addTransport(new RunCounter());
+    const started = performance.now();
+    let next = 0;
+    const onAbort = () => stopAllExamples('Run all stopped');
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    logger.info('Running all examples', 'system', { count: examples.length, concurrency });
+
+    const worker = async () => {
+        while (next < examples.length && !(signal && signal.aborted)) {
+            const index = next++;
+            const example = examples[index];
+            const { status, error, runId, duration } = await runExample(example.id);
+            const { logs, errors } = counter.get(runId);
+            results[index] = {
+                id: example.id,
+                title: example.title,
+                section: example.section,
+                status,
+                error: error ? error.message : null,
+                duration,
+                logs,
+                errors,
+                runId
+            };
+            onResult(results[index], index);
+        }
+    };
+
+    try {
+        const workers = Math.max(1, Math.min(concurrency, examples.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+    } finally {
+        logger.removeTransport(counter);
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    const finished = results.filter(Boolean);
+    const summary = {
+        results: finished,
+        passed: finished.filter(result => result.status === 'ok').length,
+        failed: finished.filter(result => result.status === 'error').length,
+        cancelled: finished.filter(result => result.status === 'cancelled').length,
+        duration: performance.now() - started
+    };
+    logger.info('All examples finished', 'system', {
+        passed: summary.passed,
+        failed: summary.failed,
+        cancelled: summary.cancelled,
+        duration: Math.round(summary.duration)
+    });
+    return summary;
+}
+
+/**
+ * Create a button that runs an example
+ * @param {Object} example - Registered example
+ * @returns {HTMLButtonElement} Button
+ */
+function createExampleButton(example) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.example = example.id;
+    button.textContent = example.label;
+    if (example.description) {
+        button.title = example.description;
+    }
+    return button;
+}
+
+/**
+ * Create a button that cancels the running example of a section
+ * @param {string} section - Section identifier
+ * @returns {HTMLButtonElement} Button
+ */
+function createStopButton(section) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'stop-button';
+    button.dataset.stopSection = section;
+    button.textContent = 'Stop';
+    button.title = 'Cancel the running example, its timers and requests';
+    return button;
+}
+
+/**
+ * Add the deterministic mode switch (checkbox and seed) to a container
+ * The setting is read from the URL or the last choice (see DeterministicMode.requested())
+ * @param {HTMLElement} container - Element to add the switch to
+ * @returns {HTMLElement} The switch
+ */
+function mountDeterministicControls(container) {
+    const requested = DeterministicMode.requested();
+    if (requested) {
+        deterministicMode.enable(requested);
+    }
+
+    const controls = document.createElement('label');
+    controls.className = 'deterministic-controls';
+    controls.title = 'Seeded random numbers, virtual timers and a fixed Date: reproducible and instant output';
+    controls.innerHTML = `
+        <input type="checkbox" class="deterministic-toggle"${deterministicMode.enabled ? ' checked' : ''}>
+        Deterministic, seed
+        <input type="number" class="deterministic-seed" value="${deterministicMode.seed}">
+    `;
+    const toggle = controls.querySelector('.deterministic-toggle');
+    const seed = controls.querySelector('.deterministic-seed');
+
+    const apply = () => {
+        if (toggle.checked) {
+            deterministicMode.enable({ seed: Number(seed.value) || 0 });
+        } else {
+            deterministicMode.disable();
+        }
+        DeterministicMode.saveRequested(toggle.checked, deterministicMode.seed);
+        logger.info(`Deterministic mode ${toggle.checked ? 'enabled' : 'disabled'}`, 'system', { seed: deterministicMode.seed });
+    };
+    toggle.addEventListener('change', apply);
+    seed.addEventListener('change', () => {
+        if (toggle.checked) {
+            apply();
+        }
+    });
+
+    container.appendChild(controls);
+    return controls;
+}
+
+/**
+ * Add the promise timeline switch to a container
+ * The setting is read from the URL or the last choice (see PromiseTimeline.requested())
+ * @param {HTMLElement} container - Element to add the switch to
+ * @returns {HTMLElement} The switch
+ */
+function mountTimelineControls(container) {
+    timelineEnabled = PromiseTimeline.requested();
+
+    const controls = document.createElement('label');
+    controls.className = 'timeline-controls';
+    controls.title = 'Draw the promises of each run, made with the Promise of its run context, as a timeline';
+    controls.innerHTML = `
+        <input type="checkbox" class="timeline-toggle"${timelineEnabled ? ' checked' : ''}>
+        Promise timeline
+    `;
+    const toggle = controls.querySelector('.timeline-toggle');
+    toggle.addEventListener('change', () => {
+        timelineEnabled = toggle.checked;
+        PromiseTimeline.saveRequested(timelineEnabled);
+        logger.info(`Promise timeline ${timelineEnabled ? 'enabled' : 'disabled'}`, 'system');
+    });
+
+    container.appendChild(controls);
+    return controls;
+}
+
+/**
+ * Wrap fetch() once, innermost first: the mock API answers /mock-api
+ * requests when the dev server does not, the HTTP recorder records or
+ * replays responses, and the network simulator sees every request, mock
+ * and replayed ones included
+ */
+function installFetchLayers() {
+    if (fetchLayersInstalled) {
+        return;
+    }
+    fetchLayersInstalled = true;
+    installMockFetch({ base: MOCK_API_BASE });
+    httpRecorder.install();
+
+    const requested = NetworkSimulator.requested();
+    if (requested) {
+        networkSimulator.load(requested);
+    }
+    networkSimulator.install();
+}
+
+/**
+ * Add the API switch (live APIs or the offline mock API) to a container
+ * The setting is read from the URL or the last choice (see ApiConfig.requested())
+ * @param {HTMLElement} container - Element to add the switch to
+ * @returns {HTMLElement} The switch
+ */
+function mountApiControls(container) {
+    apiConfig.configure(ApiConfig.requested());
+    installFetchLayers();
+
+    const controls = document.createElement('label');
+    controls.className = 'api-controls';
+    controls.title = 'Send the network examples to the live public APIs or to the offline mock API';
+    controls.innerHTML = `
+        API
+        <select class="api-mode">
+            ${API_MODES.map(mode => `<option value="${mode}"${mode === apiConfig.mode ? ' selected' : ''}>${mode === 'mock' ? 'Mock (offline)' : 'Live'}</option>`).join('')}
+        </select>
+    `;
+    const select = controls.querySelector('.api-mode');
+    select.addEventListener('change', () => {
+        apiConfig.configure({ mode: select.value });
+        ApiConfig.saveRequested(select.value);
+        logger.info(`Network examples use the ${select.value} API`, 'system', { mode: select.value });
+    });
+
+    container.appendChild(controls);
+    return controls;
+}
+
+/**
+ * Fill [data-examples] containers with buttons (plus a Stop button) and wire
+ * every [data-example] and [data-stop-section] button
+ * @param {HTMLElement} root - Element to search (defaults to the document)
+ */
+function mountExamples(root = document) {
+    root.querySelectorAll('[data-examples]').forEach(container => {
+        const section = container.dataset.examples;
+        exampleRegistry.list({ section }).forEach(example => {
+            container.appendChild(createExampleButton(example));
+        });
+        container.appendChild(createStopButton(section));
+    });
+
+    root.addEventListener('click', event => {
+        const button = event.target.closest('[data-example], [data-stop-section]');
+        if (!button) {
+            return;
+        }
+        if (button.dataset.stopSection) {
+            stopExamples(button.dataset.stopSection);
+        } else {
+            runExample(button.dataset.example);
+        }
+    });
+
+    // Page-wide controls are mounted once, however many views mount examples
+    if (pageControlsMounted) {
+        return;
+    }
+    pageControlsMounted = true;
+
+    // Leaving the page cancels whatever is still running
+    window.addEventListener('pagehide', () => stopAllExamples('Page closed'));
+
+    const footer = document.querySelector('footer');
+    if (footer) {
+        mountDeterministicControls(footer);
+        mountTimelineControls(footer);
+        mountApiControls(footer);
+        mountNetworkPanel(networkSimulator, footer);
+        mountRecorderPanel(httpRecorder, footer);
+    }
+}
+
+export {
+    runExample,
+    runDefinition,
+    runAllExamples,
+    stopExamples,
+    stopAllExamples,
+    mountExamples,
+    updateOutput
+};
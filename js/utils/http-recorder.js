@@ -0,0 +1,288 @@
+/**
+ * HTTP Recorder Module
+ *
+ * Records the requests made with fetch() and their responses into a
+ * fixture, and replays a fixture later without the network:
+ *
+ * httpRecorder.record();
+ * await runExample('chain-api-calls');
+ * const fixture = httpRecorder.stop(); // JSON-ready, see toFixture()
+ *
+ * httpRecorder.replay(fixture, { timeScale: 0.1 }); // 10x faster than recorded
+ * await runExample('chain-api-calls');              // same responses, no network
+ *
+ * Replayed requests are matched by method, URL and body. Requests that were
+ * recorded more than once get their responses in recorded order, the last
+ * one repeating. timeScale stretches the recorded duration of each request:
+ * 1 keeps the original timing, 0 answers at once. Only this per-request
+ * latency is replayed: a response is due its duration after the request is
+ * made, whenever that is. startedAt (when the request was made during the
+ * recording) is kept in the fixture for reference, but replays are not
+ * scheduled by it. A request the fixture does not have fails, unless
+ * onMiss is 'network'.
+ *
+ * install() wraps fetch() inside the network simulator (see
+ * example-runner.js), so recordings hold the real responses and replays
+ * still go through the simulated network
+ */
+
+import { logger } from './logger.js';
+import { wait, NULL_BODY_STATUSES } from './mock-api.js';
+
+const FIXTURE_VERSION = 1;
+// Content types stored as text; other bodies are stored as base64
+const TEXT_TYPES = /json|text|xml|javascript|x-www-form-urlencoded/i;
+// Headers that describe the bytes on the wire, not the decoded body that is stored
+const SKIPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {string} Base64 text
+ */
+function toBase64(buffer) {
+    let binary = '';
+    new Uint8Array(buffer).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Method, absolute URL and body text of a fetch() call
+ * @param {string|Request} input - Resource
+ * @param {Object} init - fetch options
+ * @returns {Promise<Object>} { method, url, body }
+ */
+async function describeRequest(input, init) {
+    const request = typeof input === 'object' && input !== null && 'url' in input ? input : null;
+    const url = new URL(request ? request.url : String(input), globalThis.location?.href).href;
+    const method = (init.method || request?.method || 'GET').toUpperCase();
+    let body = '';
+    if (init.body !== undefined && init.body !== null) {
+        body = typeof init.body === 'string' ? init.body : await new Response(init.body).text();
+    } else if (request && request.body) {
+        body = await request.clone().text();
+    }
+    return { method, url, body };
+}
+
+/**
+ * Key replayed requests are matched by
+ * @param {Object} request - { method, url, body }
+ * @returns {string} Key
+ */
+function requestKey({ method, url, body }) {
+    return `${method} ${url}\n${body}`;
+}
+
+class HttpRecorder {
+    constructor() {
+        this.mode = 'off'; // 'off', 'record' or 'replay'
+        this.entries = []; // Recorded entries, or the entries being replayed
+        this.started = 0; // performance.now() when recording started
+        this.timeScale = 1;
+        this.onMiss = 'error';
+        this.queues = new Map(); // Replay: request key -> entries not served yet
+        this.stats = { served: 0, misses: 0 };
+        this.listeners = new Set();
+        this.restore = null;
+    }
+
+    /**
+     * Wrap fetch() so requests are recorded or replayed
+     * @param {Object} target - Object whose fetch is wrapped (globalThis by default)
+     * @returns {Function} Restores the original fetch
+     */
+    install(target = globalThis) {
+        if (this.restore) {
+            return this.restore;
+        }
+        const originalFetch = target.fetch;
+        const recorder = this;
+        target.fetch = function recordedFetch(input, init = {}) {
+            const next = (...args) => originalFetch.apply(target, args);
+            if (recorder.mode === 'record') {
+                return recorder.recordRequest(input, init, next);
+            }
+            if (recorder.mode === 'replay') {
+                return recorder.replayRequest(input, init, next);
+            }
+            return next(input, init);
+        };
+        this.restore = () => {
+            target.fetch = originalFetch;
+            this.restore = null;
+        };
+        return this.restore;
+    }
+
+    /**
+     * Start a new recording
+     */
+    record() {
+        this.mode = 'record';
+        this.entries = [];
+        this.started = performance.now();
+        logger.info('Recording HTTP requests', 'network');
+        this.notify();
+    }
+
+    /**
+     * Stop recording or replaying
+     * @returns {Object} Fixture of the last recording or replay
+     */
+    stop() {
+        const wasRecording = this.mode === 'record';
+        this.mode = 'off';
+        if (wasRecording) {
+            logger.info('HTTP recording stopped', 'network', { requests: this.entries.length });
+        }
+        this.notify();
+        return this.toFixture();
+    }
+
+    /**
+     * Serve the responses of a fixture instead of sending requests
+     * @param {Object} fixture - Fixture from toFixture()
+     * @param {Object} options - { timeScale: 1 keeps the recorded timing, 0 answers at once; onMiss: 'error' or 'network' }
+     * @throws {Error} If the fixture is not one this version can read
+     */
+    replay(fixture, { timeScale = this.timeScale, onMiss = this.onMiss } = {}) {
+        if (!fixture || fixture.version !== FIXTURE_VERSION || !Array.isArray(fixture.entries)) {
+            throw new Error(`Not an HTTP fixture (version ${FIXTURE_VERSION} expected)`);
+        }
+        this.mode = 'replay';
+        this.entries = fixture.entries;
+        this.timeScale = timeScale;
+        this.onMiss = onMiss;
+        this.stats = { served: 0, misses: 0 };
+        this.queues = new Map();
+        this.entries.forEach(entry => {
+            const key = requestKey(entry.request);
+            if (!this.queues.has(key)) {
+                this.queues.set(key, []);
+            }
+            this.queues.get(key).push(entry);
+        });
+        logger.info('Replaying HTTP fixture', 'network', { requests: this.entries.length, timeScale, onMiss });
+        this.notify();
+    }
+
+    /**
+     * Update replay options; see replay()
+     * @param {Object} options - { timeScale, onMiss }
+     */
+    configure(options = {}) {
+        if (options.timeScale !== undefined) {
+            this.timeScale = options.timeScale;
+        }
+        if (options.onMiss !== undefined) {
+            this.onMiss = options.onMiss;
+        }
+    }
+
+    /**
+     * The recorded requests as a fixture that can be saved as JSON
+     * startedAt is ms since record() was called; replays only use duration
+     * @returns {Object} { version, recordedAt, entries: [{ request, response, startedAt, duration }] }
+     */
+    toFixture() {
+        return { version: FIXTURE_VERSION, recordedAt: new Date().toISOString(), entries: [...this.entries] };
+    }
+
+    /**
+     * Record a request and its response
+     * @param {string|Request} input - Resource
+     * @param {Object} init - fetch options
+     * @param {Function} next - fetch() to send it with
+     * @returns {Promise<Response>} The response
+     */
+    async recordRequest(input, init, next) {
+        const request = await describeRequest(input, init);
+        const startedAt = performance.now();
+        const response = await next(input, init);
+        // Reading a clone keeps the caller's body unread
+        const buffer = await response.clone().arrayBuffer();
+        const contentType = response.headers.get('Content-Type') || '';
+        const isText = TEXT_TYPES.test(contentType) || buffer.byteLength === 0;
+        this.entries.push({
+            request,
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries([...response.headers.entries()].filter(([name]) => !SKIPPED_HEADERS.includes(name))),
+                body: isText ? new TextDecoder().decode(buffer) : toBase64(buffer),
+                encoding: isText ? 'text' : 'base64'
+            },
+            startedAt: Math.round(startedAt - this.started),
+            duration: Math.round(performance.now() - startedAt)
+        });
+        logger.debug(`Recorded ${request.method} ${request.url}`, 'network', { status: response.status });
+        this.notify();
+        return response;
+    }
+
+    /**
+     * Answer a request from the fixture
+     * @param {string|Request} input - Resource
+     * @param {Object} init - fetch options
+     * @param {Function} next - fetch() used for misses when onMiss is 'network'
+     * @returns {Promise<Response>} The recorded response
+     */
+    async replayRequest(input, init, next) {
+        const request = await describeRequest(input, init);
+        const queue = this.queues.get(requestKey(request));
+        if (!queue) {
+            this.stats.misses++;
+            this.notify();
+            logger.warn(`No recorded response for ${request.method} ${request.url}`, 'network', { onMiss: this.onMiss });
+            if (this.onMiss === 'network') {
+                return next(input, init);
+            }
+            throw new Error(`No recorded response for ${request.method} ${request.url}`);
+        }
+
+        // The last recorded response repeats once the others are used up
+        const entry = queue.length > 1 ? queue.shift() : queue[0];
+        const signal = init.signal || input?.signal || null;
+        if (entry.duration * this.timeScale > 0) {
+            await wait(entry.duration * this.timeScale, signal);
+        }
+        signal?.throwIfAborted();
+
+        const { status, statusText, headers, body, encoding } = entry.response;
+        const nullBody = NULL_BODY_STATUSES.includes(status) || request.method === 'HEAD';
+        this.stats.served++;
+        this.notify();
+        return new Response(nullBody ? null : (encoding === 'base64' ? fromBase64(body) : body), { status, statusText, headers });
+    }
+
+    /**
+     * Get told when the mode changes or a request is recorded or replayed
+     * @param {Function} listener - recorder => void
+     * @returns {Function} Removes the listener
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Shared recorder used by the recorder panel and the example runner
+const httpRecorder = new HttpRecorder();
+
+export { httpRecorder, HttpRecorder, FIXTURE_VERSION };
@@ -0,0 +1,157 @@
+/**
+ * JSON Tree Module
+ *
+ * Renders a value as an expandable tree of <details> elements.
+ * Values are serialized first (see serialize.js), so Maps, Errors,
+ * circular references and friends are shown with readable labels.
+ * Children are only rendered when a node is opened, which keeps large
+ * payloads cheap to display
+ */
+
+import { toSerializable } from './serialize.js';
+
+/**
+ * Short label for a serialized value
+ * @param {any} value - Serialized value
+ * @returns {string} Label such as Array(3), Map(2) or "text"
+ */
+function describe(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return `Array(${value.length})`;
+    }
+    if (typeof value === 'string') {
+        return JSON.stringify(value);
+    }
+    if (typeof value !== 'object') {
+        return String(value);
+    }
+
+    switch (value.__type) {
+        case undefined:
+            return value.__class ? `${value.__class} {…}` : `{…}`;
+        case 'Map':
+            return `Map(${value.entries.length})`;
+        case 'Set':
+            return `Set(${value.values.length})`;
+        case 'Error':
+            return `${value.name}: ${value.message}`;
+        case 'TypedArray':
+            return `${value.type}(${value.length})`;
+        case 'Date':
+            return value.value;
+        case 'RegExp':
+            return `/${value.source}/${value.flags}`;
+        case 'BigInt':
+            return `${value.value}n`;
+        case 'Number':
+            return value.value;
+        case 'Symbol':
+            return `Symbol(${value.description})`;
+        case 'Function':
+            return `ƒ ${value.name}()`;
+        case 'Node':
+            return `<${value.node}>`;
+        case 'Circular':
+            return `[Circular ${value.path}]`;
+        case 'undefined':
+            return 'undefined';
+        default:
+            return value.__type;
+    }
+}
+
+/**
+ * Get the child entries of a serialized value
+ * @param {any} value - Serialized value
+ * @returns {Array} [key, child] pairs (empty for leaves)
+ */
+function childrenOf(value) {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => [index, item]);
+    }
+    if (value === null || typeof value !== 'object') {
+        return [];
+    }
+
+    switch (value.__type) {
+        case undefined:
+            return Object.entries(value).filter(([key]) => key !== '__class');
+        case 'Map':
+            return value.entries.map(([key, item]) => [describe(key), item]);
+        case 'Set':
+            return value.values.map((item, index) => [index, item]);
+        case 'TypedArray':
+            return value.values.map((item, index) => [index, item]);
+        case 'Error':
+            return Object.entries(value).filter(([key]) => !['__type', 'name', 'message'].includes(key));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Render one node of the tree
+ * @param {string|number|null} key - Property key, or null for the root
+ * @param {any} value - Serialized value
+ * @param {number} expandDepth - Levels that start opened
+ * @returns {HTMLElement} Tree node element
+ */
+function renderNode(key, value, expandDepth) {
+    const children = childrenOf(value);
+    const label = key === null ? describe(value) : `${key}: ${describe(value)}`;
+
+    if (children.length === 0) {
+        const leaf = document.createElement('div');
+        leaf.className = `json-leaf json-${value === null ? 'null' : typeof value}`;
+        leaf.textContent = label;
+        return leaf;
+    }
+
+    const node = document.createElement('details');
+    node.className = 'json-node';
+    const summary = document.createElement('summary');
+    summary.textContent = label;
+    node.appendChild(summary);
+
+    let rendered = false;
+    const renderChildren = () => {
+        if (rendered) {
+            return;
+        }
+        rendered = true;
+        children.forEach(([childKey, child]) => {
+            node.appendChild(renderNode(childKey, child, expandDepth - 1));
+        });
+    };
+
+    node.addEventListener('toggle', () => {
+        if (node.open) {
+            renderChildren();
+        }
+    });
+    if (expandDepth > 0) {
+        renderChildren();
+        node.open = true;
+    }
+
+    return node;
+}
+
+/**
+ * Render any value as an expandable tree
+ * @param {any} value - Raw or already serialized value
+ * @param {Object} options - { expandDepth: levels opened initially (default 1) }
+ * @returns {HTMLElement} Root element of the tree
+ */
+function renderJsonTree(value, options = {}) {
+    const { expandDepth = 1 } = options;
+    const root = document.createElement('div');
+    root.className = 'json-tree';
+    root.appendChild(renderNode(null, toSerializable(value), expandDepth));
+    return root;
+}
+
+export { renderJsonTree };
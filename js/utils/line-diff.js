@@ -0,0 +1,114 @@
+/**
+ * Line Diff Module
+ *
+ * Line-by-line diff (longest common subsequence) between two texts, used by
+ * the code editor's "diff vs original" action. The common prefix and suffix
+ * are trimmed first, so a small edit in a long file stays cheap
+ */
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - Original text
+ * @param {string} after - Edited text
+ * @returns {Array} Lines: { type: 'same' | 'added' | 'removed', text, oldLine, newLine }
+ */
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    // lengths[i * width + j] = LCS length of a[start + i..endA) and b[start + j..endB)
+    const rows = endA - start;
+    const cols = endB - start;
+    const width = cols + 1;
+    const lengths = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[start + i] === b[start + j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const lines = [];
+    for (let k = 0; k < start; k++) {
+        lines.push({ type: 'same', text: a[k], oldLine: k + 1, newLine: k + 1 });
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+        if (i < rows && j < cols && a[start + i] === b[start + j]) {
+            lines.push({ type: 'same', text: a[start + i], oldLine: start + i + 1, newLine: start + j + 1 });
+            i++;
+            j++;
+        } else if (i < rows && (j === cols || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+            lines.push({ type: 'removed', text: a[start + i], oldLine: start + i + 1, newLine: null });
+            i++;
+        } else {
+            lines.push({ type: 'added', text: b[start + j], oldLine: null, newLine: start + j + 1 });
+            j++;
+        }
+    }
+    for (let k = 0; k < a.length - endA; k++) {
+        lines.push({ type: 'same', text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+    }
+    return lines;
+}
+
+/**
+ * Render a diff, showing only changed lines with some context around them
+ * @param {Array} lines - Result of diffLines()
+ * @param {Object} options - { context: unchanged lines shown around a change }
+ * @returns {HTMLElement} Diff element
+ */
+function renderDiff(lines, { context = 3 } = {}) {
+    const container = document.createElement('pre');
+    container.className = 'line-diff';
+
+    const changed = lines.map(line => line.type !== 'same');
+    if (!changed.includes(true)) {
+        container.classList.add('empty');
+        container.textContent = 'No changes';
+        return container;
+    }
+
+    const visible = lines.map((line, index) => {
+        const from = Math.max(0, index - context);
+        const to = Math.min(lines.length, index + context + 1);
+        return changed.slice(from, to).includes(true);
+    });
+
+    const markers = { same: ' ', added: '+', removed: '-' };
+    let skipped = false;
+    lines.forEach((line, index) => {
+        if (!visible[index]) {
+            skipped = true;
+            return;
+        }
+        if (skipped) {
+            const gap = document.createElement('div');
+            gap.className = 'line-diff-gap';
+            gap.textContent = '⋯';
+            container.appendChild(gap);
+            skipped = false;
+        }
+        const row = document.createElement('div');
+        row.className = `line-diff-${line.type}`;
+        const number = line.newLine ?? line.oldLine;
+        row.textContent = `${String(number).padStart(4)} ${markers[line.type]} ${line.text}`;
+        container.appendChild(row);
+    });
+    return container;
+}
+
+export { diffLines, renderDiff };
@@ -0,0 +1,308 @@
+/**
+ * Log Export Module
+ *
+ * Converts log entries to JSON, NDJSON, CSV or a self-contained HTML
+ * report, and parses any of those files back into entries so a log
+ * attached to a bug report can be opened in the log viewer
+ */
+
+import { safeStringify, toSerializable } from './serialize.js';
+import { sectionLabel } from './log-transports.js';
+
+const CSV_COLUMNS = ['timestamp', 'level', 'section', 'message', 'data', 'context', 'span', 'repeat'];
+const JSON_COLUMNS = ['data', 'context', 'span']; // CSV columns holding JSON
+const REPORT_DATA_ID = 'playground-log-data';
+
+/**
+ * Entry with its data serialized, so every format writes the same values
+ * @param {Object} entry - Log entry
+ * @returns {Object} Plain entry
+ */
+function plainEntry(entry) {
+    return { ...entry, data: toSerializable(entry.data) };
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {string} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toJSON(entries) {
+    return safeStringify(entries.map(plainEntry), 2);
+}
+
+function toNDJSON(entries) {
+    return entries.map(entry => safeStringify(plainEntry(entry))).join('\n');
+}
+
+function toCSV(entries) {
+    const rows = entries.map(entry => {
+        const plain = plainEntry(entry);
+        return CSV_COLUMNS.map(column => {
+            if (JSON_COLUMNS.includes(column)) {
+                return csvField(plain[column] === null || plain[column] === undefined ? '' : JSON.stringify(plain[column]));
+            }
+            return csvField(plain[column]);
+        }).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Build a self-contained HTML report: summary, a table of entries and the
+ * raw entries embedded as JSON so the report can be imported again
+ * @param {Array} entries - Log entries
+ * @param {Object} options - { title }
+ * @returns {string} HTML document
+ */
+function toHTMLReport(entries, options = {}) {
+    const title = options.title || `Playground logs - ${new Date().toLocaleString()}`;
+    const plain = entries.map(plainEntry);
+
+    const countBy = key => plain.reduce((counts, entry) => {
+        counts[entry[key]] = (counts[entry[key]] || 0) + 1;
+        return counts;
+    }, {});
+    const summary = counts => Object.entries(counts)
+        .map(([name, count]) => `<li>${escapeHTML(name)}: ${count}</li>`)
+        .join('');
+
+    const rows = plain.map(entry => `
+            <tr class="log-${escapeHTML(entry.level)}">
+                <td>${escapeHTML(entry.timestamp)}</td>
+                <td>${escapeHTML(entry.level.toUpperCase())}</td>
+                <td>${escapeHTML(sectionLabel(entry))}</td>
+                <td>${escapeHTML(entry.message)}${entry.data === null ? '' : `<pre>${escapeHTML(JSON.stringify(entry.data, null, 2))}</pre>`}</td>
+            </tr>`).join('');
+
+    // "</" is escaped so a message containing </script> cannot end the data block
+    const embedded = JSON.stringify(plain).replace(/<\//g, '<\\/');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(title)}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 20px; color: #333; }
+        h1 { color: #667eea; }
+        .summary { display: flex; gap: 40px; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+        th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e9ecef; vertical-align: top; }
+        th { background: #667eea; color: white; position: sticky; top: 0; }
+        pre { margin: 4px 0 0; font-size: 0.8rem; white-space: pre-wrap; }
+        tr.log-info { border-left: 4px solid #2196f3; background: #e3f2fd; }
+        tr.log-warn { border-left: 4px solid #ff9800; background: #fff3e0; }
+        tr.log-error { border-left: 4px solid #f44336; background: #ffebee; }
+        tr.log-debug { border-left: 4px solid #9c27b0; background: #f3e5f5; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHTML(title)}</h1>
+    <div class="summary">
+        <div><h3>${plain.length} entries by level</h3><ul>${summary(countBy('level'))}</ul></div>
+        <div><h3>By section</h3><ul>${summary(countBy('section'))}</ul></div>
+    </div>
+    <table>
+        <thead><tr><th>Time</th><th>Level</th><th>Section</th><th>Message</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+    <script type="application/json" id="${REPORT_DATA_ID}">${embedded}</script>
+</body>
+</html>
+`;
+}
+
+// Export formats by name: file extension, MIME type and converter
+const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json', convert: toJSON },
+    ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson', convert: toNDJSON },
+    csv: { extension: 'csv', mimeType: 'text/csv', convert: toCSV },
+    html: { extension: 'html', mimeType: 'text/html', convert: toHTMLReport }
+};
+
+/**
+ * Convert entries to one of the export formats
+ * @param {Array} entries - Log entries
+ * @param {string} format - json, ndjson, csv or html
+ * @returns {string} File contents
+ */
+function exportEntries(entries, format = 'json') {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown log export format: ${format}`);
+    }
+    return exporter.convert(entries);
+}
+
+/**
+ * Split CSV text into rows of fields (handles quotes and embedded newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function fromCSV(text) {
+    const [header, ...rows] = parseCSVRows(text);
+    return rows
+        .filter(row => row.some(Boolean))
+        .map(row => {
+            const entry = {};
+            header.forEach((column, index) => {
+                entry[column] = row[index];
+            });
+            entry.data = entry.data ? JSON.parse(entry.data) : null;
+            // Optional fields are left out when empty, like in live entries
+            ['context', 'span', 'repeat'].forEach(column => {
+                if (entry[column]) {
+                    entry[column] = JSON.parse(entry[column]);
+                } else {
+                    delete entry[column];
+                }
+            });
+            return entry;
+        });
+}
+
+function fromHTMLReport(text) {
+    const match = text.match(new RegExp(`<script type="application/json" id="${REPORT_DATA_ID}">([\\s\\S]*?)</script>`));
+    if (!match) {
+        throw new Error('This HTML file is not a playground log report');
+    }
+    return JSON.parse(match[1]);
+}
+
+/**
+ * Detect the format of an exported file
+ * @param {string} text - File contents
+ * @param {string} filename - File name, used when it has a known extension
+ * @returns {string} json, ndjson, csv or html
+ */
+function detectFormat(text, filename = '') {
+    const extension = filename.split('.').pop().toLowerCase();
+    const known = Object.keys(EXPORT_FORMATS).find(format => EXPORT_FORMATS[format].extension === extension);
+    if (known) {
+        return known;
+    }
+
+    const start = text.trimStart();
+    if (start.startsWith('<')) {
+        return 'html';
+    }
+    if (start.startsWith('[')) {
+        return 'json';
+    }
+    if (start.startsWith('{')) {
+        return 'ndjson';
+    }
+    return 'csv';
+}
+
+/**
+ * Check and normalize an imported entry
+ * @param {Object} entry - Parsed entry
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object} Log entry
+ */
+function normalizeEntry(entry, index) {
+    if (!entry || typeof entry.message !== 'string' || !entry.timestamp || Number.isNaN(Date.parse(entry.timestamp))) {
+        throw new Error(`Entry ${index + 1} is not a valid log entry`);
+    }
+    return {
+        ...entry,
+        level: entry.level || 'info',
+        section: entry.section || 'general',
+        data: entry.data ?? null
+    };
+}
+
+/**
+ * Parse an exported log file back into entries
+ * @param {string} text - File contents
+ * @param {string} filename - File name (optional, helps format detection)
+ * @returns {Array} Log entries
+ */
+function parseLogFile(text, filename) {
+    const format = detectFormat(text, filename);
+    let entries;
+
+    switch (format) {
+        case 'json':
+            entries = JSON.parse(text);
+            break;
+        case 'ndjson':
+            entries = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+            break;
+        case 'csv':
+            entries = fromCSV(text);
+            break;
+        case 'html':
+            entries = fromHTMLReport(text);
+            break;
+    }
+
+    if (!Array.isArray(entries)) {
+        throw new Error('Log file does not contain a list of entries');
+    }
+    return entries.map(normalizeEntry);
+}
+
+export { EXPORT_FORMATS, exportEntries, parseLogFile, detectFormat };
@@ -0,0 +1,27 @@
+/**
+ * Log Levels Module
+ *
+ * Shared ordering of log levels used by the Logger and its transports
+ * to decide whether an entry is severe enough to be handled
+ */
+
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+/**
+ * Check whether a level meets a minimum level
+ * @param {string} level - Level of the log entry
+ * @param {string} minLevel - Minimum level that should be handled
+ * @returns {boolean} True if the entry should be handled
+ */
+function isLevelEnabled(level, minLevel) {
+    const severity = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+    const threshold = LOG_LEVELS[minLevel] ?? LOG_LEVELS.debug;
+    return severity >= threshold;
+}
+
+export { LOG_LEVELS, isLevelEnabled };
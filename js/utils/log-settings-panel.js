@@ -0,0 +1,122 @@
+/**
+ * Log Settings Panel Module
+ *
+ * Small footer panel to change the Logger's global minimum level and
+ * per-section overrides. Changes are saved so every page uses them
+ */
+
+import { LOG_LEVELS } from './log-levels.js';
+
+/**
+ * Build a level <select>
+ * @param {string} value - Selected level
+ * @param {string} emptyLabel - Label for the "no value" option, if any
+ * @returns {HTMLSelectElement} The select element
+ */
+function createLevelSelect(value, emptyLabel) {
+    const select = document.createElement('select');
+    const levels = emptyLabel ? ['', ...Object.keys(LOG_LEVELS)] : Object.keys(LOG_LEVELS);
+    levels.forEach(level => {
+        const option = document.createElement('option');
+        option.value = level;
+        option.textContent = level || emptyLabel;
+        select.appendChild(option);
+    });
+    select.value = value || '';
+    return select;
+}
+
+/**
+ * Mount the settings panel
+ * @param {Logger} logger - Logger to configure
+ * @param {HTMLElement} container - Element to mount the panel into
+ * @returns {Object} Panel API ({ render })
+ */
+function mountLogSettingsPanel(logger, container) {
+    const panel = document.createElement('details');
+    panel.className = 'log-settings';
+    panel.innerHTML = `
+        <summary>Log levels</summary>
+        <div class="log-settings-global">
+            <label>Minimum level</label>
+        </div>
+        <div class="log-settings-sections"></div>
+        <form class="log-settings-add">
+            <input type="text" placeholder="Section, e.g. promises" required>
+            <button type="submit">Add override</button>
+            <button type="button" class="reset-levels">Reset</button>
+        </form>
+    `;
+    container.appendChild(panel);
+
+    const globalRow = panel.querySelector('.log-settings-global');
+    const sectionsList = panel.querySelector('.log-settings-sections');
+
+    function save() {
+        logger.saveLevelSettings();
+        logger.info('Log levels changed', 'system', logger.getLevelSettings());
+    }
+
+    function knownSections() {
+        const sections = new Set(Object.keys(logger.sectionLevels));
+        logger.getLogs().forEach(entry => sections.add(entry.section));
+        return [...sections].sort();
+    }
+
+    function render() {
+        globalRow.querySelector('select')?.remove();
+        const globalSelect = createLevelSelect(logger.minLevel);
+        globalSelect.addEventListener('change', () => {
+            logger.setLevel(globalSelect.value);
+            save();
+        });
+        globalRow.appendChild(globalSelect);
+
+        sectionsList.innerHTML = '';
+        knownSections().forEach(section => {
+            const row = document.createElement('div');
+            row.className = 'log-settings-row';
+
+            const label = document.createElement('label');
+            label.textContent = section;
+
+            const select = createLevelSelect(logger.sectionLevels[section], 'inherit');
+            select.addEventListener('change', () => {
+                logger.setSectionLevel(section, select.value || null);
+                save();
+            });
+
+            row.append(label, select);
+            sectionsList.appendChild(row);
+        });
+    }
+
+    panel.addEventListener('toggle', () => {
+        if (panel.open) {
+            render();
+        }
+    });
+
+    panel.querySelector('.log-settings-add').addEventListener('submit', event => {
+        event.preventDefault();
+        const input = event.target.querySelector('input');
+        const section = input.value.trim();
+        if (section) {
+            logger.setSectionLevel(section, logger.getLevelFor(section));
+            input.value = '';
+            save();
+            render();
+        }
+    });
+
+    panel.querySelector('.reset-levels').addEventListener('click', () => {
+        logger.setLevel('debug');
+        Object.keys(logger.sectionLevels).forEach(section => logger.setSectionLevel(section, null));
+        save();
+        render();
+    });
+
+    return { render };
+}
+
+export { mountLogSettingsPanel };
@@ -0,0 +1,152 @@
+/**
+ * Log Span Module
+ *
+ * Timing spans for the Logger. A span measures one operation: it is
+ * started with logger.time(name) and finished with span.end(), which logs
+ * a single entry carrying { id, parentId, name, start, end, duration }.
+ * Spans started from another span (span.time(), span.trace()) become its
+ * children, so the entries form a tree the log viewer draws as a waterfall.
+ *
+ * Every span also emits performance.mark/measure entries, so the same
+ * timings show up in the browser's performance tools
+ */
+
+/**
+ * High resolution wall-clock time in milliseconds
+ * @returns {number} Milliseconds since the epoch (fractional)
+ */
+function now() {
+    if (typeof performance !== 'undefined' && performance.timeOrigin) {
+        return performance.timeOrigin + performance.now();
+    }
+    return Date.now();
+}
+
+/**
+ * Generate a span ID
+ * @returns {string} Random ID, e.g. "k3j9x0ab"
+ */
+function createSpanId() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Call a performance API without letting a missing or strict implementation break logging
+ * @param {string} method - 'mark' or 'measure'
+ * @param {Array} args - Arguments
+ */
+function perf(method, ...args) {
+    if (typeof performance === 'undefined' || typeof performance[method] !== 'function') {
+        return;
+    }
+    try {
+        performance[method](...args);
+    } catch (error) {
+        // Older browsers do not accept the options argument; timings are still logged
+    }
+}
+
+class Span {
+    /**
+     * @param {Function} emit - Writes the span entry: ({ level, message, data, span }) => void
+     * @param {string} name - Operation name
+     * @param {Object} options - { parent: parent span, data: data added to the entry }
+     */
+    constructor(emit, name, options = {}) {
+        this.emit = emit;
+        this.name = name;
+        this.id = createSpanId();
+        this.parentId = options.parent ? options.parent.id : null;
+        this.data = options.data ?? null;
+        this.startTime = now();
+        this.endTime = null;
+        this.duration = null;
+        this.markName = `${name}#${this.id}`;
+        perf('mark', `${this.markName}:start`);
+    }
+
+    /**
+     * Start a child span
+     * @param {string} name - Operation name
+     * @param {any} data - Optional data added to the entry
+     * @returns {Span} Child span
+     */
+    time(name, data = null) {
+        return new Span(this.emit, name, { parent: this, data });
+    }
+
+    /**
+     * Run a function inside a child span; see traceSpan()
+     * @param {string} name - Operation name
+     * @param {Function} fn - Receives the child span, may be async
+     * @returns {Promise} Resolves with the function's result
+     */
+    trace(name, fn) {
+        return traceSpan(this.time(name), fn);
+    }
+
+    /**
+     * Finish the span and log its entry; later calls are ignored
+     * @param {any} data - Optional data merged into the entry data
+     * @param {string} level - Entry level (info by default)
+     * @returns {number} Duration in milliseconds
+     */
+    end(data = null, level = 'info') {
+        if (this.endTime !== null) {
+            return this.duration;
+        }
+        this.endTime = now();
+        this.duration = this.endTime - this.startTime;
+
+        perf('mark', `${this.markName}:end`);
+        perf('measure', this.name, {
+            start: `${this.markName}:start`,
+            end: `${this.markName}:end`,
+            detail: { spanId: this.id, parentId: this.parentId }
+        });
+
+        const merged = this.data && data ? { ...this.data, ...data } : (data ?? this.data);
+        this.emit({
+            level,
+            message: `${this.name} (${this.duration.toFixed(1)}ms)`,
+            data: merged,
+            span: this.toJSON()
+        });
+        return this.duration;
+    }
+
+    /**
+     * Span fields stored on the log entry
+     * @returns {Object} { id, parentId, name, start, end, duration }
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            parentId: this.parentId,
+            name: this.name,
+            start: this.startTime,
+            end: this.endTime,
+            duration: this.duration
+        };
+    }
+}
+
+/**
+ * Run a function inside a span and end the span when it settles
+ * A thrown error or rejection ends the span at error level and is rethrown
+ * @param {Span} span - Started span
+ * @param {Function} fn - Receives the span, may be async
+ * @returns {Promise} Resolves with the function's result
+ */
+async function traceSpan(span, fn) {
+    try {
+        const result = await fn(span);
+        span.end();
+        return result;
+    } catch (error) {
+        span.end({ error }, 'error');
+        throw error;
+    }
+}
+
+export { Span, traceSpan };
@@ -0,0 +1,416 @@
+/**
+ * Log Store Module
+ *
+ * Persists log entries in IndexedDB so they survive reloads and page
+ * navigation. Entries are grouped into sessions: one session per browser
+ * tab, shared by every page opened in that tab
+ */
+
+import { Transport, formatters } from './log-transports.js';
+import { LOG_LEVELS } from './log-levels.js';
+
+const DB_VERSION = 1;
+const SESSION_KEY = 'playground-log-session';
+
+const DEFAULT_RETENTION = {
+    maxAgeDays: 7, // Sessions older than this are deleted
+    maxSessions: 20, // Only the newest sessions are kept
+    maxEntriesPerSession: 5000 // Oldest entries beyond this are deleted
+};
+
+/**
+ * Page of the hash-routed shell the tab shows, like '/promises'
+ * Deep links to an example (#/promises/fetch-user-data) count as their page
+ * @returns {string} Route path
+ */
+function currentPage() {
+    return location.hash.replace(/^#/, '').split('/').slice(0, 2).join('/') || '/';
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise} Resolves with the request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - IndexedDB transaction
+ * @returns {Promise} Resolves when the transaction completes
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Generate a session identifier
+ * @returns {string} Unique-enough session id
+ */
+function createSessionId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+class LogStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {Object} options.retention - Retention policy (see DEFAULT_RETENTION)
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'playground-logs';
+        this.retention = { ...DEFAULT_RETENTION, ...options.retention };
+        this.dbPromise = null;
+        this.sessionId = null;
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+
+                    const entries = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                    entries.createIndex('sessionId', ['sessionId', 'timestamp']);
+                    entries.createIndex('section', ['section', 'timestamp']);
+                    entries.createIndex('timestamp', 'timestamp');
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Start or continue the session for the current tab
+     * The session id lives in sessionStorage, so navigating between pages
+     * keeps adding to the same session
+     * @param {Object} info - Extra information, e.g. { page }
+     * @returns {Promise<Object>} The session record
+     */
+    async startSession(info = {}) {
+        let sessionId = sessionStorage.getItem(SESSION_KEY);
+        if (!sessionId) {
+            sessionId = createSessionId();
+            sessionStorage.setItem(SESSION_KEY, sessionId);
+        }
+        this.sessionId = sessionId;
+
+        const db = await this.open();
+        const tx = db.transaction('sessions', 'readwrite');
+        const sessions = tx.objectStore('sessions');
+        const now = new Date().toISOString();
+        const session = (await promisify(sessions.get(sessionId))) || {
+            id: sessionId,
+            startedAt: now,
+            entryCount: 0,
+            pages: []
+        };
+
+        session.lastActivity = now;
+        if (info.page && !session.pages.includes(info.page)) {
+            session.pages.push(info.page);
+        }
+        sessions.put(session);
+        await transactionDone(tx);
+
+        await this.applyRetention();
+        return session;
+    }
+
+    /**
+     * Add a page to the pages of the current session
+     * @param {string} page - Route path, like '/promises'
+     * @returns {Promise} Resolves when the session is updated
+     */
+    async addPage(page) {
+        const db = await this.open();
+        const tx = db.transaction('sessions', 'readwrite');
+        const sessions = tx.objectStore('sessions');
+        const session = await promisify(sessions.get(this.sessionId));
+        if (session && !session.pages.includes(page)) {
+            session.pages.push(page);
+            sessions.put(session);
+        }
+        await transactionDone(tx);
+    }
+
+    /**
+     * Store a batch of entries in the current session
+     * @param {Array} entries - Log entries
+     * @returns {Promise} Resolves when the entries are written
+     */
+    async addEntries(entries) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        const db = await this.open();
+        const tx = db.transaction(['entries', 'sessions'], 'readwrite');
+        const store = tx.objectStore('entries');
+        entries.forEach(entry => {
+            store.add({ ...entry, sessionId: entry.sessionId || this.sessionId });
+        });
+
+        const sessions = tx.objectStore('sessions');
+        const session = await promisify(sessions.get(this.sessionId));
+        if (session) {
+            session.entryCount += entries.length;
+            session.lastActivity = entries[entries.length - 1].timestamp;
+            sessions.put(session);
+        }
+
+        await transactionDone(tx);
+    }
+
+    /**
+     * Query stored entries
+     * @param {Object} filters - Query filters
+     * @param {string} filters.sessionId - Only entries of this session
+     * @param {string} filters.section - Only entries of this section
+     * @param {string} filters.level - Minimum level
+     * @param {string|Date} filters.from - Earliest timestamp (inclusive)
+     * @param {string|Date} filters.to - Latest timestamp (inclusive)
+     * @param {number} filters.limit - Maximum number of entries
+     * @returns {Promise<Array>} Matching entries, oldest first
+     */
+    async query(filters = {}) {
+        const { sessionId, section, level, limit = Infinity } = filters;
+        const from = filters.from ? new Date(filters.from).toISOString() : '';
+        const to = filters.to ? new Date(filters.to).toISOString() : '\uffff';
+
+        const db = await this.open();
+        const store = db.transaction('entries').objectStore('entries');
+
+        // Use the most selective index available, filter the rest in memory
+        let source;
+        let range;
+        if (sessionId) {
+            source = store.index('sessionId');
+            range = IDBKeyRange.bound([sessionId, from], [sessionId, to]);
+        } else if (section) {
+            source = store.index('section');
+            range = IDBKeyRange.bound([section, from], [section, to]);
+        } else {
+            source = store.index('timestamp');
+            range = IDBKeyRange.bound(from, to);
+        }
+
+        const minLevel = LOG_LEVELS[level] ?? 0;
+        const results = [];
+
+        return new Promise((resolve, reject) => {
+            const request = source.openCursor(range);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) {
+                    resolve(results);
+                    return;
+                }
+                const entry = cursor.value;
+                if ((!section || entry.section === section) && (LOG_LEVELS[entry.level] ?? 0) >= minLevel) {
+                    results.push(entry);
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Get all sessions, newest first
+     * @returns {Promise<Array>} Session records
+     */
+    async getSessions() {
+        const db = await this.open();
+        const sessions = await promisify(db.transaction('sessions').objectStore('sessions').getAll());
+        return sessions.sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+    }
+
+    /**
+     * Delete a session and all of its entries
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise} Resolves when the session is deleted
+     */
+    async deleteSession(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction(['entries', 'sessions'], 'readwrite');
+        tx.objectStore('sessions').delete(sessionId);
+
+        const index = tx.objectStore('entries').index('sessionId');
+        const range = IDBKeyRange.bound([sessionId, ''], [sessionId, '\uffff']);
+        const request = index.openKeyCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                tx.objectStore('entries').delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+
+        await transactionDone(tx);
+    }
+
+    /**
+     * Delete the oldest entries of a session beyond a maximum count
+     * @param {string} sessionId - Session identifier
+     * @param {number} maxEntries - Number of entries to keep
+     * @returns {Promise} Resolves when the entries are deleted
+     */
+    async trimSession(sessionId, maxEntries) {
+        const db = await this.open();
+        const tx = db.transaction(['entries', 'sessions'], 'readwrite');
+        const index = tx.objectStore('entries').index('sessionId');
+        const range = IDBKeyRange.bound([sessionId, ''], [sessionId, '\uffff']);
+        const excess = (await promisify(index.count(range))) - maxEntries;
+
+        if (excess > 0) {
+            const sessions = tx.objectStore('sessions');
+            const session = await promisify(sessions.get(sessionId));
+            if (session) {
+                session.entryCount = maxEntries;
+                sessions.put(session);
+            }
+
+            let deleted = 0;
+            const request = index.openKeyCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && deleted < excess) {
+                    tx.objectStore('entries').delete(cursor.primaryKey);
+                    deleted++;
+                    cursor.continue();
+                }
+            };
+        }
+
+        await transactionDone(tx);
+    }
+
+    /**
+     * Apply the retention policy: drop old sessions, extra sessions and
+     * entries beyond the per-session limit. The current session is never dropped
+     * @returns {Promise} Resolves when the policy has been applied
+     */
+    async applyRetention() {
+        const { maxAgeDays, maxSessions, maxEntriesPerSession } = this.retention;
+        const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+        const sessions = await this.getSessions();
+
+        const expired = sessions.filter((session, index) =>
+            session.id !== this.sessionId &&
+            (session.lastActivity < cutoff || index >= maxSessions)
+        );
+        for (const session of expired) {
+            await this.deleteSession(session.id);
+        }
+
+        const kept = sessions.filter(session => !expired.includes(session));
+        for (const session of kept) {
+            if (session.entryCount > maxEntriesPerSession) {
+                await this.trimSession(session.id, maxEntriesPerSession);
+            }
+        }
+    }
+
+    /**
+     * Delete every stored session and entry
+     * @returns {Promise} Resolves when the store is empty
+     */
+    async clear() {
+        const db = await this.open();
+        const tx = db.transaction(['entries', 'sessions'], 'readwrite');
+        tx.objectStore('entries').clear();
+        tx.objectStore('sessions').clear();
+        await transactionDone(tx);
+    }
+}
+
+/**
+ * Transport that writes entries to a LogStore
+ * Writes are batched so a burst of logs costs a single transaction
+ */
+class IndexedDBTransport extends Transport {
+    constructor(options = {}) {
+        super({ name: 'indexedDB', formatter: formatters.record, ...options });
+        this.store = options.store || new LogStore();
+        this.flushDelay = options.flushDelay ?? 100;
+        this.queue = [];
+        this.timer = null;
+        this.ready = this.store.startSession({ page: options.page || currentPage() })
+            .catch(error => {
+                this.warn('[indexedDB transport] Log persistence disabled:', error.message);
+                this.enabled = false;
+            });
+
+        // Pages are routes of the single-page shell, so the session follows the hash
+        window.addEventListener('hashchange', () => this.recordPage(currentPage()));
+    }
+
+    /**
+     * Remember that the session visited a page
+     * @param {string} page - Route path
+     * @returns {Promise} Resolves when the session is updated
+     */
+    async recordPage(page) {
+        await this.ready;
+        if (!this.enabled) {
+            return;
+        }
+        try {
+            await this.store.addPage(page);
+        } catch (error) {
+            this.warn(`[indexedDB transport] Failed to record page ${page}:`, error.message);
+        }
+    }
+
+    write(logEntry) {
+        this.queue.push(this.format(logEntry));
+        if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    }
+
+    /**
+     * Write all queued entries to the store
+     * @returns {Promise} Resolves once the entries are stored
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.ready;
+
+        const batch = this.queue.splice(0, this.queue.length);
+        if (!this.enabled) {
+            return;
+        }
+        try {
+            await this.store.addEntries(batch);
+        } catch (error) {
+            this.warn(`[indexedDB transport] Failed to store ${batch.length} log entries:`, error.message);
+        }
+    }
+}
+
+// Shared store used by the playground pages
+const logStore = new LogStore();
+
+export { logStore, LogStore, IndexedDBTransport, DEFAULT_RETENTION };
@@ -0,0 +1,202 @@
+/**
+ * Log Throttle Module
+ *
+ * Keeps noisy code from flooding the logger:
+ * - consecutive duplicates (same level, section, run and message) are
+ *   collapsed into the first entry, which gets a repeat count
+ * - per-section token buckets limit how many entries per second are kept
+ * - debug entries can be sampled, keeping only a fraction of them
+ *
+ * Dropped and collapsed entries are counted, see getStats()
+ */
+
+const DEFAULT_OPTIONS = {
+    dedupe: true,
+    dedupeWindow: 1000, // Repeat counts are reported at least this often (ms)
+    rateLimit: { perSecond: 50, burst: 100 }, // null disables rate limiting
+    exemptLevels: ['error'], // Levels that are never rate limited or sampled
+    sampleRates: { debug: 1 }, // Fraction of entries kept per level (1 keeps all)
+    sections: {} // Per-section overrides: { promises: { rateLimit, sampleRates } }
+};
+
+/**
+ * Key that identifies duplicates; data is ignored so near-identical entries collapse too
+ * @param {Object} logEntry - Log entry object
+ * @returns {string} Duplicate key
+ */
+function duplicateKey(logEntry) {
+    const runId = logEntry.context ? logEntry.context.runId : '';
+    return `${logEntry.level}\u0000${logEntry.section}\u0000${runId}\u0000${logEntry.message}`;
+}
+
+class LogThrottle {
+    /**
+     * @param {Object} options - See DEFAULT_OPTIONS
+     * @param {Function} onRepeat - Called with (entry, added) when repeats of an entry are reported
+     */
+    constructor(options = {}, onRepeat = () => {}) {
+        this.options = { ...DEFAULT_OPTIONS };
+        this.onRepeat = onRepeat;
+        this.buckets = {}; // section -> { tokens, updated }
+        this.last = null; // { key, entry, pending } for the most recent kept entry
+        this.timer = null;
+        this.configure(options);
+        this.resetStats();
+    }
+
+    /**
+     * Change throttle options; sections are merged with the current overrides
+     * @param {Object} options - See DEFAULT_OPTIONS
+     */
+    configure(options = {}) {
+        const { sections, ...rest } = options;
+        Object.entries(rest).forEach(([key, value]) => {
+            if (value !== undefined) {
+                this.options[key] = value;
+            }
+        });
+        if (sections) {
+            this.options.sections = { ...this.options.sections, ...sections };
+        }
+        this.buckets = {};
+    }
+
+    /**
+     * Options that apply to a section
+     * @param {string} section - Section identifier
+     * @returns {Object} { rateLimit, sampleRates }
+     */
+    optionsFor(section) {
+        const override = this.options.sections[section] || {};
+        return {
+            rateLimit: override.rateLimit !== undefined ? override.rateLimit : this.options.rateLimit,
+            sampleRates: { ...this.options.sampleRates, ...override.sampleRates }
+        };
+    }
+
+    /**
+     * Decide what to do with a new entry
+     * @param {Object} logEntry - Log entry object
+     * @returns {string} 'log' to keep it, 'repeat' if it was collapsed, 'sampled' or 'rateLimited' if dropped
+     */
+    check(logEntry) {
+        const key = duplicateKey(logEntry);
+        if (this.options.dedupe && this.last && this.last.key === key) {
+            this.last.pending++;
+            this.count(logEntry.section, 'repeat');
+            if (!this.timer) {
+                this.timer = setTimeout(() => this.flushRepeats(), this.options.dedupeWindow);
+            }
+            return 'repeat';
+        }
+
+        const verdict = this.admit(logEntry);
+        if (verdict !== 'log') {
+            this.count(logEntry.section, verdict);
+            return verdict;
+        }
+
+        this.flushRepeats();
+        this.last = { key, entry: logEntry, pending: 0 };
+        return 'log';
+    }
+
+    /**
+     * Apply sampling and rate limits to an entry that is not a duplicate
+     * @param {Object} logEntry - Log entry object
+     * @returns {string} 'log', 'sampled' or 'rateLimited'
+     */
+    admit(logEntry) {
+        const { level, section } = logEntry;
+        if (this.options.exemptLevels.includes(level)) {
+            return 'log';
+        }
+
+        const { rateLimit, sampleRates } = this.optionsFor(section);
+        const sampleRate = sampleRates[level] ?? 1;
+        if (sampleRate < 1 && Math.random() >= sampleRate) {
+            return 'sampled';
+        }
+
+        if (rateLimit && !this.takeToken(section, rateLimit)) {
+            return 'rateLimited';
+        }
+        return 'log';
+    }
+
+    /**
+     * Token bucket: refills perSecond tokens per second up to burst
+     * @param {string} section - Section identifier
+     * @param {Object} rateLimit - { perSecond, burst }
+     * @returns {boolean} True if a token was available
+     */
+    takeToken(section, { perSecond, burst = perSecond }) {
+        const now = Date.now();
+        const bucket = this.buckets[section] || (this.buckets[section] = { tokens: burst, updated: now });
+        bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updated) / 1000) * perSecond);
+        bucket.updated = now;
+        if (bucket.tokens < 1) {
+            return false;
+        }
+        bucket.tokens--;
+        return true;
+    }
+
+    /**
+     * Add pending repeats to the collapsed entry and report them
+     */
+    flushRepeats() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.last || this.last.pending === 0) {
+            return;
+        }
+        const { entry, pending } = this.last;
+        entry.repeat = (entry.repeat || 1) + pending;
+        entry.lastTimestamp = new Date().toISOString();
+        this.last.pending = 0;
+        this.onRepeat(entry, pending);
+    }
+
+    /**
+     * Count a collapsed or dropped entry
+     * @param {string} section - Section identifier
+     * @param {string} reason - 'repeat', 'sampled' or 'rateLimited'
+     */
+    count(section, reason) {
+        const stat = { repeat: 'collapsed', sampled: 'sampled', rateLimited: 'rateLimited' }[reason];
+        this.stats[stat]++;
+        const sectionStats = this.stats.sections[section] || (this.stats.sections[section] = { collapsed: 0, sampled: 0, rateLimited: 0 });
+        sectionStats[stat]++;
+    }
+
+    /**
+     * Counters of collapsed and dropped entries since the last reset
+     * @returns {Object} { collapsed, sampled, rateLimited, dropped, sections: { [section]: {...} } }
+     */
+    getStats() {
+        const { collapsed, sampled, rateLimited, sections } = this.stats;
+        return {
+            collapsed,
+            sampled,
+            rateLimited,
+            dropped: sampled + rateLimited,
+            sections: JSON.parse(JSON.stringify(sections))
+        };
+    }
+
+    resetStats() {
+        this.stats = { collapsed: 0, sampled: 0, rateLimited: 0, sections: {} };
+    }
+
+    /**
+     * Forget the last entry, so the next one is never treated as a duplicate
+     */
+    reset() {
+        this.flushRepeats();
+        this.last = null;
+        this.buckets = {};
+    }
+}
+
+export { LogThrottle, DEFAULT_OPTIONS as DEFAULT_THROTTLE_OPTIONS };
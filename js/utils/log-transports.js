@@ -0,0 +1,405 @@
+/**
+ * Log Transports Module
+ *
+ * A transport is a sink that receives log entries from the Logger.
+ * Each transport has a name, its own minimum level and a formatter,
+ * and can be registered, removed or reconfigured at runtime
+ */
+
+import { isLevelEnabled } from './log-levels.js';
+import { safeStringify, toSerializable } from './serialize.js';
+import { consoleCapture } from './console-capture.js';
+
+/**
+ * Section label of an entry, with the run ID when the entry belongs to an example run
+ * @param {Object} logEntry - Log entry object
+ * @returns {string} e.g. "promises" or "promises run=lx3k9a-4f2c"
+ */
+function sectionLabel(logEntry) {
+    const runId = logEntry.context && logEntry.context.runId;
+    return runId ? `${logEntry.section} run=${runId}` : logEntry.section;
+}
+
+/**
+ * Built-in formatters. A formatter turns a log entry into the value
+ * a transport writes: a line of text for console/DOM sinks, a plain
+ * record with serialized data for storage and network sinks
+ */
+const formatters = {
+    text(logEntry) {
+        const { timestamp, level, message, data } = logEntry;
+        const timeStr = new Date(timestamp).toLocaleTimeString();
+        let logText = `[${timeStr}] [${level.toUpperCase()}] [${sectionLabel(logEntry)}] ${message}`;
+        if (data) {
+            logText += `\nData: ${safeStringify(data, 2)}`;
+        }
+        return logText;
+    },
+
+    prefix(logEntry) {
+        const { timestamp, level, message } = logEntry;
+        const timeStr = new Date(timestamp).toLocaleTimeString();
+        return `[${timeStr}] [${level.toUpperCase()}] [${sectionLabel(logEntry)}] ${message}`;
+    },
+
+    json(logEntry) {
+        return safeStringify(logEntry);
+    },
+
+    record(logEntry) {
+        return { ...logEntry, data: toSerializable(logEntry.data) };
+    }
+};
+
+/**
+ * Base class for all transports
+ */
+class Transport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {string} options.name - Unique name used to look the transport up
+     * @param {string} options.level - Minimum level this transport handles
+     * @param {Function} options.formatter - Turns an entry into the written value
+     * @param {boolean} options.enabled - Whether the transport is active
+     */
+    constructor({ name, level = 'debug', formatter = formatters.text, enabled = true } = {}) {
+        this.name = name;
+        this.level = level;
+        this.formatter = formatter;
+        this.enabled = enabled;
+    }
+
+    /**
+     * Update transport options at runtime
+     * @param {Object} options - Options to change (level, formatter, enabled, ...)
+     */
+    configure(options = {}) {
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined && key !== 'name') {
+                this[key] = value;
+            }
+        });
+    }
+
+    /**
+     * Check whether this transport should handle an entry
+     * @param {Object} logEntry - Log entry object
+     * @returns {boolean} True if the entry should be written
+     */
+    accepts(logEntry) {
+        return this.enabled && isLevelEnabled(logEntry.level, this.level);
+    }
+
+    /**
+     * Format an entry with this transport's formatter
+     * @param {Object} logEntry - Log entry object
+     * @returns {any} Formatted value
+     */
+    format(logEntry) {
+        return this.formatter(logEntry);
+    }
+
+    /**
+     * Write an entry to the sink
+     * @param {Object} logEntry - Log entry object
+     */
+    write(logEntry) {
+        throw new Error(`Transport "${this.name}" does not implement write()`);
+    }
+
+    /**
+     * Report repeats of an entry collapsed by the logger (see log-throttle.js)
+     * By default a summary entry is written; transports that can update an
+     * entry in place (like the log viewer) override this
+     * @param {Object} logEntry - Collapsed entry; logEntry.repeat is the total count
+     * @param {number} added - Repeats since the last report
+     */
+    repeated(logEntry, added) {
+        this.write({
+            ...logEntry,
+            timestamp: logEntry.lastTimestamp,
+            message: `${logEntry.message} (repeated ${added} more time${added === 1 ? '' : 's'})`,
+            repeat: added
+        });
+    }
+
+    /**
+     * Notification that the logger dropped an entry (rate limited or sampled out)
+     * @param {Object} logEntry - Dropped entry
+     * @param {string} reason - 'rateLimited' or 'sampled'
+     */
+    dropped(logEntry, reason) {}
+
+    /**
+     * Warn about a failure of the transport itself
+     * Console capture does not log the warning, otherwise a sink that
+     * keeps failing would be handed its own warnings to write
+     * @param {...any} args - Console arguments
+     */
+    warn(...args) {
+        consoleCapture.uncaptured(() => console.warn(...args));
+    }
+
+    /**
+     * Remove everything this transport has written, if it can
+     */
+    clear() {}
+}
+
+/**
+ * Writes entries to the browser console with per-level colors
+ */
+class ConsoleTransport extends Transport {
+    constructor(options = {}) {
+        super({ name: 'console', formatter: formatters.prefix, ...options });
+        this.console = options.console || console;
+        this.styles = {
+            info: 'color: #2196F3; font-weight: bold;',
+            warn: 'color: #FF9800; font-weight: bold;',
+            error: 'color: #F44336; font-weight: bold;',
+            debug: 'color: #9C27B0; font-weight: bold;'
+        };
+    }
+
+    write(logEntry) {
+        const { level, data } = logEntry;
+        const text = this.format(logEntry);
+
+        if (data) {
+            this.console.log(`%c${text}`, this.styles[level] || '', data);
+        } else {
+            this.console.log(`%c${text}`, this.styles[level] || '');
+        }
+    }
+}
+
+/**
+ * Appends entries to a `<section>-logs` container inside the page
+ */
+class DOMTransport extends Transport {
+    constructor(options = {}) {
+        super({ name: 'dom', ...options });
+        this.root = options.root || document;
+        this.maxEntries = options.maxEntries ?? 20;
+    }
+
+    write(logEntry) {
+        // Create log element
+        const logElement = this.root.createElement('div');
+        logElement.className = `log-entry log-${logEntry.level}`;
+        logElement.textContent = this.format(logEntry);
+
+        this.addToHTMLOutput(logElement, logEntry.section);
+    }
+
+    /**
+     * Add log element to HTML output
+     * @param {HTMLElement} logElement - The log element to add
+     * @param {string} section - Section identifier
+     */
+    addToHTMLOutput(logElement, section) {
+        const document = this.root;
+
+        // Try to find existing log container for this section
+        let logContainer = document.getElementById(`${section}-logs`);
+
+        if (!logContainer) {
+            // Create new log container
+            logContainer = document.createElement('div');
+            logContainer.id = `${section}-logs`;
+            logContainer.className = 'log-container';
+            logContainer.innerHTML = `<h4>Logs for ${section}</h4>`;
+
+            // Try to add to the section's output area
+            const sectionOutput = document.getElementById(`${section}-output`);
+            if (sectionOutput) {
+                sectionOutput.appendChild(logContainer);
+            } else {
+                // Fallback: add to body or create a general logs area
+                let generalLogs = document.getElementById('general-logs');
+                if (!generalLogs) {
+                    generalLogs = document.createElement('div');
+                    generalLogs.id = 'general-logs';
+                    generalLogs.className = 'log-container';
+                    generalLogs.innerHTML = '<h4>General Logs</h4>';
+                    document.body.appendChild(generalLogs);
+                }
+                generalLogs.appendChild(logContainer);
+            }
+        }
+
+        // Add the log entry
+        logContainer.appendChild(logElement);
+
+        // Auto-scroll to bottom
+        logContainer.scrollTop = logContainer.scrollHeight;
+
+        // Limit number of log entries in HTML
+        const entries = logContainer.querySelectorAll('.log-entry');
+        if (entries.length > this.maxEntries) {
+            entries[0].remove();
+        }
+    }
+
+    clear() {
+        const logContainers = this.root.querySelectorAll('.log-container');
+        logContainers.forEach(container => {
+            const entries = container.querySelectorAll('.log-entry');
+            entries.forEach(entry => entry.remove());
+        });
+    }
+}
+
+/**
+ * Keeps the most recent entries in a fixed-size ring buffer
+ */
+class MemoryTransport extends Transport {
+    constructor(options = {}) {
+        super({ name: 'memory', formatter: formatters.record, ...options });
+        this.capacity = options.capacity ?? 500;
+        this.buffer = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+
+    configure(options = {}) {
+        const entries = this.getEntries();
+        super.configure(options);
+        if (options.capacity !== undefined) {
+            this.buffer = new Array(this.capacity);
+            this.start = 0;
+            this.size = 0;
+            entries.slice(-this.capacity).forEach(entry => this.push(entry));
+        }
+    }
+
+    write(logEntry) {
+        this.push(this.format(logEntry));
+    }
+
+    push(value) {
+        const index = (this.start + this.size) % this.capacity;
+        this.buffer[index] = value;
+        if (this.size < this.capacity) {
+            this.size++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Get buffered entries, oldest first
+     * @returns {Array} Buffered entries
+     */
+    getEntries() {
+        const entries = [];
+        for (let i = 0; i < this.size; i++) {
+            entries.push(this.buffer[(this.start + i) % this.capacity]);
+        }
+        return entries;
+    }
+
+    clear() {
+        this.buffer = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+}
+
+/**
+ * Persists the most recent entries in localStorage under a single key
+ */
+class LocalStorageTransport extends Transport {
+    constructor(options = {}) {
+        super({ name: 'localStorage', formatter: formatters.record, ...options });
+        this.key = options.key || 'playground-logs';
+        this.maxEntries = options.maxEntries ?? 200;
+        this.storage = options.storage || window.localStorage;
+    }
+
+    write(logEntry) {
+        const entries = this.getEntries();
+        entries.push(this.format(logEntry));
+        this.storage.setItem(this.key, JSON.stringify(entries.slice(-this.maxEntries)));
+    }
+
+    /**
+     * Read stored entries
+     * @returns {Array} Stored entries, oldest first
+     */
+    getEntries() {
+        try {
+            return JSON.parse(this.storage.getItem(this.key) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    clear() {
+        this.storage.removeItem(this.key);
+    }
+}
+
+/**
+ * Sends entries in batches to a local log collector with POST requests
+ */
+class HttpTransport extends Transport {
+    constructor(options = {}) {
+        super({ name: 'http', formatter: formatters.record, ...options });
+        this.url = options.url || 'http://localhost:4318/logs';
+        this.headers = options.headers || { 'Content-Type': 'application/json' };
+        this.batchSize = options.batchSize ?? 10;
+        this.flushInterval = options.flushInterval ?? 2000;
+        this.queue = [];
+        this.timer = null;
+    }
+
+    write(logEntry) {
+        this.queue.push(this.format(logEntry));
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    /**
+     * Send all queued entries to the collector
+     * @returns {Promise} Resolves once the request has finished
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.queue.length === 0) {
+            return Promise.resolve();
+        }
+
+        const batch = this.queue.splice(0, this.queue.length);
+        return fetch(this.url, {
+            method: 'POST',
+            headers: this.headers,
+            body: JSON.stringify(batch),
+            keepalive: true
+        }).catch(error => {
+            this.warn(`[http transport] Failed to send ${batch.length} log entries:`, error.message);
+        });
+    }
+
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+    }
+}
+
+export {
+    formatters,
+    sectionLabel,
+    Transport,
+    ConsoleTransport,
+    DOMTransport,
+    MemoryTransport,
+    LocalStorageTransport,
+    HttpTransport
+};
@@ -0,0 +1,692 @@
+/**
+ * Log Viewer Module
+ *
+ * Dockable panel that shows every log entry of the page in one place.
+ * Supports full-text search, level and section chips, time-range
+ * filtering, a filter for the entries of one example run (runId), an
+ * expandable JSON tree for entry data, pin/copy actions and virtualized
+ * rendering, so thousands of entries stay smooth. Timing spans can be
+ * shown as a waterfall instead of the list. Redacted values can be
+ * revealed for local debugging when an unredact function is configured.
+ *
+ * The viewer is a transport: register it with logger.addTransport()
+ * While it shows an imported file (setSource()), live entries are ignored
+ * until "Back to live logs" reloads the logger's entries
+ */
+
+import { Transport, formatters, sectionLabel } from './log-transports.js';
+import { LOG_LEVELS } from './log-levels.js';
+import { safeStringify } from './serialize.js';
+import { renderJsonTree } from './json-tree.js';
+import { renderWaterfall } from './span-waterfall.js';
+
+const ROW_HEIGHT = 24; // Fixed row height is what makes virtualization cheap
+const OVERSCAN = 10; // Rows rendered above and below the visible area
+const TRIM_SHARE = 0.1; // Share of maxEntries dropped at once when the viewer is full
+const DOCK_KEY = 'playground-log-viewer-dock';
+const DOCKS = ['bottom', 'right', 'float'];
+const VIEWS = ['list', 'waterfall'];
+
+// Relative time ranges, in milliseconds
+const TIME_RANGES = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000
+};
+
+class LogViewer extends Transport {
+    /**
+     * @param {Object} options - Transport options plus:
+     * @param {number} options.maxEntries - Entries kept in the viewer (default 10000)
+     * @param {Function} options.unredact - Returns { message, data } before redaction, or null
+     * @param {Function} options.stats - Returns the logger's dropped-entry counters (logger.getStats())
+     * @param {Function} options.liveEntries - Returns the live entries to show again after an import (logger.getLogs())
+     */
+    constructor(options = {}) {
+        super({ name: 'viewer', ...options });
+        this.maxEntries = options.maxEntries ?? 10000;
+        this.unredact = options.unredact || null;
+        this.stats = options.stats || null;
+        this.liveEntries = options.liveEntries || null;
+        this.showRedacted = false;
+        this.records = []; // { id, entry, text } in arrival order
+        this.visible = []; // Records that match the current filters
+        this.sections = new Set();
+        this.pinned = new Set(); // Pinned record ids
+        this.selectedId = null;
+        this.nextId = 1;
+        this.filters = {
+            search: '',
+            levels: new Set(Object.keys(LOG_LEVELS)),
+            hiddenSections: new Set(),
+            range: 'all',
+            from: null,
+            to: null,
+            runId: null
+        };
+        this.element = null;
+        this.minimized = false;
+        this.view = 'list';
+        this.renderScheduled = false;
+        this.source = null; // Label of the imported file shown instead of live entries
+    }
+
+    /**
+     * Build the panel and attach it to the page
+     * @param {HTMLElement} parent - Element to mount into (defaults to body)
+     * @returns {LogViewer} The viewer
+     */
+    mount(parent = document.body) {
+        const element = document.createElement('aside');
+        element.className = 'log-viewer';
+        element.innerHTML = `
+            <div class="log-viewer-header">
+                <strong>Logs</strong>
+                <span class="log-viewer-status"></span>
+                <button type="button" class="log-viewer-live" hidden>Back to live logs</button>
+                <span class="log-viewer-dock">
+                    <button type="button" data-dock="bottom" title="Dock to bottom">▁</button>
+                    <button type="button" data-dock="right" title="Dock to right">▕</button>
+                    <button type="button" data-dock="float" title="Floating window">❐</button>
+                    <button type="button" class="log-viewer-minimize" title="Minimize">–</button>
+                </span>
+            </div>
+            <div class="log-viewer-body">
+                <div class="log-viewer-toolbar">
+                    <input type="search" class="log-viewer-search" placeholder="Search messages and data...">
+                    <span class="log-viewer-chips log-viewer-levels"></span>
+                    <select class="log-viewer-range">
+                        <option value="all">All time</option>
+                        <option value="1m">Last minute</option>
+                        <option value="5m">Last 5 minutes</option>
+                        <option value="15m">Last 15 minutes</option>
+                        <option value="1h">Last hour</option>
+                        <option value="custom">Custom range</option>
+                    </select>
+                    <span class="log-viewer-custom-range" hidden>
+                        <input type="datetime-local" step="1" class="log-viewer-from">
+                        <input type="datetime-local" step="1" class="log-viewer-to">
+                    </span>
+                    <button type="button" class="log-viewer-run-filter" title="Show all runs" hidden></button>
+                    <label class="log-viewer-show-redacted" title="Show values masked by redaction rules (this page only)">
+                        <input type="checkbox"> Show redacted
+                    </label>
+                    <span class="log-viewer-views">
+                        <button type="button" data-view="list" class="active">List</button>
+                        <button type="button" data-view="waterfall">Waterfall</button>
+                    </span>
+                </div>
+                <div class="log-viewer-chips log-viewer-sections"></div>
+                <div class="log-viewer-pinned"></div>
+                <div class="log-viewer-main">
+                    <div class="log-viewer-list">
+                        <div class="log-viewer-spacer"></div>
+                    </div>
+                    <div class="log-viewer-waterfall" hidden></div>
+                    <div class="log-viewer-details" hidden></div>
+                </div>
+            </div>
+        `;
+        parent.appendChild(element);
+        this.element = element;
+
+        this.list = element.querySelector('.log-viewer-list');
+        this.spacer = element.querySelector('.log-viewer-spacer');
+        this.details = element.querySelector('.log-viewer-details');
+        this.waterfall = element.querySelector('.log-viewer-waterfall');
+
+        this.renderLevelChips();
+        this.renderSectionChips();
+        this.bindEvents();
+        this.setDock(localStorage.getItem(DOCK_KEY) || 'bottom');
+        this.scheduleRender();
+        return this;
+    }
+
+    bindEvents() {
+        const element = this.element;
+
+        element.querySelector('.log-viewer-search').addEventListener('input', event => {
+            this.filters.search = event.target.value.trim().toLowerCase();
+            this.applyFilters();
+        });
+
+        const customRange = element.querySelector('.log-viewer-custom-range');
+        element.querySelector('.log-viewer-range').addEventListener('change', event => {
+            this.filters.range = event.target.value;
+            customRange.hidden = event.target.value !== 'custom';
+            this.applyFilters();
+        });
+        element.querySelector('.log-viewer-from').addEventListener('change', event => {
+            this.filters.from = event.target.value ? new Date(event.target.value) : null;
+            this.applyFilters();
+        });
+        element.querySelector('.log-viewer-to').addEventListener('change', event => {
+            this.filters.to = event.target.value ? new Date(event.target.value) : null;
+            this.applyFilters();
+        });
+
+        element.querySelector('.log-viewer-run-filter').addEventListener('click', () => this.setRunFilter(null));
+        element.querySelector('.log-viewer-live').addEventListener('click', () => this.showLive());
+        element.querySelectorAll('[data-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.view));
+        });
+        element.querySelector('.log-viewer-show-redacted input').addEventListener('change', event => {
+            this.setShowRedacted(event.target.checked);
+        });
+
+        element.querySelectorAll('[data-dock]').forEach(button => {
+            button.addEventListener('click', () => this.setDock(button.dataset.dock));
+        });
+        element.querySelector('.log-viewer-minimize').addEventListener('click', () => {
+            this.minimized = !this.minimized;
+            element.classList.toggle('minimized', this.minimized);
+            this.updateBodyPadding();
+            this.scheduleRender();
+        });
+
+        this.list.addEventListener('scroll', () => this.scheduleRender());
+        const selectRow = event => {
+            const row = event.target.closest('[data-id]');
+            if (row) {
+                this.select(Number(row.dataset.id));
+            }
+        };
+        this.list.addEventListener('click', selectRow);
+        element.querySelector('.log-viewer-pinned').addEventListener('click', selectRow);
+        this.waterfall.addEventListener('click', selectRow);
+    }
+
+    /**
+     * Move the panel: docked to the bottom, docked to the right or floating
+     * @param {string} dock - 'bottom', 'right' or 'float'
+     */
+    setDock(dock) {
+        this.dock = DOCKS.includes(dock) ? dock : 'bottom';
+        DOCKS.forEach(name => this.element.classList.toggle(`dock-${name}`, name === this.dock));
+        localStorage.setItem(DOCK_KEY, this.dock);
+        this.updateBodyPadding();
+        this.scheduleRender();
+    }
+
+    /**
+     * Switch between the entry list and the span waterfall
+     * @param {string} view - 'list' or 'waterfall'
+     */
+    setView(view) {
+        this.view = VIEWS.includes(view) ? view : 'list';
+        this.element.querySelectorAll('[data-view]').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === this.view);
+        });
+        this.list.hidden = this.view !== 'list';
+        this.waterfall.hidden = this.view !== 'waterfall';
+        this.scheduleRender();
+    }
+
+    /**
+     * Keep page content reachable underneath a docked panel
+     */
+    updateBodyPadding() {
+        const body = document.body;
+        body.classList.toggle('log-viewer-docked-bottom', this.dock === 'bottom' && !this.minimized);
+        body.classList.toggle('log-viewer-docked-right', this.dock === 'right' && !this.minimized);
+    }
+
+    write(logEntry) {
+        this.add(logEntry);
+    }
+
+    // The collapsed entry is the same object the viewer holds, so its row only needs a redraw
+    repeated(logEntry) {
+        this.scheduleRender();
+    }
+
+    dropped() {
+        this.scheduleRender();
+    }
+
+    /**
+     * Add an entry to the viewer
+     * @param {Object} logEntry - Log entry object
+     */
+    add(logEntry) {
+        // Live entries do not belong in an imported log
+        if (this.source) {
+            return;
+        }
+        const record = { id: this.nextId++, entry: logEntry, text: null };
+        this.records.push(record);
+
+        if (!this.sections.has(logEntry.section)) {
+            this.sections.add(logEntry.section);
+            this.renderSectionChips();
+        }
+
+        if (this.records.length > this.maxEntries) {
+            this.trim(this.records.length - this.maxEntries + Math.floor(this.maxEntries * TRIM_SHARE));
+        }
+
+        if (this.matches(record)) {
+            this.visible.push(record);
+        }
+        this.scheduleRender();
+    }
+
+    /**
+     * Drop the oldest records
+     * Dropping a batch at a time keeps a full viewer from re-filtering on every entry
+     * @param {number} count - Number of records to drop
+     */
+    trim(count) {
+        const removed = this.records.splice(0, count);
+        if (removed.length === 0) {
+            return;
+        }
+        // Records and visible are both in arrival order, so the dropped ones lead both lists
+        const lastId = removed[removed.length - 1].id;
+        let dropped = 0;
+        while (dropped < this.visible.length && this.visible[dropped].id <= lastId) {
+            dropped++;
+        }
+        this.visible.splice(0, dropped);
+        removed.forEach(old => this.pinned.delete(old.id));
+        if (this.selectedId !== null && this.selectedId <= lastId) {
+            this.select(null);
+        }
+    }
+
+    /**
+     * Add many entries at once (e.g. entries logged before the viewer was mounted)
+     * @param {Array} entries - Log entries
+     */
+    load(entries) {
+        entries.forEach(logEntry => {
+            this.records.push({ id: this.nextId++, entry: logEntry, text: null });
+            this.sections.add(logEntry.section);
+        });
+        this.trim(Math.max(0, this.records.length - this.maxEntries));
+        this.renderSectionChips();
+        this.applyFilters();
+    }
+
+    /**
+     * Show where the listed entries come from, e.g. an imported file
+     * Live entries are ignored while a source is set
+     * @param {string|null} label - Source label, or null for live logs
+     */
+    setSource(label) {
+        this.source = label;
+        if (this.element) {
+            this.element.querySelector('.log-viewer-live').hidden = !label;
+        }
+        this.scheduleRender();
+    }
+
+    /**
+     * Leave an imported log and list the live entries again
+     */
+    showLive() {
+        this.setSource(null);
+        this.clear();
+        this.load(this.liveEntries ? this.liveEntries() : []);
+    }
+
+    /**
+     * Show or hide the original values of redacted entries
+     * @param {boolean} show - Whether to show them
+     */
+    setShowRedacted(show) {
+        this.showRedacted = show;
+        this.select(this.selectedId);
+    }
+
+    /**
+     * Message and data to display for an entry, unredacted when requested
+     * @param {Object} logEntry - Log entry object
+     * @returns {Object} { message, data }
+     */
+    displayed(logEntry) {
+        const original = this.showRedacted && logEntry.redacted && this.unredact ? this.unredact(logEntry) : null;
+        return original || { message: logEntry.message, data: logEntry.data };
+    }
+
+    /**
+     * Only list the entries of one example run
+     * @param {string|null} runId - Correlation ID, or null to list every run
+     */
+    setRunFilter(runId) {
+        this.filters.runId = runId;
+        const button = this.element.querySelector('.log-viewer-run-filter');
+        button.hidden = !runId;
+        button.textContent = runId ? `run ${runId} ✕` : '';
+        this.applyFilters();
+    }
+
+    clear() {
+        this.records = [];
+        this.visible = [];
+        this.sections.clear();
+        this.pinned.clear();
+        this.selectedId = null;
+        if (this.details) {
+            this.details.hidden = true;
+            this.details.innerHTML = '';
+        }
+        this.renderSectionChips();
+        this.scheduleRender();
+    }
+
+    /**
+     * Lowercased text used by the full-text search, computed once per record
+     * @param {Object} record - Viewer record
+     * @returns {string} Searchable text
+     */
+    searchText(record) {
+        if (record.text === null) {
+            const { message, section, level, data, context } = record.entry;
+            record.text = `${message} ${section} ${level} ${data ? safeStringify(data) : ''} ${context ? safeStringify(context) : ''}`.toLowerCase();
+        }
+        return record.text;
+    }
+
+    /**
+     * Check a record against the current filters
+     * @param {Object} record - Viewer record
+     * @returns {boolean} True if the record should be listed
+     */
+    matches(record) {
+        const { levels, hiddenSections, search, range, from, to, runId } = this.filters;
+        const { entry } = record;
+
+        if (!levels.has(entry.level) || hiddenSections.has(entry.section)) {
+            return false;
+        }
+
+        if (runId && !(entry.context && entry.context.runId === runId)) {
+            return false;
+        }
+
+        if (range !== 'all') {
+            const time = new Date(entry.timestamp).getTime();
+            if (range === 'custom') {
+                if ((from && time < from.getTime()) || (to && time > to.getTime())) {
+                    return false;
+                }
+            } else if (time < Date.now() - TIME_RANGES[range]) {
+                return false;
+            }
+        }
+
+        return !search || this.searchText(record).includes(search);
+    }
+
+    applyFilters() {
+        this.visible = this.records.filter(record => this.matches(record));
+        this.scheduleRender();
+    }
+
+    renderLevelChips() {
+        const container = this.element.querySelector('.log-viewer-levels');
+        container.innerHTML = '';
+        Object.keys(LOG_LEVELS).forEach(level => {
+            container.appendChild(this.createChip(level, `chip-${level}`, this.filters.levels.has(level), active => {
+                if (active) {
+                    this.filters.levels.add(level);
+                } else {
+                    this.filters.levels.delete(level);
+                }
+            }));
+        });
+    }
+
+    renderSectionChips() {
+        if (!this.element) {
+            return;
+        }
+        const container = this.element.querySelector('.log-viewer-sections');
+        container.innerHTML = '';
+        [...this.sections].sort().forEach(section => {
+            container.appendChild(this.createChip(section, 'chip-section', !this.filters.hiddenSections.has(section), active => {
+                if (active) {
+                    this.filters.hiddenSections.delete(section);
+                } else {
+                    this.filters.hiddenSections.add(section);
+                }
+            }));
+        });
+    }
+
+    /**
+     * Create a toggle chip
+     * @param {string} label - Chip text
+     * @param {string} className - Extra class name
+     * @param {boolean} active - Initial state
+     * @param {Function} onToggle - Called with the new state
+     * @returns {HTMLButtonElement} The chip
+     */
+    createChip(label, className, active, onToggle) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `log-viewer-chip ${className}`;
+        chip.textContent = label;
+        chip.classList.toggle('active', active);
+        chip.addEventListener('click', () => {
+            const isActive = !chip.classList.contains('active');
+            chip.classList.toggle('active', isActive);
+            onToggle(isActive);
+            this.applyFilters();
+        });
+        return chip;
+    }
+
+    scheduleRender() {
+        if (this.renderScheduled || !this.element) {
+            return;
+        }
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+
+    render() {
+        const source = this.source ? ` from ${this.source}` : '';
+        this.element.querySelector('.log-viewer-status').textContent =
+            `${this.visible.length} of ${this.records.length} entries${source}${this.describeStats()}`;
+
+        if (this.minimized) {
+            return;
+        }
+        this.renderPinned();
+        if (this.view === 'waterfall') {
+            this.waterfall.replaceChildren(renderWaterfall(this.visible, { selectedId: this.selectedId }));
+        } else {
+            this.renderRows();
+        }
+    }
+
+    /**
+     * Summary of the logger's collapsed and dropped entries for the status line
+     * @returns {string} e.g. " · 12 repeats collapsed · 40 dropped (rate limit 30, sampling 10)"
+     */
+    describeStats() {
+        if (!this.stats || this.source) {
+            return '';
+        }
+        const { collapsed, dropped, rateLimited, sampled } = this.stats();
+        let text = '';
+        if (collapsed) {
+            text += ` · ${collapsed} repeats collapsed`;
+        }
+        if (dropped) {
+            text += ` · ${dropped} dropped (rate limit ${rateLimited}, sampling ${sampled})`;
+        }
+        return text;
+    }
+
+    /**
+     * Render only the rows inside the scrolled viewport (plus some overscan)
+     */
+    renderRows() {
+        const list = this.list;
+        const followTail = list.scrollTop + list.clientHeight >= this.spacer.offsetHeight - ROW_HEIGHT * 2;
+
+        this.spacer.style.height = `${this.visible.length * ROW_HEIGHT}px`;
+        if (followTail) {
+            list.scrollTop = list.scrollHeight;
+        }
+
+        const first = Math.max(0, Math.floor(list.scrollTop / ROW_HEIGHT) - OVERSCAN);
+        const last = Math.min(this.visible.length, Math.ceil((list.scrollTop + list.clientHeight) / ROW_HEIGHT) + OVERSCAN);
+
+        list.querySelectorAll('.log-viewer-row').forEach(row => row.remove());
+        for (let index = first; index < last; index++) {
+            const row = this.createRow(this.visible[index]);
+            row.style.top = `${index * ROW_HEIGHT}px`;
+            list.appendChild(row);
+        }
+    }
+
+    renderPinned() {
+        const container = this.element.querySelector('.log-viewer-pinned');
+        container.innerHTML = '';
+        this.records
+            .filter(record => this.pinned.has(record.id))
+            .forEach(record => container.appendChild(this.createRow(record)));
+    }
+
+    /**
+     * Create a one-line row for a record
+     * @param {Object} record - Viewer record
+     * @returns {HTMLElement} Row element
+     */
+    createRow(record) {
+        const { timestamp, level, section } = record.entry;
+        const { message, data } = this.displayed(record.entry);
+        const row = document.createElement('div');
+        row.className = `log-viewer-row log-${level}`;
+        row.dataset.id = record.id;
+        row.classList.toggle('selected', record.id === this.selectedId);
+        row.classList.toggle('pinned', this.pinned.has(record.id));
+
+        const time = document.createElement('span');
+        time.className = 'log-viewer-time';
+        time.textContent = new Date(timestamp).toLocaleTimeString();
+
+        const levelBadge = document.createElement('span');
+        levelBadge.className = 'log-viewer-level';
+        levelBadge.textContent = level.toUpperCase();
+
+        const sectionTag = document.createElement('span');
+        sectionTag.className = 'log-viewer-section';
+        sectionTag.textContent = section;
+        sectionTag.title = sectionLabel(record.entry);
+
+        const text = document.createElement('span');
+        text.className = 'log-viewer-message';
+        text.textContent = data ? `${message} {…}` : message;
+
+        row.append(time, levelBadge, sectionTag, text);
+        if (record.entry.repeat > 1) {
+            const repeat = document.createElement('span');
+            repeat.className = 'log-viewer-repeat';
+            repeat.textContent = `×${record.entry.repeat}`;
+            repeat.title = `Repeated ${record.entry.repeat} times, last at ${new Date(record.entry.lastTimestamp).toLocaleTimeString()}`;
+            row.appendChild(repeat);
+        }
+        return row;
+    }
+
+    /**
+     * Show the details of a record: message, actions and data tree
+     * @param {number} id - Record id
+     */
+    select(id) {
+        const record = this.records.find(candidate => candidate.id === id);
+        this.selectedId = record ? id : null;
+        this.details.hidden = !record;
+        this.details.innerHTML = '';
+        this.scheduleRender();
+
+        if (!record) {
+            return;
+        }
+
+        const entry = { ...record.entry, ...this.displayed(record.entry) };
+        const header = document.createElement('div');
+        header.className = 'log-viewer-details-header';
+        header.textContent = formatters.prefix(entry);
+        if (record.entry.redacted) {
+            const note = document.createElement('div');
+            note.className = 'log-viewer-redacted-note';
+            note.textContent = entry.data === record.entry.data && entry.message === record.entry.message
+                ? `${record.entry.redacted} value(s) redacted`
+                : `${record.entry.redacted} value(s) redacted - showing original values`;
+            header.appendChild(note);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'log-viewer-actions';
+        const addAction = (label, handler) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+        addAction(this.pinned.has(id) ? 'Unpin' : 'Pin', () => this.togglePin(id));
+        addAction('Copy text', () => this.copy(formatters.text(entry)));
+        addAction('Copy JSON', () => this.copy(safeStringify(entry, 2)));
+        const runId = entry.context && entry.context.runId;
+        if (runId) {
+            addAction(this.filters.runId === runId ? 'All runs' : 'Only this run', () => {
+                this.setRunFilter(this.filters.runId === runId ? null : runId);
+                this.select(id);
+            });
+        }
+        addAction('Close', () => this.select(null));
+
+        this.details.append(header, actions);
+        if (entry.data !== null && entry.data !== undefined) {
+            this.details.appendChild(renderJsonTree(entry.data));
+        }
+        if (entry.context) {
+            this.details.appendChild(renderJsonTree({ context: entry.context }));
+        }
+    }
+
+    /**
+     * Pin or unpin a record; pinned records stay visible above the list
+     * @param {number} id - Record id
+     */
+    togglePin(id) {
+        if (this.pinned.has(id)) {
+            this.pinned.delete(id);
+        } else {
+            this.pinned.add(id);
+        }
+        this.select(id);
+    }
+
+    /**
+     * Copy text to the clipboard
+     * @param {string} text - Text to copy
+     */
+    copy(text) {
+        // The Clipboard API only exists on secure origins (https, localhost)
+        if (!navigator.clipboard) {
+            console.warn('[log viewer] Copy failed: the clipboard is not available on this origin');
+            return;
+        }
+        navigator.clipboard.writeText(text).catch(error => {
+            console.warn('[log viewer] Copy failed:', error.message);
+        });
+    }
+}
+
+// Shared viewer used by the playground pages
+const logViewer = new LogViewer();
+
+export { logViewer, LogViewer };
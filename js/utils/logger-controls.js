@@ -0,0 +1,115 @@
+/**
+ * Logger Controls Module
+ *
+ * Logging UI shared by every page: the log viewer panel, clear/export
+ * buttons, the console capture switch, the log level settings panel and
+ * the stored session replay panel
+ */
+
+import { logger } from './logger.js';
+import { logStore } from './log-store.js';
+import { mountSessionReplay } from './session-replay.js';
+import { mountLogSettingsPanel } from './log-settings-panel.js';
+import { logViewer } from './log-viewer.js';
+import { EXPORT_FORMATS } from './log-export.js';
+import { consoleCapture, ConsoleCapture } from './console-capture.js';
+
+// Logger control functions
+window.clearAllLogs = () => {
+    logger.clear();
+    logger.info('All logs cleared', 'system');
+};
+
+window.exportAllLogs = (format = 'json') => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const logs = logger.exportLogs(format);
+    const blob = new Blob([logs], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `logs-${new Date().toISOString().split('T')[0]}.${extension}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    logger.info('Logs exported', 'system', { logCount: logger.getLogs().length, format });
+};
+
+// Load an exported file (any format) into the log viewer
+window.importLogFile = async (file) => {
+    try {
+        const entries = logger.importLogs(await file.text(), file.name);
+        // Set first, so the entry logged below stays out of the imported log
+        logViewer.setSource(file.name);
+        logViewer.clear();
+        logViewer.load(entries);
+        logger.info('Logs imported', 'system', { file: file.name, logCount: entries.length });
+    } catch (error) {
+        logger.error('Log import failed', 'system', { file: file.name, error: error.message });
+    }
+};
+
+// Switch console capture on or off and remember the choice
+window.toggleConsoleCapture = (enabled) => {
+    ConsoleCapture.saveRequested(enabled);
+    if (enabled) {
+        consoleCapture.enable(logger);
+    } else {
+        consoleCapture.disable();
+    }
+    logger.info(`Console capture ${enabled ? 'enabled' : 'disabled'}`, 'system');
+};
+
+/**
+ * Mount the log viewer and add logger controls to the page footer
+ */
+function addLoggerControls() {
+    // Show entries logged before the viewer existed, then follow live entries
+    logViewer.mount(document.body);
+    logViewer.configure({
+        unredact: entry => logger.getUnredacted(entry),
+        stats: () => logger.getStats(),
+        liveEntries: () => logger.getLogs()
+    });
+    logViewer.load(logger.getLogs());
+    logger.addTransport(logViewer);
+
+    const capture = ConsoleCapture.isRequested();
+    if (capture) {
+        consoleCapture.enable(logger);
+    }
+
+    const controlsHTML = `
+        <div class="logger-controls">
+            <button onclick="clearAllLogs()" class="clear-logs">Clear All Logs</button>
+            <select class="export-format">
+                <option value="json">JSON</option>
+                <option value="ndjson">NDJSON</option>
+                <option value="csv">CSV</option>
+                <option value="html">HTML report</option>
+            </select>
+            <button onclick="exportAllLogs(this.previousElementSibling.value)" class="export-logs">Export Logs</button>
+            <label class="import-logs">
+                Import Logs
+                <input type="file" accept=".json,.ndjson,.csv,.html" onchange="importLogFile(this.files[0]); this.value = ''" hidden>
+            </label>
+            <label class="console-capture">
+                <input type="checkbox" onchange="toggleConsoleCapture(this.checked)"${capture ? ' checked' : ''}>
+                Capture console
+            </label>
+        </div>
+    `;
+
+    const footer = document.querySelector('footer');
+    if (!footer) {
+        return;
+    }
+    footer.insertAdjacentHTML('beforeend', controlsHTML);
+    mountLogSettingsPanel(logger, footer);
+
+    if (typeof indexedDB !== 'undefined') {
+        mountSessionReplay(logStore, footer);
+    }
+}
+
+export { addLoggerControls };
@@ -1,14 +1,68 @@
 /**
  * Logger Utility Module
  * 
- * Provides logging functionality that outputs to both console and HTML
- * Supports different log levels and can be configured per section
+ * Provides logging functionality that outputs to pluggable transports
+ * (console by default, see log-transports.js and log-viewer.js)
+ * Supports different log levels and can be configured per section.
+ * Child loggers bind a section and context fields (such as the runId
+ * correlation ID of an example run) to every entry they produce.
+ * time() and trace() record timing spans (see log-span.js).
+ * Sensitive values are masked before an entry is stored (see redact.js),
+ * and repeated, rate limited or sampled entries are collapsed or dropped
+ * (see log-throttle.js)
  */
 
+import { ConsoleTransport } from './log-transports.js';
+import { IndexedDBTransport, logStore } from './log-store.js';
+import { LOG_LEVELS, isLevelEnabled } from './log-levels.js';
+import { exportEntries, parseLogFile } from './log-export.js';
+import { Span, traceSpan } from './log-span.js';
+import { Redactor } from './redact.js';
+import { LogThrottle } from './log-throttle.js';
+
+const LEVEL_SETTINGS_KEY = 'playground-log-levels';
+
+/**
+ * Generate a short correlation ID for an example run, e.g. "lx3k9a-4f2c"
+ * @returns {string} Run ID
+ */
+function createRunId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
 class Logger {
-    constructor() {
+    /**
+     * @param {Object} options - Logger options
+     * @param {Array} options.transports - Transports to start with (defaults to console)
+     * @param {string} options.level - Global minimum level (defaults to debug)
+     * @param {Object} options.sections - Per-section minimum levels, e.g. { promises: 'debug' }
+     * @param {Object} options.redaction - Redaction rules (see Redactor.configure())
+     * @param {Object} options.throttle - Dedupe, rate limit and sampling options (see log-throttle.js)
+     */
+    constructor(options = {}) {
         this.logs = [];
         this.maxLogs = 100; // Maximum number of logs to keep in memory
+        this.transports = [];
+        this.minLevel = 'debug';
+        this.sectionLevels = {};
+        this.redactor = new Redactor(options.redaction);
+        // Original message and data of redacted entries; memory only, never stored or exported
+        this.unredacted = new WeakMap();
+        this.throttle = new LogThrottle(options.throttle, (entry, added) => this.dispatchRepeat(entry, added));
+
+        this.configureLevels({ level: options.level, sections: options.sections });
+
+        const transports = options.transports || Logger.defaultTransports();
+        transports.forEach(transport => this.addTransport(transport));
+    }
+
+    /**
+     * Transports used when none are given
+     * Pages add the log viewer on top of this (see logger-controls.js)
+     * @returns {Array} Transport instances
+     */
+    static defaultTransports() {
+        return [new ConsoleTransport()];
     }
 
     /**
@@ -17,16 +71,52 @@ class Logger {
      * @param {string} message - Log message
      * @param {string} section - Optional section identifier
      * @param {any} data - Optional additional data
+     * @param {Object} context - Optional bound fields, e.g. { runId } (see child())
      */
-    log(level, message, section = 'general', data = null) {
+    log(level, message, section = 'general', data = null, context = null) {
+        this.write({ level, message, section, data, context });
+    }
+
+    /**
+     * Add a log entry from its fields
+     * @param {Object} fields - { level, message, section, data, context, span }
+     */
+    write({ level, message, section = 'general', data = null, context = null, span = null }) {
+        // Filtered entries never reach the logs array or any transport
+        if (!this.isEnabled(level, section)) {
+            return;
+        }
+
+        const redaction = this.redact(message, data);
         const timestamp = new Date().toISOString();
         const logEntry = {
             timestamp,
             level,
-            message,
+            message: redaction.message,
             section,
-            data
+            data: redaction.data
         };
+        if (context) {
+            logEntry.context = context;
+        }
+        if (span) {
+            logEntry.span = span;
+        }
+        if (redaction.count > 0) {
+            logEntry.redacted = redaction.count;
+        }
+
+        // Collapse duplicates and drop rate limited or sampled entries
+        const verdict = this.throttle.check(logEntry);
+        if (verdict !== 'log') {
+            if (verdict !== 'repeat') {
+                this.dispatchDrop(logEntry, verdict);
+            }
+            return;
+        }
+        if (redaction.count > 0) {
+            this.unredacted.set(logEntry, { message, data });
+        }
 
         // Add to logs array
         this.logs.push(logEntry);
@@ -36,106 +126,322 @@ class Logger {
             this.logs.shift();
         }
 
-        // Console logging with colors
-        this.logToConsole(logEntry);
-        
-        // HTML logging
-        this.logToHTML(logEntry);
+        // Hand the entry to every registered transport
+        this.dispatch(logEntry);
+    }
+
+    /**
+     * Mask sensitive values in a message and its data
+     * If a redaction rule throws, the data is dropped rather than logged unmasked
+     * @param {string} message - Log message
+     * @param {any} data - Log data
+     * @returns {Object} { message, data, count }
+     */
+    redact(message, data) {
+        try {
+            return this.redactor.redactEntry(message, data);
+        } catch (error) {
+            console.warn(`[logger] Redaction failed, data dropped: ${error.message}`);
+            return { message: this.redactor.redactString(String(message)), data: this.redactor.mask, count: 1 };
+        }
     }
 
     /**
-     * Log to console with appropriate styling
+     * Change the redaction rules
+     * @param {Object} options - { enabled, mask, keys, values, functions } (see Redactor.configure())
+     */
+    configureRedaction(options) {
+        this.redactor.configure(options);
+    }
+
+    /**
+     * Get the original message and data of a redacted entry, for local debugging
+     * Only entries logged on this page since it loaded are available
      * @param {Object} logEntry - Log entry object
+     * @returns {Object|null} { message, data }, or null if nothing was redacted
      */
-    logToConsole(logEntry) {
-        const { timestamp, level, message, section, data } = logEntry;
-        const timeStr = new Date(timestamp).toLocaleTimeString();
-        const prefix = `[${timeStr}] [${level.toUpperCase()}] [${section}]`;
-        
-        // Console styling based on level
-        const styles = {
-            info: 'color: #2196F3; font-weight: bold;',
-            warn: 'color: #FF9800; font-weight: bold;',
-            error: 'color: #F44336; font-weight: bold;',
-            debug: 'color: #9C27B0; font-weight: bold;'
-        };
+    getUnredacted(logEntry) {
+        return this.unredacted.get(logEntry) || null;
+    }
+
+    /**
+     * Create a logger with bound fields
+     * The section is used for every entry; other fields are added to each
+     * entry as its context, e.g. logger.child({ section: 'promises', runId })
+     * @param {Object} bindings - { section, ...context }
+     * @returns {ChildLogger} Child logger
+     */
+    child(bindings = {}) {
+        return new ChildLogger(this, bindings);
+    }
+
+    /**
+     * Create a child logger for one example run, with a new correlation ID
+     * @param {string} section - Section of the example
+     * @param {Object} context - Extra fields to bind
+     * @returns {ChildLogger} Child logger whose entries share a runId
+     */
+    startRun(section, context = {}) {
+        return this.child({ section, ...context, runId: createRunId() });
+    }
+
+    /**
+     * Start a timing span; span.end() logs its duration
+     * @param {string} name - Operation name
+     * @param {string} section - Section identifier
+     * @param {any} data - Optional data added to the entry
+     * @returns {Span} Started span
+     */
+    time(name, section = 'general', data = null) {
+        return new Span(fields => this.write({ section, ...fields }), name, { data });
+    }
 
-        if (data) {
-            console.log(`%c${prefix} ${message}`, styles[level] || '', data);
+    /**
+     * Run a function inside a timing span, e.g.
+     * await logger.trace('load', async span => { await span.trace('fetch', fetchUser); }, 'async')
+     * @param {string} name - Operation name
+     * @param {Function} fn - Receives the span, may be async
+     * @param {string} section - Section identifier
+     * @returns {Promise} Resolves with the function's result
+     */
+    trace(name, fn, section = 'general') {
+        return traceSpan(this.time(name, section), fn);
+    }
+
+    /**
+     * Check whether a level is enabled for a section
+     * A per-section override wins over the global minimum level
+     * @param {string} level - Log level
+     * @param {string} section - Section identifier
+     * @returns {boolean} True if entries at this level should be logged
+     */
+    isEnabled(level, section = 'general') {
+        return isLevelEnabled(level, this.getLevelFor(section));
+    }
+
+    /**
+     * Get the minimum level that applies to a section
+     * @param {string} section - Section identifier
+     * @returns {string} Minimum level
+     */
+    getLevelFor(section) {
+        return this.sectionLevels[section] || this.minLevel;
+    }
+
+    /**
+     * Set the global minimum level
+     * @param {string} level - Minimum level (debug, info, warn, error)
+     */
+    setLevel(level) {
+        this.minLevel = Logger.validateLevel(level);
+    }
+
+    /**
+     * Set or remove a per-section minimum level
+     * @param {string} section - Section identifier
+     * @param {string|null} level - Minimum level, or null to use the global level
+     */
+    setSectionLevel(section, level) {
+        if (level === null || level === undefined || level === '') {
+            delete this.sectionLevels[section];
         } else {
-            console.log(`%c${prefix} ${message}`, styles[level] || '');
+            this.sectionLevels[section] = Logger.validateLevel(level);
         }
     }
 
     /**
-     * Log to HTML output area
-     * @param {Object} logEntry - Log entry object
+     * Apply level settings in one go
+     * @param {Object} settings - { level, sections: { [section]: level } }
      */
-    logToHTML(logEntry) {
-        const { timestamp, level, message, section, data } = logEntry;
-        const timeStr = new Date(timestamp).toLocaleTimeString();
-        
-        // Create log element
-        const logElement = document.createElement('div');
-        logElement.className = `log-entry log-${level}`;
-        
-        // Format the log message
-        let logText = `[${timeStr}] [${level.toUpperCase()}] [${section}] ${message}`;
-        if (data) {
-            logText += `\nData: ${JSON.stringify(data, null, 2)}`;
+    configureLevels({ level, sections } = {}) {
+        if (level) {
+            this.setLevel(level);
         }
-        
-        logElement.textContent = logText;
-        
-        // Add to appropriate section or create a general log area
-        this.addToHTMLOutput(logElement, section);
+        Object.entries(sections || {}).forEach(([section, sectionLevel]) => {
+            this.setSectionLevel(section, sectionLevel);
+        });
     }
 
     /**
-     * Add log element to HTML output
-     * @param {HTMLElement} logElement - The log element to add
-     * @param {string} section - Section identifier
+     * Get the current level settings
+     * @returns {Object} { level, sections }
      */
-    addToHTMLOutput(logElement, section) {
-        // Try to find existing log container for this section
-        let logContainer = document.getElementById(`${section}-logs`);
-        
-        if (!logContainer) {
-            // Create new log container
-            logContainer = document.createElement('div');
-            logContainer.id = `${section}-logs`;
-            logContainer.className = 'log-container';
-            logContainer.innerHTML = `<h4>Logs for ${section}</h4>`;
-            
-            // Try to add to the section's output area
-            const sectionOutput = document.getElementById(`${section}-output`);
-            if (sectionOutput) {
-                sectionOutput.appendChild(logContainer);
-            } else {
-                // Fallback: add to body or create a general logs area
-                let generalLogs = document.getElementById('general-logs');
-                if (!generalLogs) {
-                    generalLogs = document.createElement('div');
-                    generalLogs.id = 'general-logs';
-                    generalLogs.className = 'log-container';
-                    generalLogs.innerHTML = '<h4>General Logs</h4>';
-                    document.body.appendChild(generalLogs);
-                }
-                generalLogs.appendChild(logContainer);
+    getLevelSettings() {
+        return { level: this.minLevel, sections: { ...this.sectionLevels } };
+    }
+
+    /**
+     * Apply level settings from a query string
+     * e.g. ?logLevel=warn&logSections=promises:debug,system:warn
+     * Unknown levels are reported and ignored
+     * @param {string} search - Query string (location.search)
+     */
+    configureFromQueryString(search) {
+        const params = new URLSearchParams(search);
+        const apply = (setting, update) => {
+            try {
+                update();
+            } catch (error) {
+                console.warn(`[logger] Ignoring ${setting} from the query string: ${error.message}`);
             }
+        };
+
+        if (params.has('logLevel')) {
+            apply('logLevel', () => this.setLevel(params.get('logLevel')));
         }
-        
-        // Add the log entry
-        logContainer.appendChild(logElement);
-        
-        // Auto-scroll to bottom
-        logContainer.scrollTop = logContainer.scrollHeight;
-        
-        // Limit number of log entries in HTML (keep last 20)
-        const entries = logContainer.querySelectorAll('.log-entry');
-        if (entries.length > 20) {
-            entries[0].remove();
+        (params.get('logSections') || '').split(',').filter(Boolean).forEach(pair => {
+            const [section, level] = pair.split(':').map(part => part.trim());
+            apply(`logSections ${pair}`, () => this.setSectionLevel(section, Logger.validateLevel(level)));
+        });
+    }
+
+    /**
+     * Save the level settings so every page of the playground uses them
+     */
+    saveLevelSettings() {
+        localStorage.setItem(LEVEL_SETTINGS_KEY, JSON.stringify(this.getLevelSettings()));
+    }
+
+    /**
+     * Load level settings saved by saveLevelSettings()
+     */
+    loadLevelSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(LEVEL_SETTINGS_KEY) || 'null');
+            if (saved) {
+                this.configureLevels(saved);
+            }
+        } catch (error) {
+            console.warn(`[logger] Ignoring saved log levels: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check that a level exists
+     * @param {string} level - Level name
+     * @returns {string} The level
+     */
+    static validateLevel(level) {
+        if (!(level in LOG_LEVELS)) {
+            throw new Error(`Unknown log level: ${level}`);
         }
+        return level;
+    }
+
+    /**
+     * Send a log entry to every transport that accepts it
+     * A failing transport never prevents the others from receiving the entry
+     * @param {Object} logEntry - Log entry object
+     */
+    dispatch(logEntry) {
+        this.transports.forEach(transport => {
+            if (!transport.accepts(logEntry)) {
+                return;
+            }
+            try {
+                transport.write(logEntry);
+            } catch (error) {
+                console.error(`[logger] Transport "${transport.name}" failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Report repeats of a collapsed entry to every transport that accepted it
+     * @param {Object} logEntry - Collapsed entry
+     * @param {number} added - Repeats since the last report
+     */
+    dispatchRepeat(logEntry, added) {
+        this.transports.forEach(transport => {
+            if (!transport.accepts(logEntry)) {
+                return;
+            }
+            try {
+                transport.repeated(logEntry, added);
+            } catch (error) {
+                console.error(`[logger] Transport "${transport.name}" failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Tell the transports an entry was dropped, so counters can be refreshed
+     * @param {Object} logEntry - Dropped entry
+     * @param {string} reason - 'rateLimited' or 'sampled'
+     */
+    dispatchDrop(logEntry, reason) {
+        this.transports.forEach(transport => {
+            try {
+                transport.dropped(logEntry, reason);
+            } catch (error) {
+                console.error(`[logger] Transport "${transport.name}" failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Change dedupe, rate limit and sampling options, e.g.
+     * logger.configureThrottle({ sections: { promises: { rateLimit: { perSecond: 5 }, sampleRates: { debug: 0.1 } } } })
+     * @param {Object} options - See log-throttle.js
+     */
+    configureThrottle(options) {
+        this.throttle.configure(options);
+    }
+
+    /**
+     * Counters of collapsed and dropped entries
+     * @returns {Object} { collapsed, sampled, rateLimited, dropped, sections }
+     */
+    getStats() {
+        return this.throttle.getStats();
+    }
+
+    /**
+     * Register a transport, replacing any transport with the same name
+     * @param {Transport} transport - Transport instance
+     * @returns {Transport} The registered transport
+     */
+    addTransport(transport) {
+        this.removeTransport(transport.name);
+        this.transports.push(transport);
+        return transport;
+    }
+
+    /**
+     * Remove a transport
+     * @param {string|Transport} transport - Transport name or instance
+     * @returns {boolean} True if a transport was removed
+     */
+    removeTransport(transport) {
+        const name = typeof transport === 'string' ? transport : transport.name;
+        const index = this.transports.findIndex(t => t.name === name);
+        if (index === -1) {
+            return false;
+        }
+        this.transports.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Get a registered transport by name
+     * @param {string} name - Transport name
+     * @returns {Transport|undefined} The transport, if registered
+     */
+    getTransport(name) {
+        return this.transports.find(t => t.name === name);
+    }
+
+    /**
+     * Change options of a registered transport (level, formatter, enabled, ...)
+     * @param {string} name - Transport name
+     * @param {Object} options - Options to change
+     */
+    configureTransport(name, options) {
+        const transport = this.getTransport(name);
+        if (!transport) {
+            throw new Error(`Unknown log transport: ${name}`);
+        }
+        transport.configure(options);
     }
 
     /**
@@ -162,12 +468,10 @@ class Logger {
      */
     clear() {
         this.logs = [];
-        // Clear HTML logs
-        const logContainers = document.querySelectorAll('.log-container');
-        logContainers.forEach(container => {
-            const entries = container.querySelectorAll('.log-entry');
-            entries.forEach(entry => entry.remove());
-        });
+        this.throttle.reset();
+        this.throttle.resetStats();
+        // Clear whatever the transports have written (HTML logs, buffers, ...)
+        this.transports.forEach(transport => transport.clear());
     }
 
     /**
@@ -188,19 +492,154 @@ class Logger {
     }
 
     /**
-     * Export logs as JSON
-     * @returns {string} JSON string of all logs
+     * Export logs as JSON, NDJSON, CSV or a self-contained HTML report
+     * Data is serialized safely, so circular or exotic values never break an export
+     * @param {string} format - json (default), ndjson, csv or html
+     * @returns {string} Exported logs
      */
-    exportLogs() {
-        return JSON.stringify(this.logs, null, 2);
+    exportLogs(format = 'json') {
+        return exportEntries(this.logs, format);
+    }
+
+    /**
+     * Parse a file produced by exportLogs() in any format
+     * The entries are returned, not logged again, so they can be shown in a viewer
+     * @param {string} text - File contents
+     * @param {string} filename - File name (helps detecting the format)
+     * @returns {Array} Log entries
+     */
+    importLogs(text, filename) {
+        return parseLogFile(text, filename);
+    }
+
+    /**
+     * Get all logs of one example run
+     * @param {string} runId - Correlation ID (see startRun())
+     * @returns {Array} Array of log entries for the run
+     */
+    getLogsForRun(runId) {
+        return this.logs.filter(log => log.context && log.context.runId === runId);
+    }
+}
+
+/**
+ * Logger with a bound section and context
+ * Methods take (message, data) since the section is already known;
+ * entries go through the parent logger, so levels and transports apply as usual
+ */
+class ChildLogger {
+    /**
+     * @param {Logger} parent - Logger that writes the entries
+     * @param {Object} bindings - { section, ...context }
+     */
+    constructor(parent, bindings = {}) {
+        const { section = 'general', ...context } = bindings;
+        this.parent = parent;
+        this.section = section;
+        this.context = Object.keys(context).length ? context : null;
+    }
+
+    /**
+     * Fields bound to this logger
+     * @returns {Object} { section, ...context }
+     */
+    get bindings() {
+        return { section: this.section, ...this.context };
+    }
+
+    /**
+     * Create a child of this child; its bindings extend (and override) these
+     * @param {Object} bindings - Fields to add
+     * @returns {ChildLogger} Child logger
+     */
+    child(bindings = {}) {
+        return new ChildLogger(this.parent, { ...this.bindings, ...bindings });
+    }
+
+    /**
+     * Add a log entry with the bound section and context
+     * @param {string} level - Log level (info, warn, error, debug)
+     * @param {string} message - Log message
+     * @param {any} data - Optional additional data
+     */
+    log(level, message, data = null) {
+        this.parent.log(level, message, this.section, data, this.context);
+    }
+
+    /**
+     * Add an entry from its fields with the bound section and context; used to
+     * replay entries made elsewhere, like the spans of a sandboxed run (see sandbox.js)
+     * @param {Object} fields - { level, message, data, span }
+     */
+    write(fields) {
+        this.parent.write({ ...fields, section: this.section, context: this.context });
+    }
+
+    /**
+     * Start a timing span with the bound section and context
+     * @param {string} name - Operation name
+     * @param {any} data - Optional data added to the entry
+     * @returns {Span} Started span
+     */
+    time(name, data = null) {
+        const emit = fields => this.parent.write({ section: this.section, context: this.context, ...fields });
+        return new Span(emit, name, { data });
+    }
+
+    /**
+     * Run a function inside a timing span with the bound section and context
+     * @param {string} name - Operation name
+     * @param {Function} fn - Receives the span, may be async
+     * @returns {Promise} Resolves with the function's result
+     */
+    trace(name, fn) {
+        return traceSpan(this.time(name), fn);
+    }
+
+    /**
+     * Check whether a level is enabled for the bound section
+     * @param {string} level - Log level
+     * @returns {boolean} True if entries at this level would be logged
+     */
+    isEnabled(level) {
+        return this.parent.isEnabled(level, this.section);
+    }
+
+    info(message, data = null) {
+        this.log('info', message, data);
+    }
+
+    warn(message, data = null) {
+        this.log('warn', message, data);
+    }
+
+    error(message, data = null) {
+        this.log('error', message, data);
+    }
+
+    debug(message, data = null) {
+        this.log('debug', message, data);
     }
 }
 
 // Create a global logger instance
 const logger = new Logger();
 
+// Persist the global logger's entries so they survive reloads and navigation
+if (typeof indexedDB !== 'undefined') {
+    logger.addTransport(new IndexedDBTransport({ store: logStore }));
+}
+
+// Saved settings panel choices first, then the URL (?logLevel=...&logSections=...)
+if (typeof window !== 'undefined') {
+    logger.loadLevelSettings();
+    logger.configureFromQueryString(window.location.search);
+}
+
 // Export the logger instance and class
-export { logger, Logger };
+export { logger, Logger, ChildLogger, createRunId };
 
 // Also make logger available globally for easy access
-window.logger = logger;
+if (typeof window !== 'undefined') {
+    window.logger = logger;
+}
@@ -0,0 +1,83 @@
+/**
+ * Loop Protect Module
+ *
+ * Instruments loops so code running in the sandbox (see sandbox.js) can be
+ * stopped when its time budget runs out: a guard call is inserted at the
+ * start of every braced for, for await, while and do loop body. The guard
+ * throws once the budget is spent, which breaks out of an infinite loop
+ * that would otherwise block the thread for good.
+ *
+ * Loops without braces are left alone; the sandbox watchdog still removes
+ * the frame once its thread is free again
+ */
+
+// Comments, strings and template literals, whose contents must not be instrumented
+const SKIP_PATTERN = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\[\s\S]|[^`\\])*`/g;
+
+const LOOP_PATTERN = /\bfor(?:\s+await)?\s*\(|\bwhile\s*\(|\bdo\s*\{/g;
+
+/**
+ * Blank out comments and strings, keeping every offset in place
+ * @param {string} source - Source code
+ * @returns {string} Source with comment and string contents replaced by spaces
+ */
+function maskSource(source) {
+    return source.replace(SKIP_PATTERN, match => match.replace(/[^\n]/g, ' '));
+}
+
+/**
+ * Find the parenthesis that closes the one at an offset
+ * @param {string} masked - Masked source
+ * @param {number} open - Offset of the opening parenthesis
+ * @returns {number} Offset of the closing parenthesis, or -1
+ */
+function findClosingParen(masked, open) {
+    let depth = 0;
+    for (let index = open; index < masked.length; index++) {
+        if (masked[index] === '(') {
+            depth++;
+        } else if (masked[index] === ')') {
+            depth--;
+            if (depth === 0) {
+                return index;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Insert a guard call at the start of every braced loop body
+ * @param {string} source - Source code
+ * @param {string} guard - Name of the global guard function
+ * @returns {string} Instrumented source (line numbers are unchanged)
+ */
+function protectLoops(source, guard = '__loopGuard') {
+    const masked = maskSource(source);
+    const offsets = [];
+
+    LOOP_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = LOOP_PATTERN.exec(masked)) !== null) {
+        const end = match.index + match[0].length;
+        if (match[0].startsWith('do')) {
+            offsets.push(end);
+            continue;
+        }
+        const close = findClosingParen(masked, end - 1);
+        if (close === -1) {
+            continue;
+        }
+        // The while of a do...while is followed by ';' and gets no guard
+        const body = masked.slice(close + 1).search(/\S/);
+        if (body !== -1 && masked[close + 1 + body] === '{') {
+            offsets.push(close + 2 + body);
+        }
+    }
+
+    return offsets
+        .sort((a, b) => b - a)
+        .reduce((result, offset) => `${result.slice(0, offset)}${guard}();${result.slice(offset)}`, source);
+}
+
+export { protectLoops, maskSource };
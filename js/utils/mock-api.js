@@ -0,0 +1,311 @@
+/**
+ * Mock API Module
+ *
+ * An offline stand-in for the public APIs the network examples call. The
+ * same MockApi answers requests in two places:
+ *
+ * - the Vite dev and preview servers, as middleware under /mock-api (see
+ *   vite.config.js)
+ * - the page itself: installMockFetch() wraps fetch() and answers requests
+ *   to /mock-api in the browser when no server does (a static build, or the
+ *   sandbox's opaque origin)
+ *
+ * Routes (GET unless noted; paths are relative to /mock-api):
+ *
+ * /users, /users/:id                 jsonplaceholder users
+ * /posts[?userId=], /posts/:id       jsonplaceholder posts, 10 per user
+ * /posts/:id/comments                comments of a post
+ * /comments[?postId=]                jsonplaceholder comments, 5 per post
+ * /facts, /facts/random              catfact.ninja facts
+ * /quotes, /quotes/random            quotable quotes
+ * /status/:code  (any method)        httpbin: responds with that status
+ * /delay/:ms     (any method)        httpbin: responds after ms (10s at most)
+ * /health                            tells the page a server is answering
+ *
+ * "Random" routes go through their entries in turn, so runs are repeatable.
+ * The module has no imports and does not touch the DOM when loaded, so
+ * Node (the Vite config) and the sandbox can load it too
+ */
+
+const MAX_DELAY = 10000;
+// Statuses whose responses must not have a body
+const NULL_BODY_STATUSES = [101, 103, 204, 205, 304];
+// Header that tells a mock response from the network apart
+const MOCK_HEADER = 'X-Mock-Api';
+
+const USERS = [
+    ['Leanne Graham', 'Bret', 'Sincere@april.biz', 'Gwenborough', 'Romaguera-Crona'],
+    ['Ervin Howell', 'Antonette', 'Shanna@melissa.tv', 'Wisokyburgh', 'Deckow-Crist'],
+    ['Clementine Bauch', 'Samantha', 'Nathan@yesenia.net', 'McKenziehaven', 'Romaguera-Jacobson'],
+    ['Patricia Lebsack', 'Karianne', 'Julianne.OConner@kory.org', 'South Elvis', 'Robel-Corkery'],
+    ['Chelsey Dietrich', 'Kamren', 'Lucio_Hettinger@annie.ca', 'Roscoeview', 'Keebler LLC'],
+    ['Mrs. Dennis Schulist', 'Leopoldo_Corkery', 'Karley_Dach@jasper.info', 'South Christy', 'Considine-Lockman'],
+    ['Kurtis Weissnat', 'Elwyn.Skiles', 'Telly.Hoeger@billy.biz', 'Howemouth', 'Johns Group'],
+    ['Nicholas Runolfsdottir V', 'Maxime_Nienow', 'Sherwood@rosamond.me', 'Aliyaview', 'Abernathy Group'],
+    ['Glenna Reichert', 'Delphine', 'Chaim_McDermott@dana.io', 'Bartholomebury', 'Yost and Sons'],
+    ['Clementina DuBuque', 'Moriah.Stanton', 'Rey.Padberg@karina.biz', 'Lebsackbury', 'Hoeger LLC']
+].map(([name, username, email, city, company], index) => ({
+    id: index + 1,
+    name,
+    username,
+    email,
+    address: { city },
+    phone: `555-01${String(index).padStart(2, '0')}`,
+    website: `${username.toLowerCase().replace(/[^a-z]/g, '')}.example`,
+    company: { name: company }
+}));
+
+const WORDS = [
+    'promise', 'resolve', 'reject', 'async', 'await', 'callback', 'event', 'loop',
+    'queue', 'task', 'fetch', 'response', 'closure', 'scope', 'module', 'export',
+    'render', 'state', 'value', 'error', 'retry', 'timeout', 'stream', 'signal'
+];
+
+/**
+ * Filler text that is the same on every load
+ * @param {number} seed - Picks the words
+ * @param {number} count - Number of words
+ * @returns {string} Words separated by spaces
+ */
+function words(seed, count) {
+    return Array.from({ length: count }, (_, index) => WORDS[(seed * 7 + index * 5) % WORDS.length]).join(' ');
+}
+
+const POSTS = USERS.flatMap(user => Array.from({ length: 10 }, (_, index) => {
+    const id = (user.id - 1) * 10 + index + 1;
+    return { userId: user.id, id, title: words(id, 5), body: words(id + 3, 20) };
+}));
+
+const COMMENTS = POSTS.flatMap(post => Array.from({ length: 5 }, (_, index) => {
+    const id = (post.id - 1) * 5 + index + 1;
+    const author = USERS[(post.id + index) % USERS.length];
+    return { postId: post.id, id, name: words(id + 11, 4), email: author.email, body: words(id + 17, 15) };
+}));
+
+const FACTS = [
+    'Cats sleep for around 13 to 16 hours a day.',
+    'A group of cats is called a clowder.',
+    'Cats have five toes on their front paws but only four on their back paws.',
+    'A cat can jump up to six times its length.',
+    'Cats use their whiskers to judge whether they fit through a gap.',
+    'The oldest known pet cat was found in a 9,500 year old grave in Cyprus.',
+    'A cat\'s purr vibrates at a frequency of 25 to 150 hertz.',
+    'Cats walk like camels and giraffes: both right feet first, then both left feet.'
+].map(fact => ({ fact, length: fact.length }));
+
+const QUOTES = [
+    ['Any fool can write code that a computer can understand. Good programmers write code that humans can understand.', 'Martin Fowler', ['technology']],
+    ['First, solve the problem. Then, write the code.', 'John Johnson', ['technology']],
+    ['Simplicity is prerequisite for reliability.', 'Edsger W. Dijkstra', ['technology', 'wisdom']],
+    ['Programs must be written for people to read, and only incidentally for machines to execute.', 'Harold Abelson', ['technology']],
+    ['The best way to predict the future is to invent it.', 'Alan Kay', ['future']],
+    ['Make it work, make it right, make it fast.', 'Kent Beck', ['technology', 'wisdom']]
+].map(([content, author, tags], index) => ({
+    _id: `mock-quote-${index + 1}`,
+    content,
+    author,
+    authorSlug: author.toLowerCase().replace(/[^a-z]+/g, '-'),
+    tags,
+    length: content.length
+}));
+
+/**
+ * Build a JSON response
+ * @param {number} status - HTTP status
+ * @param {any} body - Value to send as JSON
+ * @param {number} delay - Milliseconds to wait before responding
+ * @returns {Object} { status, headers, body, delay }
+ */
+function json(status, body, delay = 0) {
+    return { status, headers: { 'Content-Type': 'application/json; charset=utf-8' }, body: JSON.stringify(body), delay };
+}
+
+class MockApi {
+    constructor() {
+        this.counters = new Map(); // Route -> index of the next "random" entry
+        this.routes = [
+            ['GET', /^\/health$/, () => json(200, { ok: true })],
+            ['GET', /^\/users$/, () => json(200, USERS)],
+            ['GET', /^\/users\/(\d+)$/, ([id]) => this.find(USERS, id)],
+            ['GET', /^\/posts$/, (params, query) => json(200, this.filter(POSTS, query, 'userId'))],
+            ['GET', /^\/posts\/(\d+)$/, ([id]) => this.find(POSTS, id)],
+            ['GET', /^\/posts\/(\d+)\/comments$/, ([id]) => json(200, COMMENTS.filter(comment => comment.postId === Number(id)))],
+            ['GET', /^\/comments$/, (params, query) => json(200, this.filter(COMMENTS, query, 'postId'))],
+            ['GET', /^\/facts$/, () => json(200, { data: FACTS, total: FACTS.length })],
+            ['GET', /^\/facts\/random$/, () => json(200, this.next('facts', FACTS))],
+            ['GET', /^\/quotes$/, () => json(200, { results: QUOTES, count: QUOTES.length })],
+            ['GET', /^\/quotes\/random$/, () => json(200, this.next('quotes', QUOTES))],
+            ['*', /^\/status\/(\d+)$/, ([code]) => this.status(Number(code))],
+            ['*', /^\/delay\/(\d+)$/, ([ms], query, request) => this.delay(Number(ms), query, request)]
+        ];
+    }
+
+    /**
+     * Answer a request
+     * @param {Object} request - { method, url: path relative to the mock API base, with its query }
+     * @returns {Object} { status, headers, body: string or null, delay: ms to wait before responding }
+     */
+    handle({ method = 'GET', url }) {
+        const [pathname, search = ''] = url.split('?');
+        const path = pathname.replace(/\/+$/, '') || '/';
+        const query = new URLSearchParams(search);
+        const upperMethod = method.toUpperCase();
+
+        let pathMatched = false;
+        for (const [routeMethod, pattern, respond] of this.routes) {
+            const match = pattern.exec(path);
+            if (!match) {
+                continue;
+            }
+            pathMatched = true;
+            if (routeMethod === '*' || routeMethod === upperMethod || (routeMethod === 'GET' && upperMethod === 'HEAD')) {
+                return respond(match.slice(1), query, { method: upperMethod, url });
+            }
+        }
+        return pathMatched
+            ? json(405, { error: `${upperMethod} is not supported on ${path}` })
+            : json(404, { error: `No mock route for ${path}` });
+    }
+
+    /**
+     * Respond with the entry that has an id
+     * @param {Array} items - Fixture entries
+     * @param {string} id - Id from the path
+     * @returns {Object} Response
+     */
+    find(items, id) {
+        const item = items.find(candidate => candidate.id === Number(id));
+        // jsonplaceholder answers unknown ids with 404 and an empty object
+        return item ? json(200, item) : json(404, {});
+    }
+
+    /**
+     * Entries filtered by a numeric query parameter, if given
+     * @param {Array} items - Fixture entries
+     * @param {URLSearchParams} query - Request query
+     * @param {string} key - Parameter and property name, like 'userId'
+     * @returns {Array} Matching entries
+     */
+    filter(items, query, key) {
+        return query.has(key) ? items.filter(item => item[key] === Number(query.get(key))) : items;
+    }
+
+    /**
+     * The next entry of a "random" route, going through them in turn
+     * @param {string} name - Route name
+     * @param {Array} items - Fixture entries
+     * @returns {Object} Entry
+     */
+    next(name, items) {
+        const index = this.counters.get(name) || 0;
+        this.counters.set(name, (index + 1) % items.length);
+        return items[index];
+    }
+
+    /**
+     * Respond with a status, like httpbin's /status/:code
+     * @param {number} code - HTTP status
+     * @returns {Object} Response
+     */
+    status(code) {
+        if (code < 200 || code > 599) {
+            return json(400, { error: 'Status must be between 200 and 599' });
+        }
+        if (NULL_BODY_STATUSES.includes(code)) {
+            return { status: code, headers: {}, body: null, delay: 0 };
+        }
+        return json(code, { status: code });
+    }
+
+    /**
+     * Respond after a delay, like httpbin's /delay/:ms (in milliseconds, not seconds)
+     * @param {number} ms - Milliseconds to wait, at most MAX_DELAY
+     * @param {URLSearchParams} query - Request query, echoed back
+     * @param {Object} request - { method, url }
+     * @returns {Object} Response
+     */
+    delay(ms, query, request) {
+        const delay = Math.min(ms, MAX_DELAY);
+        return json(200, { delay, args: Object.fromEntries(query), method: request.method, url: request.url }, delay);
+    }
+}
+
+/**
+ * Wait, rejecting with the signal's reason if it aborts first
+ * The network simulator and the HTTP recorder use it too
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} signal - Optional signal
+ * @returns {Promise<void>} Resolves after ms
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Wrap fetch() so requests to the mock API are answered in the page when no
+ * server serves it. Whether one does is checked once, with a request to /health
+ * @param {Object} options - Options
+ * @param {string} options.base - Path the mock API is served under, like '/mock-api'
+ * @param {string} options.origin - Origin the requests go to (the page's own by default)
+ * @param {boolean} options.server - False to skip the check and always answer in the page
+ * @param {Object} options.target - Object whose fetch is wrapped (globalThis by default)
+ * @param {MockApi} options.api - API that answers the requests
+ * @returns {Function} Restores the original fetch
+ */
+function installMockFetch({ base, origin = globalThis.location.origin, server = true, target = globalThis, api = new MockApi() }) {
+    const originalFetch = target.fetch;
+    const prefix = `${origin}${base}`;
+    let serverCheck = server ? null : Promise.resolve(false);
+
+    const hasServer = () => {
+        if (!serverCheck) {
+            serverCheck = originalFetch.call(target, `${prefix}/health`)
+                .then(response => response.ok && response.headers.has(MOCK_HEADER))
+                .catch(() => false);
+        }
+        return serverCheck;
+    };
+
+    target.fetch = async function mockFetch(input, init = {}) {
+        const request = typeof input === 'object' && input !== null && 'url' in input ? input : null;
+        const url = new URL(request ? request.url : String(input), globalThis.location?.href ?? origin).href;
+        if (url !== prefix && !url.startsWith(`${prefix}/`) && !url.startsWith(`${prefix}?`)) {
+            return originalFetch.call(target, input, init);
+        }
+        if (await hasServer()) {
+            return originalFetch.call(target, input, init);
+        }
+
+        const method = init.method || request?.method || 'GET';
+        const signal = init.signal || request?.signal;
+        const response = api.handle({ method, url: url.slice(prefix.length) || '/' });
+        if (response.delay) {
+            await wait(response.delay, signal);
+        }
+        signal?.throwIfAborted();
+        return new Response(method.toUpperCase() === 'HEAD' ? null : response.body, {
+            status: response.status,
+            headers: { ...response.headers, [MOCK_HEADER]: 'browser' }
+        });
+    };
+
+    return () => {
+        target.fetch = originalFetch;
+    };
+}
+
+export { MockApi, installMockFetch, wait, MOCK_HEADER, MAX_DELAY, NULL_BODY_STATUSES };
@@ -0,0 +1,230 @@
+/**
+ * Network Panel Module
+ *
+ * Footer panel for the network simulator (see network-simulator.js): a
+ * switch, a profile picker, the latency/error/drop/body speed settings and
+ * per-route rules. Changes are saved so every visit uses them
+ */
+
+import { logger } from './logger.js';
+import { NetworkSimulator, PROFILES } from './network-simulator.js';
+
+// Inputs of the settings row: [setting, label, unit, scale from input to setting]
+const SETTING_FIELDS = [
+    ['latency', 'Latency', 'ms', 1],
+    ['jitter', 'Jitter', '± ms', 1],
+    ['bytesPerSecond', 'Body speed', 'KB/s (0 = unlimited)', 1000],
+    ['errorRate', 'Errors', '%', 0.01],
+    ['errorStatus', 'Error status', '', 1],
+    ['dropRate', 'Dropped', '%', 0.01],
+    ['statusOverride', 'Status override', '', 1]
+];
+
+/**
+ * Build a labelled number input
+ * @param {string} label - Label text
+ * @param {string} unit - Text after the input
+ * @param {number|null} value - Current value; null leaves it empty
+ * @returns {HTMLLabelElement} Label containing the input
+ */
+function createNumberField(label, unit, value) {
+    const field = document.createElement('label');
+    field.className = 'network-field';
+    field.append(`${label} `);
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.value = value === null ? '' : String(value);
+    field.append(input);
+    if (unit) {
+        field.append(` ${unit}`);
+    }
+    return field;
+}
+
+/**
+ * Round a setting for display in an input
+ * @param {number|null} value - Setting value
+ * @param {number} scale - Input to setting scale
+ * @returns {number|null} Input value
+ */
+function toInputValue(value, scale) {
+    return value === null ? null : Math.round((value / scale) * 100) / 100;
+}
+
+/**
+ * Read an input as a setting
+ * @param {HTMLInputElement} input - Number input
+ * @param {number} scale - Input to setting scale
+ * @param {boolean} nullable - Whether an empty input means null
+ * @returns {number|null} Setting value
+ */
+function fromInput(input, scale, nullable) {
+    if (input.value === '') {
+        return nullable ? null : 0;
+    }
+    return Number(input.value) * scale;
+}
+
+/**
+ * Mount the network panel
+ * @param {NetworkSimulator} simulator - Simulator to configure
+ * @param {HTMLElement} container - Element to mount the panel into
+ * @returns {Object} Panel API ({ render })
+ */
+function mountNetworkPanel(simulator, container) {
+    const panel = document.createElement('details');
+    panel.className = 'network-panel';
+    panel.innerHTML = `
+        <summary>Network conditions <span class="network-state"></span></summary>
+        <div class="network-row">
+            <label><input type="checkbox" class="network-enabled"> Simulate network conditions</label>
+            <label>Profile
+                <select class="network-profile">
+                    ${Object.entries(PROFILES).map(([name, { label }]) => `<option value="${name}">${label}</option>`).join('')}
+                    <option value="custom">Custom</option>
+                </select>
+            </label>
+            <label><input type="checkbox" class="network-offline"> Offline</label>
+        </div>
+        <div class="network-row network-settings"></div>
+        <div class="network-rules"></div>
+        <form class="network-row network-add-rule">
+            <input type="text" placeholder="URL contains, e.g. /status/" required>
+            <button type="submit">Add rule</button>
+            <button type="button" class="network-reset-stats">Reset counts</button>
+        </form>
+        <div class="network-stats"></div>
+    `;
+    container.appendChild(panel);
+
+    const enabled = panel.querySelector('.network-enabled');
+    const profile = panel.querySelector('.network-profile');
+    const offline = panel.querySelector('.network-offline');
+    const settingsRow = panel.querySelector('.network-settings');
+    const rulesList = panel.querySelector('.network-rules');
+    const stats = panel.querySelector('.network-stats');
+    const state = panel.querySelector('.network-state');
+
+    function save(message) {
+        NetworkSimulator.saveRequested(simulator);
+        logger.info(message, 'network', simulator.toJSON());
+        renderState();
+    }
+
+    function renderState() {
+        state.textContent = simulator.enabled
+            ? `(${simulator.profile === 'custom' ? 'custom' : PROFILES[simulator.profile].label})`
+            : '(off)';
+        const { requests, errors, drops, overrides } = simulator.stats;
+        stats.textContent = `${requests} simulated ${requests === 1 ? 'request' : 'requests'}: ` +
+            `${errors} errors, ${drops} failed to connect, ${overrides} status overrides`;
+    }
+
+    function renderSettings() {
+        settingsRow.replaceChildren();
+        SETTING_FIELDS.forEach(([key, label, unit, scale]) => {
+            const nullable = key === 'statusOverride';
+            const field = createNumberField(label, unit, toInputValue(simulator.settings[key], scale));
+            const input = field.querySelector('input');
+            input.addEventListener('change', () => {
+                simulator.configure({ [key]: fromInput(input, scale, nullable) });
+                profile.value = 'custom';
+                save('Network settings changed');
+            });
+            settingsRow.appendChild(field);
+        });
+    }
+
+    function renderRules() {
+        rulesList.replaceChildren();
+        simulator.rules.forEach((rule, index) => {
+            const row = document.createElement('div');
+            row.className = 'network-row network-rule';
+
+            const match = document.createElement('code');
+            match.textContent = rule.match;
+            row.appendChild(match);
+
+            [['errorRate', 'Errors', '%', 0.01], ['dropRate', 'Dropped', '%', 0.01], ['statusOverride', 'Status', '', 1]]
+                .forEach(([key, label, unit, scale]) => {
+                    const field = createNumberField(label, unit, toInputValue(rule[key], scale));
+                    const input = field.querySelector('input');
+                    input.placeholder = 'default';
+                    input.addEventListener('change', () => {
+                        const rules = simulator.rules.map((candidate, position) => (
+                            position === index ? { ...candidate, [key]: fromInput(input, scale, true) } : candidate
+                        ));
+                        simulator.setRules(rules);
+                        save(`Network rule for "${rule.match}" changed`);
+                    });
+                    row.appendChild(field);
+                });
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => {
+                simulator.setRules(simulator.rules.filter((candidate, position) => position !== index));
+                save(`Network rule for "${rule.match}" removed`);
+                renderRules();
+            });
+            row.appendChild(remove);
+            rulesList.appendChild(row);
+        });
+    }
+
+    function render() {
+        enabled.checked = simulator.enabled;
+        profile.value = simulator.profile;
+        offline.checked = simulator.settings.offline;
+        renderSettings();
+        renderRules();
+        renderState();
+    }
+
+    enabled.addEventListener('change', () => {
+        simulator.setEnabled(enabled.checked);
+        save(`Network simulation ${enabled.checked ? 'enabled' : 'disabled'}`);
+    });
+
+    profile.addEventListener('change', () => {
+        if (profile.value === 'custom') {
+            return;
+        }
+        simulator.applyProfile(profile.value);
+        // Picking a profile turns the simulation on, except for "No throttling"
+        simulator.setEnabled(profile.value !== 'none');
+        save(`Network profile set to ${PROFILES[profile.value].label}`);
+        render();
+    });
+
+    offline.addEventListener('change', () => {
+        simulator.configure({ offline: offline.checked });
+        profile.value = 'custom';
+        save(`Simulated network ${offline.checked ? 'offline' : 'online'}`);
+    });
+
+    panel.querySelector('.network-add-rule').addEventListener('submit', event => {
+        event.preventDefault();
+        const input = event.target.querySelector('input');
+        const match = input.value.trim();
+        if (match) {
+            simulator.setRules([...simulator.rules, { match }]);
+            input.value = '';
+            save(`Network rule for "${match}" added`);
+            renderRules();
+        }
+    });
+
+    panel.querySelector('.network-reset-stats').addEventListener('click', () => {
+        simulator.resetStats();
+        renderState();
+    });
+
+    simulator.addListener(renderState);
+    render();
+    return { render };
+}
+
+export { mountNetworkPanel };
@@ -0,0 +1,325 @@
+/**
+ * Network Simulator Module
+ *
+ * Makes fetch() misbehave on purpose, so the retry and timeout examples
+ * show their failure paths on demand. install() wraps fetch(); while the
+ * simulator is enabled every request goes through these steps:
+ *
+ * 1. offline: fails at once, like fetch() without a network (TypeError)
+ * 2. latency ± jitter: waits before sending
+ * 3. dropRate: fails the request after the wait, like a dropped connection
+ * 4. errorRate: answers with errorStatus without sending the request
+ * 5. statusOverride: sends the request, then replaces the response status
+ * 6. bytesPerSecond: streams the response body in slow chunks
+ *
+ * Rules change errorRate, dropRate and statusOverride for the requests whose
+ * URL contains their match text; the first matching rule wins. Profiles
+ * ('3g', 'flaky', 'offline') set everything but the rules at once.
+ * Requests are aborted as usual while they wait. Sandboxed runs are not
+ * simulated: the frame has its own fetch()
+ */
+
+import { logger } from './logger.js';
+import { wait, NULL_BODY_STATUSES } from './mock-api.js';
+
+const STORAGE_KEY = 'playground-network';
+const CHUNK_SIZE = 512; // Bytes per chunk of a slow response body
+
+// Settings of a well-behaved network
+const DEFAULT_SETTINGS = {
+    latency: 0, // ms added before a request is sent
+    jitter: 0, // ms the latency varies by, either way
+    errorRate: 0, // 0-1, share of requests answered with errorStatus
+    errorStatus: 503,
+    dropRate: 0, // 0-1, share of requests that fail like a dropped connection
+    statusOverride: null, // Status every response gets instead of its own
+    bytesPerSecond: 0, // Response body speed; 0 is unlimited
+    offline: false
+};
+
+const PROFILES = {
+    none: { label: 'No throttling' },
+    '3g': { label: '3G', latency: 2000, jitter: 500, bytesPerSecond: 50000 },
+    flaky: { label: 'Flaky', latency: 200, jitter: 400, errorRate: 0.3, dropRate: 0.2 },
+    offline: { label: 'Offline', offline: true }
+};
+
+/**
+ * Create the error fetch() rejects with when there is no connection
+ * @param {string} message - Error message
+ * @returns {TypeError} Error like the one fetch() throws
+ */
+function createNetworkError(message) {
+    const error = new TypeError(`Failed to fetch (${message})`);
+    error.simulated = true;
+    return error;
+}
+
+/**
+ * Copy a response with another status, or a body that arrives slowly
+ * @param {Response} response - Original response
+ * @param {Object} options - { status, bytesPerSecond, signal }
+ * @returns {Promise<Response>} New response
+ */
+async function rebuildResponse(response, { status = response.status, bytesPerSecond = 0, signal = null }) {
+    // Statuses like 204 cannot have a body
+    const nullBody = NULL_BODY_STATUSES.includes(status);
+    let body = nullBody ? null : await response.arrayBuffer();
+    if (body && bytesPerSecond > 0) {
+        const bytes = new Uint8Array(body);
+        let offset = 0;
+        body = new ReadableStream({
+            async pull(controller) {
+                if (offset >= bytes.length) {
+                    controller.close();
+                    return;
+                }
+                const chunk = bytes.slice(offset, offset + CHUNK_SIZE);
+                offset += chunk.length;
+                await wait((chunk.length / bytesPerSecond) * 1000, signal);
+                controller.enqueue(chunk);
+            }
+        });
+    }
+    return new Response(body, {
+        status,
+        statusText: status === response.status ? response.statusText : '',
+        headers: response.headers
+    });
+}
+
+class NetworkSimulator {
+    /**
+     * @param {Object} options - { random: () => number in [0, 1), Math.random by default }
+     */
+    constructor(options = {}) {
+        this.enabled = false;
+        this.profile = 'none';
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.rules = []; // [{ match, errorRate, dropRate, statusOverride }]
+        this.random = options.random || Math.random;
+        this.stats = { requests: 0, errors: 0, drops: 0, overrides: 0 };
+        this.listeners = new Set();
+        this.restore = null;
+    }
+
+    /**
+     * Wrap fetch() so requests go through the simulator
+     * Install it after other fetch() wrappers, so it sees their requests too
+     * @param {Object} target - Object whose fetch is wrapped (globalThis by default)
+     * @returns {Function} Restores the original fetch
+     */
+    install(target = globalThis) {
+        if (this.restore) {
+            return this.restore;
+        }
+        const originalFetch = target.fetch;
+        const simulator = this;
+        target.fetch = function simulatedFetch(input, init = {}) {
+            const next = (...args) => originalFetch.apply(target, args);
+            return simulator.enabled ? simulator.simulate(input, init, next) : next(input, init);
+        };
+        this.restore = () => {
+            target.fetch = originalFetch;
+            this.restore = null;
+        };
+        return this.restore;
+    }
+
+    /**
+     * Turn the simulator on or off
+     * @param {boolean} enabled - Whether requests are simulated
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+    }
+
+    /**
+     * Use the settings of a profile; rules are kept
+     * @param {string} name - Key of PROFILES
+     * @throws {Error} For an unknown profile
+     */
+    applyProfile(name) {
+        if (!PROFILES[name]) {
+            throw new Error(`Unknown network profile "${name}"`);
+        }
+        const { label, ...settings } = PROFILES[name];
+        this.profile = name;
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    }
+
+    /**
+     * Change some settings; the profile becomes 'custom'
+     * @param {Object} settings - Keys of DEFAULT_SETTINGS
+     */
+    configure(settings = {}) {
+        Object.keys(settings).forEach(key => {
+            if (!(key in DEFAULT_SETTINGS)) {
+                throw new Error(`Unknown network setting "${key}"`);
+            }
+        });
+        this.settings = { ...this.settings, ...settings };
+        this.profile = 'custom';
+    }
+
+    /**
+     * Replace the per-route rules
+     * @param {Array} rules - [{ match: text the URL contains, errorRate, dropRate, statusOverride }]
+     */
+    setRules(rules) {
+        this.rules = rules.filter(rule => rule.match).map(rule => ({
+            match: rule.match,
+            errorRate: rule.errorRate ?? null,
+            dropRate: rule.dropRate ?? null,
+            statusOverride: rule.statusOverride ?? null
+        }));
+    }
+
+    /**
+     * Settings for one request: the global ones, changed by the first matching rule
+     * @param {string} url - Request URL
+     * @returns {Object} Settings
+     */
+    settingsFor(url) {
+        const rule = this.rules.find(candidate => url.includes(candidate.match));
+        if (!rule) {
+            return this.settings;
+        }
+        const settings = { ...this.settings };
+        ['errorRate', 'dropRate', 'statusOverride'].forEach(key => {
+            if (rule[key] !== null) {
+                settings[key] = rule[key];
+            }
+        });
+        return settings;
+    }
+
+    /**
+     * Get told about every simulated request
+     * @param {Function} listener - ({ url, outcome, stats }) => void; outcome is
+     * 'offline', 'dropped', 'error', 'override' or 'ok'
+     * @returns {Function} Removes the listener
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Count a request and tell the listeners
+     * @param {string} url - Request URL
+     * @param {string} outcome - What the simulator did
+     */
+    record(url, outcome) {
+        this.stats.requests++;
+        if (outcome === 'error') {
+            this.stats.errors++;
+        } else if (outcome === 'dropped' || outcome === 'offline') {
+            this.stats.drops++;
+        } else if (outcome === 'override') {
+            this.stats.overrides++;
+        }
+        if (outcome !== 'ok') {
+            logger.warn(`Simulated network ${outcome === 'override' ? 'status override' : outcome}`, 'network', { url, profile: this.profile });
+        }
+        this.listeners.forEach(listener => listener({ url, outcome, stats: { ...this.stats } }));
+    }
+
+    resetStats() {
+        this.stats = { requests: 0, errors: 0, drops: 0, overrides: 0 };
+    }
+
+    /**
+     * Send a request through the simulated network
+     * @param {string|Request} input - Resource
+     * @param {Object} init - fetch options
+     * @param {Function} next - The real fetch
+     * @returns {Promise<Response>} Response
+     */
+    async simulate(input, init, next) {
+        const url = typeof input === 'object' && input !== null && 'url' in input ? input.url : String(input);
+        const signal = init.signal || input?.signal || null;
+        const settings = this.settingsFor(url);
+
+        if (settings.offline) {
+            this.record(url, 'offline');
+            throw createNetworkError('offline');
+        }
+
+        const jitter = settings.jitter ? (this.random() * 2 - 1) * settings.jitter : 0;
+        const latency = Math.max(0, settings.latency + jitter);
+        if (latency > 0) {
+            await wait(latency, signal);
+        }
+
+        if (this.random() < settings.dropRate) {
+            this.record(url, 'dropped');
+            throw createNetworkError('connection dropped');
+        }
+        if (this.random() < settings.errorRate) {
+            this.record(url, 'error');
+            return rebuildResponse(new Response(JSON.stringify({ error: 'Simulated server error' }), {
+                headers: { 'Content-Type': 'application/json' }
+            }), { status: settings.errorStatus, bytesPerSecond: settings.bytesPerSecond, signal });
+        }
+
+        const response = await next(input, init);
+        const status = settings.statusOverride || response.status;
+        this.record(url, settings.statusOverride ? 'override' : 'ok');
+        if (status === response.status && !settings.bytesPerSecond) {
+            return response;
+        }
+        return rebuildResponse(response, { status, bytesPerSecond: settings.bytesPerSecond, signal });
+    }
+
+    /**
+     * Current setup, as saved by saveRequested()
+     * @returns {Object} { enabled, profile, settings, rules }
+     */
+    toJSON() {
+        return { enabled: this.enabled, profile: this.profile, settings: { ...this.settings }, rules: [...this.rules] };
+    }
+
+    /**
+     * Restore a setup saved with toJSON()
+     * @param {Object} saved - { enabled, profile, settings, rules }
+     */
+    load({ enabled = false, profile = 'none', settings = {}, rules = [] }) {
+        if (PROFILES[profile]) {
+            this.applyProfile(profile);
+        } else {
+            this.configure(settings);
+        }
+        this.setRules(rules);
+        this.setEnabled(enabled);
+    }
+
+    /**
+     * Read the setup from the URL (?network=flaky) or the last one saved
+     * @returns {Object|null} Setup for load(), or null if none was requested
+     */
+    static requested() {
+        const param = new URLSearchParams(window.location.search).get('network');
+        if (param !== null) {
+            return PROFILES[param] ? { enabled: param !== 'none', profile: param } : null;
+        }
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the setup for the next visit
+     * @param {NetworkSimulator} simulator - Simulator to save
+     */
+    static saveRequested(simulator) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(simulator.toJSON()));
+    }
+}
+
+// Shared simulator used by the network panel and the example runner
+const networkSimulator = new NetworkSimulator();
+
+export { networkSimulator, NetworkSimulator, PROFILES, DEFAULT_SETTINGS };
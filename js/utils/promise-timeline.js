@@ -0,0 +1,205 @@
+/**
+ * Promise Timeline Module
+ *
+ * Draws the promises recorded by a PromiseTracker (see promise-tracker.js)
+ * as swimlanes: one row per promise, a bar from its creation to the moment
+ * it settled, colored by state. The label says how the promise was made:
+ *
+ * #5 then ← #3          chained from promise #3
+ * #7 race [#5, #6]      combinator and its inputs
+ * decided by #5         the input that made a combinator settle
+ *
+ * The timeline redraws while promises are pending, so it grows during the
+ * run. The example runner adds it to the output box when the timeline is
+ * switched on in the footer (?timeline=1 or the last choice)
+ */
+
+const STORAGE_KEY = 'playground-timeline';
+const AXIS_TICKS = 5;
+// Pending bars stop growing this long after the last change, as some promises never settle
+const IDLE_MS = 5000;
+
+/**
+ * Format a time on the axis
+ * @param {number} ms - Milliseconds since the run started
+ * @returns {string} Text like "250ms" or "1.5s"
+ */
+function formatTime(ms) {
+    return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(ms < 10000 ? 2 : 1)}s`;
+}
+
+class PromiseTimeline {
+    /**
+     * @param {PromiseTracker} tracker - Tracker of the run
+     */
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.frame = null;
+        this.attached = false; // Set once the timeline has been in the page
+        this.lastChange = performance.now();
+
+        this.element = document.createElement('details');
+        this.element.className = 'promise-timeline';
+        this.element.open = true;
+        const summary = document.createElement('summary');
+        summary.textContent = 'Promise timeline';
+        this.counts = document.createElement('span');
+        this.counts.className = 'timeline-counts';
+        summary.append(' ', this.counts);
+        this.axis = document.createElement('div');
+        this.axis.className = 'timeline-axis';
+        this.rows = document.createElement('div');
+        this.rows.className = 'timeline-rows';
+        this.element.append(summary, this.axis, this.rows);
+
+        this.removeListener = tracker.addListener(() => {
+            this.lastChange = performance.now();
+            this.scheduleRender();
+        });
+        this.render();
+    }
+
+    /**
+     * Redraw on the next frame; several changes in one frame draw once
+     */
+    scheduleRender() {
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Draw every record, and keep redrawing while some are pending (until IDLE_MS without changes)
+     */
+    render() {
+        // The next run of the example replaces the output box contents
+        if (this.attached && !this.element.isConnected) {
+            this.detach();
+            return;
+        }
+        this.attached = this.element.isConnected;
+        const { records, dropped } = this.tracker;
+        const now = this.tracker.elapsed();
+        const pending = records.filter(record => record.state === 'pending').length;
+        // Pending bars run to the present; the scale fits the longest bar
+        const end = Math.max(1, ...records.map(record => (record.settled ?? now)));
+
+        this.counts.textContent = `(${records.length} ${records.length === 1 ? 'promise' : 'promises'}, ${pending} pending` +
+            `${dropped ? `, ${dropped} more not shown` : ''})`;
+        this.renderAxis(end);
+
+        if (records.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'timeline-empty';
+            hint.textContent = 'No promises recorded yet. Examples record the promises they make with the Promise of their run: const { Promise } = run;';
+            this.rows.replaceChildren(hint);
+        } else {
+            this.rows.replaceChildren(...records.map(record => this.createRow(record, end, now)));
+        }
+
+        if (pending > 0 && performance.now() - this.lastChange < IDLE_MS) {
+            this.scheduleRender();
+        }
+    }
+
+    /**
+     * Draw the time axis
+     * @param {number} end - Time at the right edge
+     */
+    renderAxis(end) {
+        const ticks = Array.from({ length: AXIS_TICKS + 1 }, (_, index) => {
+            const tick = document.createElement('span');
+            tick.className = 'timeline-tick';
+            tick.style.left = `${(index / AXIS_TICKS) * 100}%`;
+            tick.textContent = formatTime((end * index) / AXIS_TICKS);
+            return tick;
+        });
+        this.axis.replaceChildren(...ticks);
+    }
+
+    /**
+     * Build the swimlane of one record
+     * @param {Object} record - Tracker record
+     * @param {number} end - Time at the right edge
+     * @param {number} now - Current time
+     * @returns {HTMLElement} Row
+     */
+    createRow(record, end, now) {
+        const row = document.createElement('div');
+        row.className = `timeline-row timeline-${record.state}`;
+        row.dataset.promise = record.id;
+
+        const label = document.createElement('span');
+        label.className = 'timeline-label';
+        const links = [];
+        if (record.parent) {
+            links.push(`← #${record.parent}`);
+        }
+        if (record.inputs.length) {
+            links.push(`[${record.inputs.map(id => (id ? `#${id}` : 'value')).join(', ')}]`);
+        }
+        if (record.follows) {
+            links.push(`→ #${record.follows}`);
+        }
+        label.textContent = [`#${record.id}`, record.kind, ...links].join(' ');
+        const decider = this.tracker.decidingInput(record);
+        if (decider) {
+            const note = document.createElement('span');
+            note.className = 'timeline-decider';
+            note.textContent = `decided by #${decider}`;
+            label.append(' ', note);
+        }
+
+        const track = document.createElement('span');
+        track.className = 'timeline-track';
+        const bar = document.createElement('span');
+        bar.className = 'timeline-bar';
+        const stop = record.settled ?? now;
+        bar.style.left = `${(record.created / end) * 100}%`;
+        bar.style.width = `${Math.max(0, ((stop - record.created) / end) * 100)}%`;
+        track.appendChild(bar);
+
+        const value = document.createElement('span');
+        value.className = 'timeline-value';
+        value.textContent = record.state === 'pending' ? 'pending' : `${record.state}: ${record.value}`;
+
+        row.title = `#${record.id} ${record.kind}, created at ${formatTime(record.created)}` +
+            (record.settled === null ? ', still pending' : `, ${record.state} at ${formatTime(record.settled)}`);
+        row.append(label, track, value);
+        return row;
+    }
+
+    /**
+     * Stop listening to the tracker
+     */
+    detach() {
+        this.removeListener();
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    /**
+     * Whether the timeline was switched on, in the URL (?timeline=1) or the last choice
+     * @returns {boolean} True if runs should draw a timeline
+     */
+    static requested() {
+        const param = new URLSearchParams(window.location.search).get('timeline');
+        const value = param !== null ? param : localStorage.getItem(STORAGE_KEY);
+        return value === '1' || value === 'true' || value === 'on';
+    }
+
+    /**
+     * Remember the setting for the next visit
+     * @param {boolean} enabled - Whether runs draw a timeline
+     */
+    static saveRequested(enabled) {
+        localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+    }
+}
+
+export { PromiseTimeline };
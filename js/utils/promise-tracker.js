@@ -0,0 +1,313 @@
+/**
+ * Promise Tracker Module
+ *
+ * Records what the promises of an example run do, for the promise timeline
+ * (see promise-timeline.js). createPromiseClass() returns a Promise subclass
+ * that reports to the tracker; examples get it from their RunContext, the
+ * same way they get its timers, so the global Promise is never patched:
+ *
+ * const { Promise } = run;
+ * Promise.race([slow, fast]).then(winner => ...); // 4 promises recorded
+ *
+ * Every record has the promise's kind (new, then, catch, finally, resolve,
+ * reject, all, allSettled, race, any, or external for a promise the
+ * tracker did not create), its state and value, when it was created and
+ * settled, the promise it was chained from (parent), the promise it adopted
+ * by resolving with it (follows) and, for combinators, its inputs.
+ * Promises returned by async functions and await are native, so they show
+ * up only as combinator inputs (external) or as the then() await calls
+ */
+
+const MAX_RECORDS = 500;
+const COMBINATORS = ['all', 'allSettled', 'race', 'any'];
+
+/**
+ * Short text for a settled value
+ * @param {any} value - Value or rejection reason
+ * @returns {string} Text of at most 80 characters
+ */
+function describeValue(value) {
+    let text;
+    if (value instanceof Error) {
+        text = `${value.name}: ${value.message}`;
+    } else if (typeof value === 'string') {
+        text = JSON.stringify(value);
+    } else if (value === null || typeof value !== 'object') {
+        text = String(value);
+    } else {
+        try {
+            text = JSON.stringify(value);
+        } catch (error) {
+            text = Object.prototype.toString.call(value);
+        }
+    }
+    return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+}
+
+/**
+ * Check whether a value can be resolved with (has a then method)
+ * @param {any} value - Value
+ * @returns {boolean} True for promises and other thenables
+ */
+function isThenable(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
+class PromiseTracker {
+    /**
+     * @param {Object} options - { now: () => ms, the run's clock in deterministic mode }
+     */
+    constructor(options = {}) {
+        this.now = options.now || (() => performance.now());
+        this.started = this.now();
+        this.records = []; // In creation order; a record's id is its index + 1
+        this.ids = new WeakMap(); // Promise -> record id
+        this.dropped = 0; // Promises created after MAX_RECORDS
+        this.listeners = new Set();
+        this.suppressed = 0; // > 0 while the tracker's own then() calls create promises
+        this.pending = null; // { kind, parent, inputs } for the next promise created
+        this.pendingKind = null; // 'catch' or 'finally' while they call then()
+    }
+
+    /**
+     * Milliseconds since the tracker was created
+     * @returns {number} Elapsed time
+     */
+    elapsed() {
+        return this.now() - this.started;
+    }
+
+    /**
+     * Add a record
+     * @param {Object} fields - { kind, parent, inputs }
+     * @returns {Object|null} The record, or null after MAX_RECORDS
+     */
+    create({ kind, parent = null, inputs = [] }) {
+        if (this.records.length >= MAX_RECORDS) {
+            this.dropped++;
+            return null;
+        }
+        const record = {
+            id: this.records.length + 1,
+            kind,
+            parent,
+            inputs,
+            follows: null,
+            state: 'pending',
+            value: null,
+            created: this.elapsed(),
+            settled: null
+        };
+        this.records.push(record);
+        this.notify(record);
+        return record;
+    }
+
+    /**
+     * Record id of a promise, adding an external record for promises the tracker did not create
+     * @param {any} value - Combinator input
+     * @returns {number|null} Record id, or null for plain values
+     */
+    idOf(value) {
+        if (!isThenable(value)) {
+            return null;
+        }
+        if (this.ids.has(value)) {
+            return this.ids.get(value);
+        }
+        const record = this.create({ kind: 'external' });
+        if (!record) {
+            return null;
+        }
+        this.ids.set(value, record.id);
+        this.observe(record, value);
+        return record.id;
+    }
+
+    /**
+     * Settle a record when a thenable settles
+     * The thenable is being resolved with or passed to a combinator already,
+     * so the extra reaction does not change how its rejections are handled
+     * @param {Object} record - Record to settle
+     * @param {Object} thenable - Promise or thenable it follows
+     */
+    observe(record, thenable) {
+        this.suppressed++;
+        try {
+            const settle = state => value => this.settle(record, state, value);
+            const reaction = thenable instanceof Promise
+                ? Promise.prototype.then.call(thenable, settle('fulfilled'), settle('rejected'))
+                : thenable.then(settle('fulfilled'), settle('rejected'));
+            // Keeps a rejection of the reaction from being reported as unhandled
+            if (reaction instanceof Promise) {
+                Promise.prototype.catch.call(reaction, () => {});
+            }
+        } catch (error) {
+            this.settle(record, 'rejected', error);
+        } finally {
+            this.suppressed--;
+        }
+    }
+
+    /**
+     * Mark a record fulfilled or rejected
+     * @param {Object} record - Record
+     * @param {string} state - 'fulfilled' or 'rejected'
+     * @param {any} value - Value or reason
+     */
+    settle(record, state, value) {
+        if (record.state !== 'pending') {
+            return;
+        }
+        record.state = state;
+        record.value = describeValue(value);
+        record.settled = this.elapsed();
+        this.notify(record);
+    }
+
+    /**
+     * Build the tracked Promise class for a run
+     * @returns {Function} Promise subclass reporting to this tracker
+     */
+    createPromiseClass() {
+        const tracker = this;
+
+        class TrackedPromise extends Promise {
+            constructor(executor) {
+                // Promises created for a combinator or a then() call get their links;
+                // promises created by the tracker's own reactions are not recorded
+                const pending = tracker.pending;
+                tracker.pending = null;
+                const record = pending || tracker.suppressed === 0
+                    ? tracker.create(pending || { kind: 'new' })
+                    : null;
+
+                super((resolve, reject) => {
+                    // Only the first resolve() or reject() call counts, as for the promise itself
+                    let resolved = false;
+                    const onResolve = value => {
+                        if (record && !resolved) {
+                            if (isThenable(value)) {
+                                record.follows = tracker.ids.get(value) ?? null;
+                                tracker.observe(record, value);
+                            } else {
+                                tracker.settle(record, 'fulfilled', value);
+                            }
+                        }
+                        resolved = true;
+                        resolve(value);
+                    };
+                    const onReject = reason => {
+                        if (record && !resolved) {
+                            tracker.settle(record, 'rejected', reason);
+                        }
+                        resolved = true;
+                        reject(reason);
+                    };
+                    try {
+                        executor(onResolve, onReject);
+                    } catch (error) {
+                        onReject(error);
+                    }
+                });
+                if (record) {
+                    tracker.ids.set(this, record.id);
+                }
+            }
+
+            then(onFulfilled, onRejected) {
+                if (tracker.suppressed === 0) {
+                    const kind = tracker.pendingKind || 'then';
+                    tracker.pending = { kind, parent: tracker.ids.get(this) ?? null };
+                }
+                tracker.pendingKind = null;
+                return super.then(onFulfilled, onRejected);
+            }
+
+            catch(onRejected) {
+                tracker.pendingKind = 'catch';
+                return super.catch(onRejected);
+            }
+
+            finally(onFinally) {
+                tracker.pendingKind = 'finally';
+                return super.finally(onFinally);
+            }
+
+            static resolve(value) {
+                // Resolving with a promise of this class returns it as it is;
+                // combinators call resolve() on each input while suppressed
+                if (tracker.suppressed === 0 && !(value instanceof TrackedPromise)) {
+                    tracker.pending = { kind: 'resolve' };
+                }
+                return super.resolve(value);
+            }
+
+            static reject(reason) {
+                if (tracker.suppressed === 0) {
+                    tracker.pending = { kind: 'reject' };
+                }
+                return super.reject(reason);
+            }
+        }
+
+        COMBINATORS.forEach(kind => {
+            TrackedPromise[kind] = function (iterable) {
+                const items = [...iterable];
+                tracker.pending = { kind, inputs: items.map(item => tracker.idOf(item)) };
+                // The combinator's own then() calls on its inputs are not recorded
+                tracker.suppressed++;
+                try {
+                    return Promise[kind].call(this, items);
+                } finally {
+                    tracker.suppressed--;
+                    tracker.pending = null;
+                }
+            };
+        });
+
+        return TrackedPromise;
+    }
+
+    /**
+     * The input of a combinator that decided its outcome
+     * race: the first input to settle; any: the first to fulfill;
+     * all: the first to reject; allSettled has none
+     * @param {Object} record - Combinator record
+     * @returns {number|null} Record id of the deciding input
+     */
+    decidingInput(record) {
+        if (!COMBINATORS.includes(record.kind) || record.state === 'pending') {
+            return null;
+        }
+        const inputs = record.inputs.map(id => (id ? this.records[id - 1] : null)).filter(Boolean);
+        const settled = inputs.filter(input => input.settled !== null).sort((a, b) => a.settled - b.settled);
+        const first = predicate => settled.find(predicate)?.id ?? null;
+        if (record.kind === 'race') {
+            return first(() => true);
+        }
+        if (record.kind === 'any' && record.state === 'fulfilled') {
+            return first(input => input.state === 'fulfilled');
+        }
+        if (record.kind === 'all' && record.state === 'rejected') {
+            return first(input => input.state === 'rejected');
+        }
+        return null;
+    }
+
+    /**
+     * Get told about every new or settled record
+     * @param {Function} listener - (record, tracker) => void
+     * @returns {Function} Removes the listener
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(record) {
+        this.listeners.forEach(listener => listener(record, this));
+    }
+}
+
+export { PromiseTracker, describeValue, MAX_RECORDS };
@@ -0,0 +1,146 @@
+/**
+ * Recorder Panel Module
+ *
+ * Footer panel for the HTTP recorder (see http-recorder.js): record the
+ * requests of some example runs, download them as a fixture file, and load
+ * a fixture to replay it at the recorded speed, faster or at once
+ */
+
+import { logger } from './logger.js';
+
+// Replay speeds offered in the panel: [timeScale, label]
+const REPLAY_SPEEDS = [
+    [1, 'Original timing'],
+    [0.1, '10x faster'],
+    [0, 'Instant']
+];
+
+/**
+ * Save a fixture as a JSON file
+ * @param {Object} fixture - Fixture from HttpRecorder.toFixture()
+ */
+function downloadFixture(fixture) {
+    const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `http-fixture-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Mount the recorder panel
+ * @param {HttpRecorder} recorder - Recorder to control
+ * @param {HTMLElement} container - Element to mount the panel into
+ * @returns {Object} Panel API ({ render })
+ */
+function mountRecorderPanel(recorder, container) {
+    const panel = document.createElement('details');
+    panel.className = 'recorder-panel';
+    panel.innerHTML = `
+        <summary>Record &amp; replay HTTP <span class="recorder-state"></span></summary>
+        <div class="recorder-row">
+            <button type="button" class="recorder-record">Record</button>
+            <button type="button" class="recorder-stop">Stop</button>
+            <button type="button" class="recorder-download">Download fixture</button>
+        </div>
+        <div class="recorder-row">
+            <label class="recorder-load">
+                Load fixture and replay
+                <input type="file" accept=".json" hidden>
+            </label>
+            <button type="button" class="recorder-replay">Replay recording</button>
+            <select class="recorder-speed">
+                ${REPLAY_SPEEDS.map(([scale, label]) => `<option value="${scale}">${label}</option>`).join('')}
+            </select>
+            <label><input type="checkbox" class="recorder-passthrough"> Send unrecorded requests</label>
+        </div>
+        <div class="recorder-status"></div>
+    `;
+    container.appendChild(panel);
+
+    const state = panel.querySelector('.recorder-state');
+    const status = panel.querySelector('.recorder-status');
+    const speed = panel.querySelector('.recorder-speed');
+    const passthrough = panel.querySelector('.recorder-passthrough');
+    const stopButton = panel.querySelector('.recorder-stop');
+    const downloadButton = panel.querySelector('.recorder-download');
+    const replayButton = panel.querySelector('.recorder-replay');
+    // Last recording or loaded fixture, kept so it can be replayed again
+    let fixture = null;
+
+    function render() {
+        state.textContent = recorder.mode === 'off' ? '' : `(${recorder.mode === 'record' ? 'recording' : 'replaying'})`;
+        stopButton.disabled = recorder.mode === 'off';
+        downloadButton.disabled = recorder.mode === 'replay' || recorder.entries.length === 0;
+        replayButton.disabled = !fixture;
+        if (recorder.mode === 'record') {
+            status.textContent = `${recorder.entries.length} requests recorded`;
+        } else if (recorder.mode === 'replay') {
+            const { served, misses } = recorder.stats;
+            status.textContent = `${recorder.entries.length} recorded requests: ${served} served, ${misses} not in the fixture`;
+        } else {
+            status.textContent = fixture ? `Fixture with ${fixture.entries.length} requests ready to replay` : 'Nothing recorded yet';
+        }
+    }
+
+    function startReplay(source) {
+        try {
+            recorder.replay(source, {
+                timeScale: Number(speed.value),
+                onMiss: passthrough.checked ? 'network' : 'error'
+            });
+            fixture = source;
+        } catch (error) {
+            logger.error('HTTP fixture could not be replayed', 'network', { error: error.message });
+        }
+        render();
+    }
+
+    panel.querySelector('.recorder-record').addEventListener('click', () => recorder.record());
+
+    stopButton.addEventListener('click', () => {
+        const wasRecording = recorder.mode === 'record';
+        const recorded = recorder.stop();
+        if (wasRecording) {
+            fixture = recorded;
+        }
+        render();
+    });
+
+    downloadButton.addEventListener('click', () => {
+        const recorded = recorder.toFixture();
+        downloadFixture(recorded);
+        logger.info('HTTP fixture downloaded', 'network', { requests: recorded.entries.length });
+    });
+
+    panel.querySelector('.recorder-load input').addEventListener('change', async event => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) {
+            return;
+        }
+        try {
+            startReplay(JSON.parse(await file.text()));
+        } catch (error) {
+            logger.error('HTTP fixture could not be loaded', 'network', { file: file.name, error: error.message });
+        }
+    });
+
+    replayButton.addEventListener('click', () => startReplay(fixture));
+
+    speed.addEventListener('change', () => recorder.configure({ timeScale: Number(speed.value) }));
+
+    passthrough.addEventListener('change', () => {
+        recorder.configure({ onMiss: passthrough.checked ? 'network' : 'error' });
+    });
+
+    recorder.addListener(render);
+    render();
+    return { render };
+}
+
+export { mountRecorderPanel };
@@ -0,0 +1,239 @@
+/**
+ * Redact Module
+ *
+ * Masks sensitive values in logged data before an entry is stored,
+ * displayed or exported. Three kinds of rules are supported:
+ * - key patterns: any property whose name matches is masked entirely
+ *   (password, token, balance, accountNumber, ...)
+ * - value patterns: matching parts of strings are masked
+ *   (bearer tokens, JWTs, card numbers, ...)
+ * - functions: (value, key, path) => true masks the value
+ *
+ * The input is never modified; arrays, plain objects, class instances,
+ * Maps and Sets are copied. Other objects (Dates, Errors, DOM nodes, ...)
+ * are passed through as they are
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Property names that hold secrets or personal data
+const DEFAULT_KEY_PATTERNS = [
+    /passw(or)?d|passphrase|^pass$/i,
+    /secret/i,
+    /token/i,
+    /api[-_]?key/i,
+    /authorization/i,
+    /cookie/i,
+    /session[-_]?id/i,
+    /card[-_]?number|cvv|cvc/i,
+    /account[-_]?number|iban/i,
+    /balance/i,
+    /ssn/i
+];
+
+// Secrets that show up inside strings (messages, URLs, headers)
+const DEFAULT_VALUE_PATTERNS = [
+    /Bearer\s+[\w.~+/-]+=*/gi,
+    /eyJ[\w-]+\.[\w-]+\.[\w-]+/g, // JSON Web Tokens
+    /\b(?:4\d{3}|5[1-5]\d{2}|6011|3[47]\d{2})(?:[ -]?\d{4}){2}[ -]?\d{3,4}\b/g // Card numbers (Visa, Mastercard, Discover, Amex)
+];
+
+/**
+ * Make sure a key pattern is a RegExp without the global flag
+ * (a global RegExp keeps lastIndex between test() calls)
+ * @param {RegExp|string} pattern - Pattern or key name
+ * @returns {RegExp} Pattern
+ */
+function toKeyPattern(pattern) {
+    if (pattern instanceof RegExp) {
+        return new RegExp(pattern.source, pattern.flags.replace('g', ''));
+    }
+    return new RegExp(`^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+}
+
+/**
+ * Make sure a value pattern is a global RegExp, so every match is replaced
+ * @param {RegExp|string} pattern - Pattern
+ * @returns {RegExp} Global pattern
+ */
+function toValuePattern(pattern) {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    return regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`);
+}
+
+/**
+ * Check whether an object is a plain object or class instance (not a Date, Error, node, ...)
+ * @param {Object} value - Object to check
+ * @returns {boolean} True if its own properties can be copied
+ */
+function isRecord(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+class Redactor {
+    /**
+     * @param {Object} options - See configure()
+     */
+    constructor(options = {}) {
+        this.enabled = true;
+        this.mask = REDACTED;
+        this.keys = DEFAULT_KEY_PATTERNS.map(toKeyPattern);
+        this.values = DEFAULT_VALUE_PATTERNS.map(toValuePattern);
+        this.functions = [];
+        this.configure(options);
+    }
+
+    /**
+     * Change the rules; given lists replace the current ones
+     * @param {Object} options - Redaction options
+     * @param {boolean} options.enabled - Whether redaction is applied
+     * @param {string} options.mask - Replacement text
+     * @param {Array} options.keys - Key patterns (RegExp or exact key name)
+     * @param {Array} options.values - Value patterns (RegExp or source string)
+     * @param {Array<Function>} options.functions - (value, key, path) => true to redact
+     */
+    configure({ enabled, mask, keys, values, functions } = {}) {
+        if (enabled !== undefined) {
+            this.enabled = enabled;
+        }
+        if (mask !== undefined) {
+            this.mask = mask;
+        }
+        if (keys) {
+            this.keys = keys.map(toKeyPattern);
+        }
+        if (values) {
+            this.values = values.map(toValuePattern);
+        }
+        if (functions) {
+            this.functions = [...functions];
+        }
+    }
+
+    /**
+     * Add a rule on top of the current ones
+     * @param {Object} rule - { key }, { value } or { fn }
+     */
+    addRule({ key, value, fn }) {
+        if (key) {
+            this.keys.push(toKeyPattern(key));
+        }
+        if (value) {
+            this.values.push(toValuePattern(value));
+        }
+        if (fn) {
+            this.functions.push(fn);
+        }
+    }
+
+    /**
+     * Mask the parts of a string matched by the value patterns
+     * @param {string} text - Text
+     * @returns {string} Redacted text
+     */
+    redactString(text) {
+        return this.values.reduce((result, pattern) => result.replace(pattern, this.mask), text);
+    }
+
+    /**
+     * Redact a message and its data
+     * @param {string} message - Log message
+     * @param {any} data - Log data
+     * @returns {Object} { message, data, count: number of masked values }
+     */
+    redactEntry(message, data) {
+        if (!this.enabled) {
+            return { message, data, count: 0 };
+        }
+
+        let count = 0;
+        const seen = new Map(); // original object -> copy, handles circular references
+        const mask = () => {
+            count++;
+            return this.mask;
+        };
+        const redactText = text => {
+            const redacted = this.redactString(text);
+            if (redacted !== text) {
+                count++;
+            }
+            return redacted;
+        };
+
+        const walk = (value, key, path) => {
+            if (key !== null && this.keys.some(pattern => pattern.test(String(key)))) {
+                return mask();
+            }
+            if (this.functions.some(fn => fn(value, key, path))) {
+                return mask();
+            }
+            if (typeof value === 'string') {
+                return redactText(value);
+            }
+            if (value === null || typeof value !== 'object') {
+                return value;
+            }
+            if (seen.has(value)) {
+                return seen.get(value);
+            }
+
+            if (Array.isArray(value)) {
+                const copy = [];
+                seen.set(value, copy);
+                value.forEach((item, index) => {
+                    copy.push(walk(item, index, `${path}[${index}]`));
+                });
+                return copy;
+            }
+            if (value instanceof Map) {
+                const copy = new Map();
+                seen.set(value, copy);
+                value.forEach((item, itemKey) => {
+                    copy.set(itemKey, walk(item, itemKey, `${path}.${String(itemKey)}`));
+                });
+                return copy;
+            }
+            if (value instanceof Set) {
+                const copy = new Set();
+                seen.set(value, copy);
+                let index = 0;
+                value.forEach(item => {
+                    copy.add(walk(item, null, `${path}[${index++}]`));
+                });
+                return copy;
+            }
+            if (isRecord(value)) {
+                // Keep the prototype so class names still show up in the viewer
+                const copy = Object.create(Object.getPrototypeOf(value));
+                seen.set(value, copy);
+                Object.keys(value).forEach(property => {
+                    Object.defineProperty(copy, property, {
+                        value: walk(value[property], property, `${path}.${property}`),
+                        enumerable: true,
+                        writable: true,
+                        configurable: true
+                    });
+                });
+                return copy;
+            }
+            return value;
+        };
+
+        return {
+            message: typeof message === 'string' ? redactText(message) : message,
+            data: walk(data, null, '$'),
+            count
+        };
+    }
+
+    /**
+     * Redact any value
+     * @param {any} value - Value to redact
+     * @returns {any} Redacted copy
+     */
+    redact(value) {
+        return this.redactEntry('', value).data;
+    }
+}
+
+export { Redactor, REDACTED, DEFAULT_KEY_PATTERNS, DEFAULT_VALUE_PATTERNS };
@@ -0,0 +1,171 @@
+/**
+ * Router Module
+ *
+ * Hash based client-side router for the single-page playground: #/promises
+ * shows the promises concept and #/promises/fetch-user-data links to one of
+ * its examples. Hash routes work on any static server without a fallback
+ * configuration, and navigating never reloads the page, so the logger, the
+ * log viewer and the run history stay alive.
+ *
+ * router.add('/:concept/:example?', ({ params }) => renderConcept(params.concept));
+ *
+ * A handler renders its view and may return a cleanup function (or a
+ * promise of one), which runs before the next route is rendered. Handlers
+ * can be async, for lazy imports; when the user navigates again while one
+ * is loading, isCurrent() turns false and its cleanup runs right away
+ */
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn a route pattern into a regular expression
+ * @param {string} pattern - Like '/:concept/:example?'; ':name?' segments are optional
+ * @returns {Object} { regex, keys: parameter names in order }
+ */
+function compilePattern(pattern) {
+    const keys = [];
+    const source = pattern.split('/').filter(Boolean).map(segment => {
+        const param = segment.match(/^:(\w+)(\?)?$/);
+        if (!param) {
+            return `/${escapeRegExp(segment)}`;
+        }
+        keys.push(param[1]);
+        return param[2] ? '(?:/([^/]+))?' : '/([^/]+)';
+    }).join('');
+    return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Path of the current hash route
+ * @returns {string} '#/promises/fetch-user-data' -> '/promises/fetch-user-data', '' -> '/'
+ */
+function currentPath() {
+    const hash = window.location.hash.replace(/^#/, '');
+    return hash.startsWith('/') ? hash : `/${hash}`;
+}
+
+class Router {
+    constructor() {
+        this.routes = [];
+        this.notFound = null;
+        this.cleanup = null; // Cleanup of the rendered route
+        this.navigation = 0; // Incremented per navigation, so stale renders can tell
+        this.onHashChange = () => this.resolve();
+    }
+
+    /**
+     * Add a route; routes are matched in the order they were added
+     * @param {string} pattern - Route pattern, like '/:concept/:example?'
+     * @param {Function} handler - ({ path, params, isCurrent }) => cleanup function, may be async
+     * @returns {Router} This router
+     */
+    add(pattern, handler) {
+        this.routes.push({ pattern, handler, ...compilePattern(pattern) });
+        return this;
+    }
+
+    /**
+     * Set the handler for paths no route matches
+     * @param {Function} handler - Same as add()
+     * @returns {Router} This router
+     */
+    fallback(handler) {
+        this.notFound = handler;
+        return this;
+    }
+
+    /**
+     * Find the route for a path
+     * @param {string} path - Path, like '/promises'
+     * @returns {Object|null} { route, params }, or null if no route matches or a parameter cannot be decoded
+     */
+    match(path) {
+        for (const route of this.routes) {
+            const match = route.regex.exec(path);
+            if (match) {
+                const params = {};
+                try {
+                    route.keys.forEach((key, index) => {
+                        if (match[index + 1] !== undefined) {
+                            params[key] = decodeURIComponent(match[index + 1]);
+                        }
+                    });
+                } catch (error) {
+                    // A malformed escape (#/promises/%E0) is a path no page has
+                    return null;
+                }
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Render the current route and follow hash changes
+     * @returns {Promise<boolean>} Resolves once the first route is rendered
+     */
+    start() {
+        window.addEventListener('hashchange', this.onHashChange);
+        return this.resolve();
+    }
+
+    stop() {
+        window.removeEventListener('hashchange', this.onHashChange);
+    }
+
+    /**
+     * Go to a path
+     * @param {string} path - Path, like '/promises'
+     * @param {Object} options - { replace: replace the history entry instead of adding one }
+     */
+    navigate(path, { replace = false } = {}) {
+        if (replace) {
+            history.replaceState(history.state, '', `#${path}`);
+            this.resolve();
+        } else if (currentPath() === path) {
+            this.resolve();
+        } else {
+            window.location.hash = path;
+        }
+    }
+
+    /**
+     * Render the route of the current hash, after cleaning up the previous one
+     * @returns {Promise<boolean>} False if another navigation happened while rendering
+     */
+    async resolve() {
+        const navigation = ++this.navigation;
+        const path = currentPath();
+        const match = this.match(path);
+
+        if (this.cleanup) {
+            const cleanup = this.cleanup;
+            this.cleanup = null;
+            cleanup();
+        }
+
+        const handler = match ? match.route.handler : this.notFound;
+        if (!handler) {
+            return true;
+        }
+        const isCurrent = () => navigation === this.navigation;
+        const cleanup = await handler({ path, params: match ? match.params : {}, isCurrent });
+        if (!isCurrent()) {
+            if (typeof cleanup === 'function') {
+                cleanup();
+            }
+            return false;
+        }
+        this.cleanup = typeof cleanup === 'function' ? cleanup : null;
+        return true;
+    }
+}
+
+export { Router, compilePattern, currentPath };
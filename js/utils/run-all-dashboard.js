@@ -0,0 +1,140 @@
+/**
+ * Run All Dashboard Module
+ *
+ * Home page panel that runs every registered example (see
+ * runAllExamples() in example-runner.js) and shows a summary table with
+ * pass/fail, duration and log/error counts per example. Meant as a quick
+ * smoke check after editing shared code
+ */
+
+import { exampleRegistry } from './example-registry.js';
+import { runAllExamples } from './example-runner.js';
+
+const CONCURRENCY_OPTIONS = [1, 2, 4, 8];
+
+// Result status -> [row class, status text]
+const STATUS_DISPLAY = {
+    ok: ['run-all-passed', 'pass'],
+    error: ['run-all-failed', 'fail'],
+    cancelled: ['run-all-cancelled', 'cancelled']
+};
+
+/**
+ * Format a duration for the table
+ * @param {number} duration - Milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(duration) {
+    return duration < 1000 ? `${Math.round(duration)}ms` : `${(duration / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Create a table row for an example that has not finished yet
+ * @param {Object} example - Registered example
+ * @returns {HTMLTableRowElement} Row
+ */
+function createPendingRow(example) {
+    const row = document.createElement('tr');
+    row.className = 'run-all-pending';
+    row.dataset.example = example.id;
+    [example.title, example.section, 'pending', '', '', ''].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+/**
+ * Fill a row with an example result
+ * @param {HTMLTableRowElement} row - Row created by createPendingRow()
+ * @param {Object} result - Result from runAllExamples()
+ */
+function fillRow(row, result) {
+    const [className, text] = STATUS_DISPLAY[result.status];
+    row.className = className;
+    const cells = row.children;
+    cells[2].textContent = text;
+    cells[2].title = result.error || '';
+    cells[3].textContent = formatDuration(result.duration);
+    cells[4].textContent = result.logs;
+    cells[5].textContent = result.errors;
+}
+
+/**
+ * Mount the dashboard: concurrency picker, run/stop buttons, status line and table
+ * @param {HTMLElement} container - Element to mount the dashboard into
+ * @returns {Object} Dashboard API ({ run, stop })
+ */
+function mountRunAllDashboard(container) {
+    const panel = document.createElement('section');
+    panel.className = 'run-all-dashboard';
+    panel.innerHTML = `
+        <h2>Run all examples</h2>
+        <div class="run-all-controls">
+            <label>Concurrency
+                <select class="run-all-concurrency">
+                    ${CONCURRENCY_OPTIONS.map(value => `<option value="${value}">${value}</option>`).join('')}
+                </select>
+            </label>
+            <button type="button" class="run-all-start">Run all</button>
+            <button type="button" class="run-all-stop stop-button" disabled>Stop</button>
+            <span class="run-all-status">${exampleRegistry.list().length} examples registered</span>
+        </div>
+        <table class="run-all-table">
+            <thead>
+                <tr><th>Example</th><th>Section</th><th>Status</th><th>Duration</th><th>Logs</th><th>Errors</th></tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    container.appendChild(panel);
+
+    const startButton = panel.querySelector('.run-all-start');
+    const stopButton = panel.querySelector('.run-all-stop');
+    const concurrencySelect = panel.querySelector('.run-all-concurrency');
+    const status = panel.querySelector('.run-all-status');
+    const body = panel.querySelector('tbody');
+    let controller = null;
+
+    const run = async () => {
+        const examples = exampleRegistry.list();
+        const rows = examples.map(createPendingRow);
+        body.replaceChildren(...rows);
+        controller = new AbortController();
+        startButton.disabled = true;
+        stopButton.disabled = false;
+        status.textContent = `Running ${examples.length} examples...`;
+
+        try {
+            const summary = await runAllExamples({
+                concurrency: Number(concurrencySelect.value),
+                signal: controller.signal,
+                onResult: (result, index) => fillRow(rows[index], result)
+            });
+            const skipped = examples.length - summary.results.length;
+            status.textContent = `${summary.passed} passed, ${summary.failed} failed` +
+                (summary.cancelled ? `, ${summary.cancelled} cancelled` : '') +
+                (skipped ? `, ${skipped} not run` : '') +
+                ` in ${formatDuration(summary.duration)}`;
+            panel.classList.toggle('has-failures', summary.failed > 0);
+            return summary;
+        } finally {
+            controller = null;
+            startButton.disabled = false;
+            stopButton.disabled = true;
+        }
+    };
+
+    const stop = () => {
+        if (controller) {
+            controller.abort();
+        }
+    };
+
+    startButton.addEventListener('click', run);
+    stopButton.addEventListener('click', stop);
+    return { run, stop };
+}
+
+export { mountRunAllDashboard };
@@ -0,0 +1,216 @@
+/**
+ * Run Context Module
+ *
+ * Every example run gets a RunContext (see example-runner.js) with an
+ * AbortSignal and helpers that are torn down when the run is cancelled:
+ * timers are cleared, fetches are aborted and delays reject with an
+ * AbortError. The helpers are bound, so an example can shadow the globals:
+ *
+ * const { setTimeout, fetch, delay, random, Date, Promise } = run;
+ *
+ * In deterministic mode (see deterministic.js) timers run on a virtual
+ * clock, random() is seeded and Date reports a fixed time, so the output
+ * is the same on every run. With the promise timeline on, Promise is a
+ * class that records its promises (see promise-tracker.js)
+ */
+
+/**
+ * Create the error used to reject cancelled work
+ * @param {string} message - Error message
+ * @returns {Error} Error named AbortError, like the one fetch() rejects with
+ */
+function createAbortError(message = 'Run cancelled') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Check whether an error comes from a cancelled run or fetch
+ * @param {any} error - Error to check
+ * @returns {boolean} True for AbortErrors
+ */
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Rejection handler that swallows AbortErrors and rethrows anything else
+ * Use it on fire-and-forget promises: promise.catch(ignoreAbort)
+ * @param {any} error - Rejection reason
+ */
+function ignoreAbort(error) {
+    if (!isAbortError(error)) {
+        throw error;
+    }
+}
+
+class RunContext {
+    /**
+     * @param {ChildLogger} log - Run logger (optional for direct calls)
+     * @param {Object} environment - { random, clock, Date } from deterministicMode.createEnvironment()
+     * @param {Object} options - { Promise: class the run's promises are made with, like PromiseTracker.createPromiseClass() }
+     */
+    constructor(log = null, environment = null, options = {}) {
+        this.log = log;
+        this.deterministic = Boolean(environment);
+        this.clock = environment ? environment.clock : null;
+        this.scheduler = this.clock || globalThis; // Where timers are actually scheduled
+        this.random = environment ? environment.random : Math.random;
+        this.Date = environment ? environment.Date : Date;
+        this.Promise = options.Promise || Promise;
+        this.now = this.clock ? this.clock.now : () => performance.now();
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        this.timeouts = new Set();
+        this.intervals = new Set();
+        this.pending = 0; // Fetches and delays that have not settled
+
+        ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'fetch', 'delay'].forEach(method => {
+            this[method] = this[method].bind(this);
+        });
+        this.signal.addEventListener('abort', () => this.teardown(), { once: true });
+    }
+
+    get aborted() {
+        return this.signal.aborted;
+    }
+
+    /**
+     * Cancel the run
+     * @param {string} reason - Message of the AbortError pending work rejects with
+     */
+    abort(reason = 'Run cancelled') {
+        if (!this.aborted) {
+            this.controller.abort(createAbortError(reason));
+        }
+    }
+
+    /**
+     * Throw the abort reason if the run was cancelled
+     */
+    throwIfAborted() {
+        if (this.aborted) {
+            throw this.signal.reason;
+        }
+    }
+
+    /**
+     * Whether timers, fetches or delays are still outstanding
+     * @returns {boolean} True if cancelling would tear something down
+     */
+    hasPendingWork() {
+        return this.timeouts.size > 0 || this.intervals.size > 0 || this.pending > 0;
+    }
+
+    /**
+     * setTimeout that is cleared when the run is cancelled
+     * @returns {number} Timer id (0 if the run is already cancelled)
+     */
+    setTimeout(callback, ms, ...args) {
+        if (this.aborted) {
+            return 0;
+        }
+        const id = this.scheduler.setTimeout(() => {
+            this.timeouts.delete(id);
+            callback(...args);
+        }, ms);
+        this.timeouts.add(id);
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timeouts.delete(id);
+        this.scheduler.clearTimeout(id);
+    }
+
+    /**
+     * setInterval that is cleared when the run is cancelled
+     * @returns {number} Timer id (0 if the run is already cancelled)
+     */
+    setInterval(callback, ms, ...args) {
+        if (this.aborted) {
+            return 0;
+        }
+        const id = this.scheduler.setInterval(callback, ms, ...args);
+        this.intervals.add(id);
+        return id;
+    }
+
+    clearInterval(id) {
+        this.intervals.delete(id);
+        this.scheduler.clearInterval(id);
+    }
+
+    /**
+     * fetch() that is aborted with the run
+     * A signal passed in init is respected too
+     * @param {string|Request} input - Resource
+     * @param {Object} init - fetch options
+     * @returns {Promise<Response>} Response
+     */
+    fetch(input, init = {}) {
+        const signal = init.signal ? AbortSignal.any([this.signal, init.signal]) : this.signal;
+        this.pending++;
+        // Made a promise of the run's class, so the promise timeline sees requests too
+        return this.Promise.resolve(globalThis.fetch(input, { ...init, signal }).finally(() => {
+            this.pending--;
+        }));
+    }
+
+    /**
+     * Wait, rejecting with an AbortError if the run is cancelled first
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise<void>} Resolves after ms
+     */
+    delay(ms) {
+        return new this.Promise((resolve, reject) => {
+            if (this.aborted) {
+                reject(this.signal.reason);
+                return;
+            }
+            // The timer itself is cleared by teardown()
+            const onAbort = () => {
+                this.pending--;
+                reject(this.signal.reason);
+            };
+            this.pending++;
+            this.signal.addEventListener('abort', onAbort, { once: true });
+            this.setTimeout(() => {
+                this.pending--;
+                this.signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+        });
+    }
+
+    /**
+     * Resolve or reject like a promise, or reject as soon as the run is cancelled
+     * @param {Promise} promise - Work started by the run
+     * @returns {Promise} Settles with the promise or the abort reason
+     */
+    race(promise) {
+        if (this.aborted) {
+            return Promise.reject(this.signal.reason);
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(this.signal.reason);
+            this.signal.addEventListener('abort', onAbort, { once: true });
+            Promise.resolve(promise).then(resolve, reject).finally(() => {
+                this.signal.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+
+    /**
+     * Clear every timer the run started
+     */
+    teardown() {
+        this.timeouts.forEach(id => this.scheduler.clearTimeout(id));
+        this.intervals.forEach(id => this.scheduler.clearInterval(id));
+        this.timeouts.clear();
+        this.intervals.clear();
+    }
+}
+
+export { RunContext, createAbortError, isAbortError, ignoreAbort };
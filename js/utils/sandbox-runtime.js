@@ -0,0 +1,229 @@
+/**
+ * Sandbox Runtime
+ *
+ * Runs inside the sandboxed iframe created by sandbox.js, as an inline
+ * module script. The frame has an opaque origin, so this script imports
+ * nothing itself: the run request carries the modules it needs as data:
+ * URLs (serialize, log-span, run-context, deterministic, api-config,
+ * mock-api and the stand-ins for the logger and example registry the
+ * concept modules import).
+ *
+ * Log entries, spans, console output and uncaught errors are bridged back
+ * to the parent over postMessage:
+ *
+ * ready                          the frame can take a run request
+ * entry { level, message, ... }  a log entry or finished span
+ * console { method, args }       a console call (args are serialized)
+ * uncaught { message, stack }    an uncaught error or unhandled rejection
+ * done { output }                the example finished (output is formatted)
+ * failed { error }               the example or its module threw
+ */
+
+const host = window.parent;
+
+// Set by the run request: performance.now() value after which loops throw
+let deadline = Infinity;
+// Replaced by serialize.js once the run request arrives
+let toSerializable = value => String(value);
+
+/**
+ * Send a message to the page that created the frame
+ * @param {Object} message - Message with a type field
+ */
+function post(message) {
+    host.postMessage(message, '*');
+}
+
+/**
+ * Turn an error into a cloneable object
+ * @param {any} error - Thrown value
+ * @returns {Object} { name, message, stack }
+ */
+function describeError(error) {
+    if (error instanceof Error) {
+        return { name: error.name, message: error.message, stack: error.stack };
+    }
+    return { name: 'Error', message: String(error), stack: null };
+}
+
+/**
+ * Storage kept in memory: an opaque origin has no localStorage or sessionStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(String(key)) ? this.items.get(String(key)) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(String(key), String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(String(key));
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+['localStorage', 'sessionStorage'].forEach(name => {
+    try {
+        Object.defineProperty(window, name, { value: new MemoryStorage(), configurable: true });
+    } catch (error) {
+        // The frame keeps its own (throwing) storage
+    }
+});
+
+// Console calls still reach the frame's console and are copied to the parent
+['log', 'info', 'warn', 'error', 'debug', 'table', 'group', 'groupCollapsed', 'groupEnd'].forEach(method => {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+        original(...args);
+        post({ type: 'console', method, args: args.map(arg => toSerializable(arg)) });
+    };
+});
+
+window.addEventListener('error', event => {
+    post({ type: 'uncaught', ...describeError(event.error ?? event.message) });
+});
+
+window.addEventListener('unhandledrejection', event => {
+    const { name, message, stack } = describeError(event.reason);
+    post({ type: 'uncaught', name, message: `Unhandled promise rejection: ${message}`, stack });
+});
+
+// Called at the start of every loop body (see loop-protect.js)
+// The deadline stays, so a loop that catches the error still stops at the
+// next guarded loop, and so do loops in timers the example started
+globalThis.__loopGuard = () => {
+    if (performance.now() > deadline) {
+        throw new Error('Time budget exceeded');
+    }
+};
+
+/**
+ * Build the logger stand-in once log-span.js is loaded
+ * Entries are posted to the parent, which writes them to the run's logger
+ * @param {Object} spans - log-span.js exports
+ * @returns {Function} SandboxLogger class
+ */
+function createLoggerClass({ Span, traceSpan }) {
+    return class SandboxLogger {
+        constructor(context = {}) {
+            this.context = context;
+        }
+
+        child(bindings = {}) {
+            return new SandboxLogger({ ...this.context, ...bindings });
+        }
+
+        write({ level, message, data = null, span = null }) {
+            post({ type: 'entry', level, message, data: toSerializable(data), span, context: this.context });
+        }
+
+        log(level, message, data = null) {
+            this.write({ level, message, data });
+        }
+
+        time(name, data = null) {
+            return new Span(fields => this.write(fields), name, { data });
+        }
+
+        trace(name, fn) {
+            return traceSpan(this.time(name), fn);
+        }
+
+        isEnabled() {
+            return true;
+        }
+
+        info(message, data = null) {
+            this.log('info', message, data);
+        }
+
+        warn(message, data = null) {
+            this.log('warn', message, data);
+        }
+
+        error(message, data = null) {
+            this.log('error', message, data);
+        }
+
+        debug(message, data = null) {
+            this.log('debug', message, data);
+        }
+    };
+}
+
+/**
+ * Load a module and run one of the examples it registers
+ * @param {Object} request - { modules: data: URLs by file name, source, exampleId, timeBudget, deterministic, api }
+ * @returns {Promise<any>} Formatted example output
+ */
+async function run({ modules, source, exampleId, timeBudget, deterministic, api }) {
+    deadline = performance.now() + timeBudget;
+
+    ({ toSerializable } = await import(modules['serialize.js']));
+    const SandboxLogger = createLoggerClass(await import(modules['log-span.js']));
+    const { RunContext } = await import(modules['run-context.js']);
+    const { DeterministicMode } = await import(modules['deterministic.js']);
+
+    // Same API setting as the page; mock requests are answered in the frame
+    const { apiConfig } = await import(modules['api-config.js']);
+    apiConfig.configure({ mode: api.mode, origin: api.origin });
+    if (apiConfig.isMock()) {
+        const { installMockFetch } = await import(modules['mock-api.js']);
+        installMockFetch({ base: api.base, origin: api.origin, server: false });
+    }
+
+    const examples = new Map();
+    globalThis.__sandbox = {
+        logger: new SandboxLogger(),
+        registerExample: definition => {
+            examples.set(definition.id, definition);
+            return definition;
+        }
+    };
+
+    await import(source);
+    const example = examples.get(exampleId);
+    if (!example) {
+        throw new Error(`The sandboxed source does not register example "${exampleId}"`);
+    }
+
+    let environment = null;
+    if (deterministic) {
+        const mode = new DeterministicMode();
+        mode.enable(deterministic);
+        environment = mode.createEnvironment();
+    }
+    const context = new RunContext(new SandboxLogger(), environment);
+    const result = await example.run(context);
+    return toSerializable(example.format ? example.format(result) : result);
+}
+
+window.addEventListener('message', async event => {
+    if (event.source !== host || !event.data || event.data.type !== 'run') {
+        return;
+    }
+    try {
+        post({ type: 'done', output: await run(event.data) });
+    } catch (error) {
+        post({ type: 'failed', error: describeError(error) });
+    }
+});
+
+post({ type: 'ready' });
@@ -0,0 +1,295 @@
+/**
+ * Sandbox Module
+ *
+ * Runs an example inside a sandboxed iframe instead of the page's own realm,
+ * so examples that touch the DOM (like domExample) change a throwaway
+ * fixture instead of the playground, and edited code cannot reach the page.
+ *
+ * The frame is created with sandbox="allow-scripts" (an opaque origin) for
+ * every run and removed when the run is stopped or its time budget runs out.
+ * The module source is rewritten before it is sent over:
+ *
+ * - imports of the logger and example registry point at stand-ins that post
+ *   entries back (see sandbox-runtime.js); run-context.js, deterministic.js,
+ *   log-span.js, serialize.js and api-config.js are sent as they are; other
+ *   imports fail
+ * - every braced loop body calls a guard that throws once the time budget is
+ *   spent (see loop-protect.js), so an infinite loop ends instead of
+ *   freezing the playground
+ *
+ * The frame gets the page's API setting; in mock mode it answers mock API
+ * requests itself (see mock-api.js), since its opaque origin has no server.
+ *
+ * Log entries, spans, console output and uncaught errors from the frame are
+ * written to the run's logger, tagged with { sandbox: true }.
+ * Background work an example leaves behind keeps running until the budget
+ * is spent; the frame is removed then
+ */
+
+import { fromSerializable } from './serialize.js';
+import { formatArgs, METHOD_LEVELS } from './console-capture.js';
+import { protectLoops } from './loop-protect.js';
+import { apiConfig, MOCK_API_BASE } from './api-config.js';
+import runtimeSource from './sandbox-runtime.js?raw';
+import serializeSource from './serialize.js?raw';
+import logSpanSource from './log-span.js?raw';
+import runContextSource from './run-context.js?raw';
+import deterministicSource from './deterministic.js?raw';
+import apiConfigSource from './api-config.js?raw';
+import mockApiSource from './mock-api.js?raw';
+
+// Concept module sources, loaded when a sandboxed example first needs one
+const conceptSources = import.meta.glob('../concepts/*.js', { query: '?raw', import: 'default' });
+
+const DEFAULT_TIME_BUDGET = 5000;
+// Extra time before the frame is removed, so the loop guard's own error
+// (whose stack points at the loop) can arrive first
+const BUDGET_GRACE = 250;
+
+// Markup the sandboxed code runs against: the elements domExample looks for
+const DEFAULT_FIXTURE = `
+<div class="container">
+    <header>
+        <h1>🚀 JS Learning Playground</h1>
+    </header>
+    <main>
+        <section class="concept-section">
+            <h2>Variables</h2>
+            <div id="variables-output" class="output-box"></div>
+            <button type="button">Run Variables Example</button>
+        </section>
+        <section class="concept-section">
+            <h2>Functions</h2>
+            <div id="functions-output" class="output-box"></div>
+            <button type="button">Run Functions Example</button>
+        </section>
+    </main>
+</div>`;
+
+/**
+ * Turn module source into a data: URL the frame can import
+ * @param {string} source - Module source
+ * @returns {string} data: URL
+ */
+function toModuleUrl(source) {
+    // Quotes are encoded too, since the URL ends up inside import specifiers
+    return `data:text/javascript;charset=utf-8,${encodeURIComponent(source).replace(/'/g, '%27')}`;
+}
+
+let moduleUrls = null;
+
+/**
+ * URLs of the modules sandboxed code may import, by file name
+ * @returns {Object} { 'logger.js': url, ... }
+ */
+function getModuleUrls() {
+    if (!moduleUrls) {
+        moduleUrls = {
+            'logger.js': toModuleUrl('export const logger = globalThis.__sandbox.logger;'),
+            'example-registry.js': toModuleUrl([
+                'export const registerExample = definition => globalThis.__sandbox.registerExample(definition);',
+                'export const exampleRegistry = { register: registerExample };'
+            ].join('\n')),
+            'run-context.js': toModuleUrl(runContextSource),
+            'deterministic.js': toModuleUrl(deterministicSource),
+            'log-span.js': toModuleUrl(logSpanSource),
+            'serialize.js': toModuleUrl(serializeSource),
+            'api-config.js': toModuleUrl(apiConfigSource),
+            'mock-api.js': toModuleUrl(mockApiSource)
+        };
+    }
+    return moduleUrls;
+}
+
+/**
+ * Point the imports of a module at the sandbox's copies
+ * @param {string} source - Module source
+ * @returns {string} Source importing data: URLs
+ * @throws {Error} If it imports a module the sandbox does not provide
+ */
+function rewriteImports(source) {
+    const urls = getModuleUrls();
+    return source.replace(
+        /(\bfrom\s*|\bimport\s*\(?\s*)(['"])([^'"]+)\2/g,
+        (match, prefix, quote, specifier) => {
+            const url = specifier.includes('utils/') && urls[specifier.split('/').pop()];
+            if (!url) {
+                throw new Error(`"${specifier}" cannot be imported in the sandbox`);
+            }
+            return `${prefix}${quote}${url}${quote}`;
+        }
+    );
+}
+
+/**
+ * Load the original source of a concept module
+ * @param {string} file - File name in js/concepts/, like 'dom.js'
+ * @returns {Promise<string>} Module source
+ */
+async function loadConceptSource(file) {
+    const load = conceptSources[`../concepts/${file}`];
+    if (!load) {
+        throw new Error(`Unknown concept module: ${file}`);
+    }
+    return load();
+}
+
+/**
+ * Rebuild an error posted by the frame
+ * @param {Object} fields - { name, message, stack }
+ * @returns {Error} Error
+ */
+function toError({ name, message, stack }) {
+    const error = new Error(message);
+    error.name = name;
+    if (stack) {
+        error.stack = stack;
+    }
+    return error;
+}
+
+class Sandbox {
+    /**
+     * @param {Object} options - { timeBudget: ms a run may take, fixture: body markup of the frame }
+     */
+    constructor(options = {}) {
+        this.timeBudget = options.timeBudget ?? DEFAULT_TIME_BUDGET;
+        this.fixture = options.fixture ?? DEFAULT_FIXTURE;
+    }
+
+    /**
+     * Update options; see constructor
+     * @param {Object} options - Options to change
+     */
+    configure(options = {}) {
+        if (options.timeBudget !== undefined) {
+            this.timeBudget = options.timeBudget;
+        }
+        if (options.fixture !== undefined) {
+            this.fixture = options.fixture;
+        }
+    }
+
+    /**
+     * Document loaded into the frame: the fixture and the runtime script
+     * @returns {string} HTML
+     */
+    document() {
+        const runtime = runtimeSource.replace(/<\/script/gi, '<\\/script');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"></head>
+<body>${this.fixture}
+<script type="module">${runtime}</script>
+</body>
+</html>`;
+    }
+
+    /**
+     * Run one example of a module in a fresh frame
+     * @param {Object} options - Run options
+     * @param {string} options.source - Module source that registers the example
+     * @param {string} options.file - File name used in stack traces
+     * @param {string} options.exampleId - Example to run
+     * @param {ChildLogger} options.log - Run logger the frame's entries are written to
+     * @param {AbortSignal} options.signal - Removes the frame when aborted
+     * @param {number} options.timeBudget - Milliseconds before the frame is removed
+     * @param {Function} options.onConsole - Receives the frame's console calls: (method, args) => void
+     * @param {Object|null} options.deterministic - { seed, startTime } to run with virtual time
+     * @returns {Promise<any>} Formatted example output
+     */
+    async run({ source, file, exampleId, log, signal, timeBudget = this.timeBudget, onConsole = null, deterministic = null }) {
+        signal.throwIfAborted();
+        const code = `${rewriteImports(protectLoops(source))}\n//# sourceURL=sandbox/${file}`;
+
+        return new Promise((resolve, reject) => {
+            const frame = document.createElement('iframe');
+            frame.className = 'sandbox-frame';
+            frame.title = `Sandbox for ${exampleId}`;
+            frame.setAttribute('sandbox', 'allow-scripts');
+            frame.setAttribute('aria-hidden', 'true');
+            let settled = false;
+            let budgetTimer = null;
+
+            const close = () => {
+                clearTimeout(budgetTimer);
+                window.removeEventListener('message', onMessage);
+                signal.removeEventListener('abort', onAbort);
+                frame.remove();
+            };
+            const settle = (callback, value) => {
+                if (!settled) {
+                    settled = true;
+                    callback(value);
+                }
+            };
+
+            const onAbort = () => {
+                close();
+                settle(reject, signal.reason);
+            };
+
+            const onBudgetSpent = () => {
+                close();
+                if (!settled) {
+                    const error = new Error(`Time budget of ${timeBudget}ms exceeded`);
+                    error.name = 'TimeoutError';
+                    settle(reject, error);
+                } else {
+                    log.debug('Sandbox closed after its time budget', { timeBudget });
+                }
+            };
+
+            const onMessage = event => {
+                if (event.source !== frame.contentWindow || !event.data) {
+                    return;
+                }
+                const { type, ...message } = event.data;
+                if (type === 'ready') {
+                    frame.contentWindow.postMessage({
+                        type: 'run',
+                        modules: getModuleUrls(),
+                        source: toModuleUrl(code),
+                        exampleId,
+                        timeBudget,
+                        deterministic,
+                        api: { mode: apiConfig.mode, origin: apiConfig.mockOrigin(), base: MOCK_API_BASE }
+                    }, '*');
+                } else if (type === 'entry') {
+                    const { section, ...context } = message.context;
+                    log.child({ ...context, sandbox: true }).write({
+                        level: message.level,
+                        message: message.message,
+                        data: fromSerializable(message.data),
+                        span: message.span
+                    });
+                } else if (type === 'console') {
+                    const args = message.args.map(fromSerializable);
+                    if (METHOD_LEVELS[message.method]) {
+                        log.log(METHOD_LEVELS[message.method], formatArgs(args), { console: message.method, sandbox: true });
+                    }
+                    if (onConsole) {
+                        onConsole(message.method, args);
+                    }
+                } else if (type === 'uncaught') {
+                    log.error(`Uncaught error in the sandbox: ${message.message}`, { error: toError(message), sandbox: true });
+                } else if (type === 'done') {
+                    settle(resolve, fromSerializable(message.output));
+                } else if (type === 'failed') {
+                    settle(reject, toError(message.error));
+                }
+            };
+
+            window.addEventListener('message', onMessage);
+            signal.addEventListener('abort', onAbort);
+            budgetTimer = setTimeout(onBudgetSpent, timeBudget + BUDGET_GRACE);
+            frame.srcdoc = this.document();
+            document.body.appendChild(frame);
+        });
+    }
+}
+
+// Shared sandbox used by the example runner and the code editor
+const sandbox = new Sandbox();
+
+export { sandbox, Sandbox, loadConceptSource, rewriteImports, DEFAULT_FIXTURE, DEFAULT_TIME_BUDGET };
@@ -0,0 +1,289 @@
+/**
+ * Serialize Module
+ *
+ * Turns any value into a JSON-safe structure without throwing.
+ * Values JSON cannot represent (Map, Set, Error, Date, typed arrays,
+ * BigInt, symbols, DOM nodes, functions, circular references, ...) are
+ * replaced by tagged objects: { __type: 'Map', entries: [...] }.
+ *
+ * The result is also safe for the structured clone algorithm, so it can
+ * be stored in IndexedDB or posted to another window, and
+ * fromSerializable() turns the cloneable tags back into real values
+ */
+
+const DEFAULT_OPTIONS = {
+    maxDepth: 10, // Deeper values are replaced by a MaxDepth marker
+    maxItems: 1000 // Longer arrays, collections and typed arrays are truncated
+};
+
+/**
+ * Describe a DOM node the way dev tools do, e.g. div#main.card.active
+ * @param {Node} node - DOM node
+ * @returns {string} Short selector-like description
+ */
+function describeNode(node) {
+    if (node.nodeType === 1) {
+        const id = node.id ? `#${node.id}` : '';
+        const classes = typeof node.className === 'string' && node.className.trim()
+            ? `.${node.className.trim().split(/\s+/).join('.')}`
+            : '';
+        return `${node.nodeName.toLowerCase()}${id}${classes}`;
+    }
+    return node.nodeName.toLowerCase();
+}
+
+/**
+ * Check whether a value looks like a DOM node (works across windows)
+ * @param {any} value - Value to check
+ * @returns {boolean} True for DOM nodes
+ */
+function isNode(value) {
+    return typeof value.nodeType === 'number' && typeof value.nodeName === 'string';
+}
+
+/**
+ * Serialize a property path segment for circular reference markers
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property key
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * Convert a value into a JSON-safe structure
+ * @param {any} value - Any value
+ * @param {Object} options - { maxDepth, maxItems }
+ * @returns {any} JSON-safe value
+ */
+function toSerializable(value, options = {}) {
+    const { maxDepth, maxItems } = { ...DEFAULT_OPTIONS, ...options };
+    const ancestors = new Map(); // object -> path, for objects currently being converted
+
+    function convertList(items, path, depth) {
+        const list = items.slice(0, maxItems).map((item, index) => convert(item, childPath(path, index), depth + 1));
+        return items.length > maxItems ? { list, truncated: items.length - maxItems } : { list };
+    }
+
+    function convert(current, path, depth) {
+        switch (typeof current) {
+            case 'string':
+            case 'boolean':
+                return current;
+            case 'number':
+                return Number.isFinite(current) ? current : { __type: 'Number', value: String(current) };
+            case 'undefined':
+                return { __type: 'undefined' };
+            case 'bigint':
+                return { __type: 'BigInt', value: current.toString() };
+            case 'symbol':
+                return { __type: 'Symbol', description: current.description ?? '' };
+            case 'function':
+                return { __type: 'Function', name: current.name || '(anonymous)' };
+        }
+
+        if (current === null) {
+            return null;
+        }
+
+        if (ancestors.has(current)) {
+            return { __type: 'Circular', path: ancestors.get(current) };
+        }
+        if (depth > maxDepth) {
+            return { __type: 'MaxDepth' };
+        }
+
+        // Leaf-like objects
+        if (current instanceof Date) {
+            return { __type: 'Date', value: Number.isNaN(current.getTime()) ? 'Invalid Date' : current.toISOString() };
+        }
+        if (current instanceof RegExp) {
+            return { __type: 'RegExp', source: current.source, flags: current.flags };
+        }
+        if (current instanceof WeakMap || current instanceof WeakSet ||
+            (typeof WeakRef !== 'undefined' && current instanceof WeakRef)) {
+            // Weak collections cannot be enumerated, which is the point of them
+            return { __type: current.constructor.name, note: 'contents are not enumerable' };
+        }
+        if (current instanceof Promise) {
+            return { __type: 'Promise' };
+        }
+        if (current instanceof ArrayBuffer) {
+            const bytes = Array.from(new Uint8Array(current, 0, Math.min(current.byteLength, maxItems)));
+            return { __type: 'ArrayBuffer', byteLength: current.byteLength, bytes };
+        }
+        if (ArrayBuffer.isView(current)) {
+            const type = current.constructor.name;
+            if (current instanceof DataView) {
+                return { __type: 'DataView', byteLength: current.byteLength };
+            }
+            const values = Array.from(current.subarray(0, maxItems), item =>
+                typeof item === 'bigint' ? item.toString() : item
+            );
+            const result = { __type: 'TypedArray', type, length: current.length, values };
+            if (current.length > maxItems) {
+                result.truncated = current.length - maxItems;
+            }
+            return result;
+        }
+        if (isNode(current)) {
+            const result = { __type: 'Node', node: describeNode(current) };
+            if (current.nodeType === 1 || current.nodeType === 3) {
+                result.text = (current.textContent || '').trim().slice(0, 80);
+            }
+            return result;
+        }
+
+        ancestors.set(current, path);
+        try {
+            return convertObject(current, path, depth);
+        } finally {
+            ancestors.delete(current);
+        }
+    }
+
+    function convertObject(current, path, depth) {
+        if (current instanceof Error) {
+            const result = {
+                __type: 'Error',
+                name: current.name,
+                message: current.message,
+                stack: current.stack
+            };
+            if (current.cause !== undefined) {
+                result.cause = convert(current.cause, childPath(path, 'cause'), depth + 1);
+            }
+            if (current instanceof AggregateError) {
+                result.errors = convertList(current.errors, childPath(path, 'errors'), depth).list;
+            }
+            Object.keys(current).forEach(key => {
+                result[key] = convert(current[key], childPath(path, key), depth + 1);
+            });
+            return result;
+        }
+        if (current instanceof Map) {
+            const { list, truncated } = convertList([...current.entries()], path, depth);
+            const result = { __type: 'Map', entries: list };
+            return truncated ? { ...result, truncated } : result;
+        }
+        if (current instanceof Set) {
+            const { list, truncated } = convertList([...current.values()], path, depth);
+            const result = { __type: 'Set', values: list };
+            return truncated ? { ...result, truncated } : result;
+        }
+        if (Array.isArray(current)) {
+            const { list, truncated } = convertList(current, path, depth);
+            return truncated ? [...list, { __type: 'Truncated', count: truncated }] : list;
+        }
+        if (typeof current.toJSON === 'function') {
+            try {
+                return convert(current.toJSON(), path, depth);
+            } catch (error) {
+                return { __type: 'Unreadable', error: error.message };
+            }
+        }
+
+        // Plain objects and class instances
+        const result = {};
+        const className = current.constructor && current.constructor.name;
+        if (className && className !== 'Object') {
+            result.__class = className;
+        }
+        Object.keys(current).forEach(key => {
+            let property;
+            try {
+                property = current[key];
+            } catch (error) {
+                result[key] = { __type: 'Unreadable', error: error.message };
+                return;
+            }
+            result[key] = convert(property, childPath(path, key), depth + 1);
+        });
+        Object.getOwnPropertySymbols(current).forEach(symbol => {
+            result[`[${symbol.toString()}]`] = convert(current[symbol], childPath(path, symbol.toString()), depth + 1);
+        });
+        return result;
+    }
+
+    return convert(value, '$', 0);
+}
+
+/**
+ * Stringify any value without throwing
+ * @param {any} value - Any value
+ * @param {number} space - Indentation, as for JSON.stringify
+ * @param {Object} options - { maxDepth, maxItems }
+ * @returns {string} JSON string
+ */
+function safeStringify(value, space, options) {
+    return JSON.stringify(toSerializable(value, options), null, space);
+}
+
+/**
+ * Turn tagged values produced by toSerializable() back into real values
+ * where that is possible (Map, Set, Date, RegExp, BigInt, Error, typed arrays, ...).
+ * Tags that describe things that cannot be rebuilt (functions, DOM nodes,
+ * circular markers) are left as they are
+ * @param {any} value - Value produced by toSerializable()
+ * @returns {any} Revived value
+ */
+function fromSerializable(value) {
+    if (Array.isArray(value)) {
+        return value.map(fromSerializable);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    switch (value.__type) {
+        case 'undefined':
+            return undefined;
+        case 'Number':
+            return Number(value.value);
+        case 'BigInt':
+            return BigInt(value.value);
+        case 'Date':
+            return new Date(value.value);
+        case 'RegExp':
+            return new RegExp(value.source, value.flags);
+        case 'Map':
+            return new Map(value.entries.map(fromSerializable));
+        case 'Set':
+            return new Set(value.values.map(fromSerializable));
+        case 'TypedArray': {
+            const TypedArray = globalThis[value.type];
+            return TypedArray ? TypedArray.from(value.values, item => TypedArray.name.startsWith('Big') ? BigInt(item) : item) : value;
+        }
+        case 'ArrayBuffer':
+            return new Uint8Array(value.bytes).buffer;
+        case 'Error': {
+            const BuiltIn = globalThis[value.name];
+            const ErrorType = typeof BuiltIn === 'function' && (BuiltIn === Error || BuiltIn.prototype instanceof Error)
+                ? BuiltIn
+                : Error;
+            const error = ErrorType === AggregateError
+                ? new AggregateError((value.errors || []).map(fromSerializable), value.message)
+                : new ErrorType(value.message);
+            if (ErrorType === Error && value.name !== 'Error') {
+                error.name = value.name;
+            }
+            error.stack = value.stack;
+            if ('cause' in value) {
+                error.cause = fromSerializable(value.cause);
+            }
+            return error;
+        }
+        case undefined: {
+            const result = {};
+            Object.keys(value).forEach(key => {
+                result[key] = fromSerializable(value[key]);
+            });
+            return result;
+        }
+        default:
+            return value;
+    }
+}
+
+export { toSerializable, fromSerializable, safeStringify, describeNode };
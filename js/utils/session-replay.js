@@ -0,0 +1,145 @@
+/**
+ * Session Replay Module
+ *
+ * Lists stored log sessions and re-renders the entries of a past session
+ * into the same `.log-container` markup the DOM transport uses
+ */
+
+import { formatters } from './log-transports.js';
+
+/**
+ * Render stored entries grouped by section
+ * @param {Array} entries - Entries from LogStore.query()
+ * @param {HTMLElement} target - Element that receives the log containers
+ */
+function renderReplay(entries, target) {
+    target.innerHTML = '';
+
+    if (entries.length === 0) {
+        target.textContent = 'No entries stored for this session.';
+        return;
+    }
+
+    const containers = new Map();
+    entries.forEach(entry => {
+        let container = containers.get(entry.section);
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'log-container';
+            const heading = document.createElement('h4');
+            heading.textContent = `Logs for ${entry.section}`;
+            container.appendChild(heading);
+            target.appendChild(container);
+            containers.set(entry.section, container);
+        }
+
+        const logElement = document.createElement('div');
+        logElement.className = `log-entry log-${entry.level}`;
+        logElement.textContent = formatters.text(entry);
+        container.appendChild(logElement);
+    });
+}
+
+/**
+ * Describe a session for the session picker
+ * @param {Object} session - Session record
+ * @param {string} currentId - Id of the current session
+ * @returns {string} Human-readable label
+ */
+function describeSession(session, currentId) {
+    const started = new Date(session.startedAt).toLocaleString();
+    const current = session.id === currentId ? ' (current)' : '';
+    const pages = session.pages && session.pages.length ? ` - ${session.pages.join(', ')}` : '';
+    return `${started}${pages} - ${session.entryCount} entries${current}`;
+}
+
+/**
+ * Mount the replay panel: session picker, filters and output area
+ * @param {LogStore} store - Store to read sessions from
+ * @param {HTMLElement} container - Element to mount the panel into
+ * @returns {Object} Panel API ({ refresh, replay })
+ */
+function mountSessionReplay(store, container) {
+    const panel = document.createElement('details');
+    panel.className = 'session-replay';
+    panel.innerHTML = `
+        <summary>Replay a stored session</summary>
+        <div class="session-replay-controls">
+            <select class="session-picker"></select>
+            <input type="text" class="session-section" placeholder="Section (optional)">
+            <select class="session-level">
+                <option value="">All levels</option>
+                <option value="info">Info and above</option>
+                <option value="warn">Warn and above</option>
+                <option value="error">Errors only</option>
+            </select>
+            <button type="button" class="replay-session">Replay</button>
+            <button type="button" class="delete-session">Delete</button>
+        </div>
+        <div class="session-replay-output"></div>
+    `;
+    container.appendChild(panel);
+
+    const picker = panel.querySelector('.session-picker');
+    const output = panel.querySelector('.session-replay-output');
+
+    // Store failures (IndexedDB blocked, quota, ...) are shown in the panel
+    function showError(action, error) {
+        output.textContent = `Could not ${action}: ${error.message}`;
+    }
+
+    async function refresh() {
+        try {
+            const sessions = await store.getSessions();
+            picker.innerHTML = '';
+            sessions.forEach(session => {
+                const option = document.createElement('option');
+                option.value = session.id;
+                option.textContent = describeSession(session, store.sessionId);
+                picker.appendChild(option);
+            });
+        } catch (error) {
+            showError('list the stored sessions', error);
+        }
+    }
+
+    async function replay(sessionId = picker.value) {
+        if (!sessionId) {
+            return;
+        }
+        try {
+            const entries = await store.query({
+                sessionId,
+                section: panel.querySelector('.session-section').value.trim() || undefined,
+                level: panel.querySelector('.session-level').value || undefined
+            });
+            renderReplay(entries, output);
+        } catch (error) {
+            showError('replay the session', error);
+        }
+    }
+
+    panel.addEventListener('toggle', () => {
+        if (panel.open) {
+            refresh();
+        }
+    });
+    panel.querySelector('.replay-session').addEventListener('click', () => replay());
+    panel.querySelector('.delete-session').addEventListener('click', async () => {
+        if (!picker.value) {
+            return;
+        }
+        try {
+            await store.deleteSession(picker.value);
+        } catch (error) {
+            showError('delete the session', error);
+            return;
+        }
+        output.innerHTML = '';
+        await refresh();
+    });
+
+    return { refresh, replay };
+}
+
+export { mountSessionReplay, renderReplay };
@@ -0,0 +1,105 @@
+/**
+ * Span Waterfall Module
+ *
+ * Draws timing span entries (see log-span.js) as a waterfall: one row per
+ * span, indented under its parent span, with a bar placed on a time axis.
+ * Each root span and its descendants share one axis, so a short run stays
+ * readable next to a long one
+ */
+
+/**
+ * Arrange span records into a tree ordered by start time
+ * Spans whose parent is not among the records become roots
+ * @param {Array} records - { id, entry } records whose entry has a span
+ * @returns {Array} Root nodes: { record, children }
+ */
+function buildSpanTree(records) {
+    const nodes = new Map();
+    records.forEach(record => nodes.set(record.entry.span.id, { record, children: [] }));
+
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = nodes.get(node.record.entry.span.parentId);
+        (parent ? parent.children : roots).push(node);
+    });
+
+    const sortByStart = list => {
+        list.sort((a, b) => a.record.entry.span.start - b.record.entry.span.start);
+        list.forEach(node => sortByStart(node.children));
+        return list;
+    };
+    return sortByStart(roots);
+}
+
+/**
+ * Latest end time in a subtree (children may outlive their parent)
+ * @param {Object} node - Tree node
+ * @returns {number} End time in milliseconds
+ */
+function latestEnd(node) {
+    return node.children.reduce((end, child) => Math.max(end, latestEnd(child)), node.record.entry.span.end);
+}
+
+/**
+ * Render span records as a waterfall
+ * Rows carry data-id, so a click handler can look up the selected record
+ * @param {Array} records - Viewer records ({ id, entry }); entries without a span are skipped
+ * @param {Object} options - { selectedId: record id to highlight }
+ * @returns {HTMLElement} Waterfall element
+ */
+function renderWaterfall(records, options = {}) {
+    const container = document.createElement('div');
+    container.className = 'span-waterfall';
+
+    const roots = buildSpanTree(records.filter(record => record.entry.span));
+    if (roots.length === 0) {
+        container.classList.add('empty');
+        container.textContent = 'No timing spans yet. Record one with logger.time() or logger.trace().';
+        return container;
+    }
+
+    roots.forEach(root => {
+        const origin = root.record.entry.span.start;
+        const total = Math.max(latestEnd(root) - origin, 1);
+        const group = document.createElement('div');
+        group.className = 'span-waterfall-group';
+
+        const addRow = (node, depth) => {
+            const { id, entry } = node.record;
+            const { span } = entry;
+            const row = document.createElement('div');
+            row.className = `span-waterfall-row log-${entry.level}`;
+            row.dataset.id = id;
+            row.classList.toggle('selected', id === options.selectedId);
+
+            const label = document.createElement('span');
+            label.className = 'span-waterfall-name';
+            label.style.paddingLeft = `${depth * 12}px`;
+            label.textContent = span.name;
+            label.title = span.name;
+
+            const track = document.createElement('span');
+            track.className = 'span-waterfall-track';
+            const bar = document.createElement('span');
+            bar.className = 'span-waterfall-bar';
+            bar.style.left = `${((span.start - origin) / total) * 100}%`;
+            bar.style.width = `${Math.max((span.duration / total) * 100, 0.5)}%`;
+            track.appendChild(bar);
+
+            const duration = document.createElement('span');
+            duration.className = 'span-waterfall-duration';
+            duration.textContent = `${span.duration.toFixed(1)}ms`;
+
+            row.append(label, track, duration);
+            group.appendChild(row);
+            node.children.forEach(child => addRow(child, depth + 1));
+        };
+
+        addRow(root, 0);
+        container.appendChild(group);
+    });
+
+    return container;
+}
+
+export { buildSpanTree, renderWaterfall };
@@ -0,0 +1,62 @@
+/**
+ * Syntax Highlight Module
+ *
+ * Small JavaScript highlighter for the code editor: a single regular
+ * expression splits the source into comments, strings, template literals,
+ * numbers, keywords and the rest. Template literal expressions are not
+ * highlighted separately
+ */
+
+const KEYWORDS = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+    'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import',
+    'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this',
+    'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+];
+
+const TOKEN_PATTERN = new RegExp([
+    '(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$))', // 1: comment
+    '(\'(?:\\\\.|[^\'\\\\\\n])*\'?|"(?:\\\\.|[^"\\\\\\n])*"?|`(?:\\\\[\\s\\S]|[^`\\\\])*`?)', // 2: string or template
+    '(\\b\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?n?\\b|\\b0[xob][\\da-f_]+\\b)', // 3: number
+    `(\\b(?:${KEYWORDS.join('|')})\\b)` // 4: keyword
+].join('|'), 'gi');
+
+const TOKEN_CLASSES = [null, 'token-comment', 'token-string', 'token-number', 'token-keyword'];
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Highlight JavaScript source
+ * @param {string} source - Source code
+ * @returns {string} HTML with <span class="token-..."> around tokens
+ */
+function highlightJS(source) {
+    let html = '';
+    let last = 0;
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+        if (match[0] === '') {
+            TOKEN_PATTERN.lastIndex++;
+            continue;
+        }
+        const group = match.findIndex((value, index) => index > 0 && value !== undefined);
+        // Keywords are case sensitive, the pattern is not (for hex digits)
+        const isKeyword = group === 4 && KEYWORDS.includes(match[0]);
+        html += escapeHTML(source.slice(last, match.index));
+        html += group === 4 && !isKeyword
+            ? escapeHTML(match[0])
+            : `<span class="${TOKEN_CLASSES[group]}">${escapeHTML(match[0])}</span>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHTML(source.slice(last));
+}
+
+export { highlightJS, escapeHTML };
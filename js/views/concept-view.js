@@ -0,0 +1,170 @@
+/**
+ * Concept View
+ *
+ * Renders a concept page from its concept-manifest.js entry into the app
+ * shell (see main.js): an output box and example buttons for each section, a
+ * code editor for each concept module, the event loop simulator on pages
+ * that ask for it, and links to the previous and next concepts. Concept
+ * modules and their sources are imported lazily the first time a concept is
+ * shown; importing a module registers its examples.
+ *
+ * #/promises/fetch-user-data deep links to an example: its button is
+ * scrolled into view and highlighted. Running an example points the URL at
+ * it, so the address bar always holds a link to the last example run
+ */
+
+import { logger } from '../utils/logger.js';
+import { mountExamples, stopAllExamples } from '../utils/example-runner.js';
+import { mountCodeEditor } from '../utils/code-editor.js';
+import { mountEventLoopPanel } from '../utils/event-loop-panel.js';
+import { CONCEPTS, getAdjacentConcepts, conceptLink } from '../concept-manifest.js';
+import { setPageHeader } from './page-header.js';
+
+const conceptModules = import.meta.glob('../concepts/*.js');
+const conceptSources = import.meta.glob('../concepts/*.js', { query: '?raw', import: 'default' });
+
+/**
+ * Import the concept modules of some pages, which registers their examples
+ * @param {Array} concepts - Manifest entries (every concept by default)
+ * @returns {Promise} Resolves once the modules are loaded
+ * @throws {Error} If the manifest names a module that is not in js/concepts/
+ */
+function loadConceptModules(concepts = CONCEPTS) {
+    return Promise.all(concepts.flatMap(concept => concept.modules.map(({ file }) => {
+        const load = conceptModules[`../concepts/${file}`];
+        if (!load) {
+            throw new Error(`Unknown concept module: ${file}`);
+        }
+        return load();
+    })));
+}
+
+/**
+ * Build the previous/next links below a concept page
+ * @param {Object} page - Manifest entry
+ * @returns {HTMLElement} Navigation element
+ */
+function createConceptNav(page) {
+    const nav = document.createElement('nav');
+    nav.className = 'concept-nav';
+    nav.setAttribute('aria-label', 'Concepts');
+    const { previous, next } = getAdjacentConcepts(page.id);
+    [[previous, 'previous', '←'], [next, 'next', '→']].forEach(([concept, rel, arrow]) => {
+        if (!concept) {
+            return;
+        }
+        const link = document.createElement('a');
+        link.className = `concept-nav-${rel}`;
+        link.href = conceptLink(concept);
+        link.rel = rel === 'previous' ? 'prev' : 'next';
+        link.textContent = rel === 'previous'
+            ? `${arrow} ${concept.icon} ${concept.title}`
+            : `${concept.icon} ${concept.title} ${arrow}`;
+        nav.appendChild(link);
+    });
+    return nav;
+}
+
+/**
+ * Highlight the button of a deep linked example
+ * @param {HTMLElement} view - Concept view
+ * @param {Object} page - Manifest entry
+ * @param {string} id - Example id
+ */
+function showExample(view, page, id) {
+    const button = [...view.querySelectorAll('[data-example]')].find(candidate => candidate.dataset.example === id);
+    if (!button) {
+        logger.warn(`Unknown example "${id}" on the ${page.title} page`, 'system');
+        return;
+    }
+    button.classList.add('deep-linked');
+    button.scrollIntoView({ block: 'center' });
+    button.focus({ preventScroll: true });
+}
+
+/**
+ * Render a concept page
+ * @param {HTMLElement} container - Element the view replaces the contents of
+ * @param {Object} page - Manifest entry (see concept-manifest.js)
+ * @param {Object} options - { example: id of a deep linked example, isCurrent: false once the user navigated away }
+ * @returns {Promise<Function|null>} Cleanup, which cancels the page's runs
+ */
+async function renderConceptView(container, page, { example = null, isCurrent = () => true } = {}) {
+    const [sources] = await Promise.all([
+        Promise.all(page.modules.map(({ file }) => conceptSources[`../concepts/${file}`]())),
+        loadConceptModules([page])
+    ]);
+    if (!isCurrent()) {
+        return null;
+    }
+
+    setPageHeader({
+        heading: `${page.icon} ${page.title}`,
+        description: page.description,
+        title: page.title,
+        trail: [{ label: 'Home', href: '#/' }, { label: page.title }]
+    });
+
+    const view = document.createElement('div');
+    view.className = 'concept-view';
+    const section = document.createElement('section');
+    section.className = 'concept-section';
+    const heading = document.createElement('h2');
+    heading.textContent = `${page.title} Examples`;
+    section.appendChild(heading);
+    page.modules.forEach(({ section: name }) => {
+        section.insertAdjacentHTML('beforeend', `
+            <div id="${name}-output" class="output-box"></div>
+            <div class="example-buttons" data-examples="${name}"></div>
+        `);
+    });
+    view.append(section, createConceptNav(page));
+    container.replaceChildren(view);
+
+    mountExamples(view);
+    page.modules.forEach(({ file, section: name }, index) => {
+        mountCodeEditor(view, { source: sources[index], file, section: name });
+    });
+    if (page.eventLoop) {
+        mountEventLoopPanel(view);
+    }
+
+    // Running an example turns the URL into a deep link to it
+    view.addEventListener('click', event => {
+        const button = event.target.closest('[data-example]');
+        if (button) {
+            history.replaceState(history.state, '', conceptLink(page, button.dataset.example));
+        }
+    });
+    if (example) {
+        showExample(view, page, example);
+    }
+
+    console.log(`${page.icon} ${page.title} page loaded!`);
+    logger.info(`${page.title} page shown`, 'system', { concept: page.id, example });
+
+    return () => stopAllExamples('Left the page');
+}
+
+/**
+ * Render the page for an unknown route
+ * @param {HTMLElement} container - Element the view replaces the contents of
+ * @param {string} path - Route path that matched nothing
+ */
+function renderNotFoundView(container, path) {
+    setPageHeader({
+        heading: '🤔 Page not found',
+        description: `Nothing lives at ${path}`,
+        title: 'Page not found',
+        trail: [{ label: 'Home', href: '#/' }, { label: 'Page not found' }]
+    });
+    container.innerHTML = `
+        <section class="concept-section">
+            <h2>Page not found</h2>
+            <p>Pick a concept on the <a href="#/">home page</a>.</p>
+        </section>
+    `;
+    logger.warn(`No page for ${path}`, 'system');
+}
+
+export { loadConceptModules, renderConceptView, renderNotFoundView };
@@ -0,0 +1,70 @@
+/**
+ * Home View
+ *
+ * The concept cards, generated from concept-manifest.js, and the run all
+ * dashboard (see run-all-dashboard.js). Every concept module is imported
+ * first, so the dashboard can run all registered examples
+ */
+
+import { stopAllExamples } from '../utils/example-runner.js';
+import { mountRunAllDashboard } from '../utils/run-all-dashboard.js';
+import { CONCEPTS, conceptLink } from '../concept-manifest.js';
+import { loadConceptModules } from './concept-view.js';
+import { setPageHeader } from './page-header.js';
+
+/**
+ * Build the card linking to a concept page
+ * @param {Object} concept - Manifest entry
+ * @returns {HTMLElement} Card
+ */
+function createConceptCard(concept) {
+    const card = document.createElement('a');
+    card.className = 'concept-card';
+    card.href = conceptLink(concept);
+    card.innerHTML = `
+        <div class="card-icon"></div>
+        <h3></h3>
+        <p></p>
+        <div class="card-arrow">→</div>
+    `;
+    card.querySelector('.card-icon').textContent = concept.icon;
+    card.querySelector('h3').textContent = concept.title;
+    card.querySelector('p').textContent = concept.description;
+    return card;
+}
+
+/**
+ * Render the home page
+ * @param {HTMLElement} container - Element the view replaces the contents of
+ * @param {Object} options - { isCurrent: false once the user navigated away }
+ * @returns {Promise<Function|null>} Cleanup, which cancels a running run all
+ */
+async function renderHomeView(container, { isCurrent = () => true } = {}) {
+    await loadConceptModules();
+    if (!isCurrent()) {
+        return null;
+    }
+
+    setPageHeader({
+        heading: '🚀 JavaScript Learning Playground',
+        description: 'Click on any concept to explore it in detail!'
+    });
+
+    const grid = document.createElement('div');
+    grid.className = 'concepts-grid';
+    grid.append(...CONCEPTS.map(createConceptCard));
+    const runAll = document.createElement('div');
+    runAll.id = 'run-all';
+    container.replaceChildren(grid, runAll);
+
+    // Run every registered example and summarize the results
+    const dashboard = mountRunAllDashboard(runAll);
+
+    console.log('💡 Click on any concept card to start learning!');
+    return () => {
+        dashboard.stop();
+        stopAllExamples('Left the page');
+    };
+}
+
+export { renderHomeView };
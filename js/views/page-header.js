@@ -0,0 +1,60 @@
+/**
+ * Page Header
+ *
+ * The app shell (index.html) has one header; each view fills it in with its
+ * title, description and breadcrumb trail. The home page has no trail, so
+ * its breadcrumb is hidden
+ */
+
+const SITE_TITLE = 'JavaScript Learning Playground';
+
+/**
+ * Render the breadcrumb trail: links separated by ›, the current page last
+ * @param {HTMLElement} breadcrumb - <nav class="breadcrumb"> element
+ * @param {Array} trail - [{ label, href }]; the last entry is the current page and needs no href
+ */
+function renderBreadcrumb(breadcrumb, trail) {
+    breadcrumb.hidden = trail.length === 0;
+    breadcrumb.replaceChildren();
+    trail.forEach(({ label, href }, index) => {
+        if (index > 0) {
+            breadcrumb.append(' › ');
+        }
+        const current = index === trail.length - 1;
+        const item = document.createElement(current ? 'span' : 'a');
+        item.textContent = label;
+        if (current) {
+            item.setAttribute('aria-current', 'page');
+        } else {
+            item.href = href;
+        }
+        breadcrumb.appendChild(item);
+    });
+}
+
+/**
+ * Fill in the header and the document title for a view
+ * @param {Object} options - Header contents
+ * @param {string} options.heading - Header text, like '🎯 Promises'
+ * @param {string} options.description - Line below the heading
+ * @param {string} options.title - Page name for the document title (omitted on the home page)
+ * @param {Array} options.trail - Breadcrumb trail, like [{ label: 'Home', href: '#/' }, { label: 'Promises' }]
+ */
+function setPageHeader({ heading, description, title = null, trail = [] }) {
+    document.title = title ? `${title} - ${SITE_TITLE}` : SITE_TITLE;
+
+    const breadcrumb = document.querySelector('header .breadcrumb');
+    if (breadcrumb) {
+        renderBreadcrumb(breadcrumb, trail);
+    }
+    const headingElement = document.getElementById('page-heading');
+    if (headingElement) {
+        headingElement.textContent = heading;
+    }
+    const descriptionElement = document.getElementById('page-description');
+    if (descriptionElement) {
+        descriptionElement.textContent = description;
+    }
+}
+
+export { setPageHeader, SITE_TITLE };
@@ -1,6 +1,44 @@
 import { defineConfig } from 'vite'
+import { MockApi, MOCK_HEADER } from './js/utils/mock-api.js'
+import { MOCK_API_BASE } from './js/utils/api-config.js'
+
+// Serves the offline mock API (js/utils/mock-api.js) under /mock-api
+function mockApi () {
+  const api = new MockApi()
+  const middleware = (req, res) => {
+    // Connect strips the base, so req.url is relative to /mock-api
+    const response = api.handle({ method: req.method, url: req.url })
+    const send = () => {
+      res.statusCode = response.status
+      Object.entries(response.headers).forEach(([name, value]) => res.setHeader(name, value))
+      res.setHeader(MOCK_HEADER, 'vite')
+      // Sandboxed examples run on an opaque origin
+      res.setHeader('Access-Control-Allow-Origin', '*')
+      res.setHeader('Access-Control-Expose-Headers', MOCK_HEADER)
+      res.end(req.method === 'HEAD' ? undefined : response.body ?? undefined)
+    }
+    if (!response.delay) {
+      send()
+      return
+    }
+    const timer = setTimeout(send, response.delay)
+    // The client went away before the delay was over
+    res.on('close', () => clearTimeout(timer))
+  }
+
+  return {
+    name: 'mock-api',
+    configureServer (server) {
+      server.middlewares.use(MOCK_API_BASE, middleware)
+    },
+    configurePreviewServer (server) {
+      server.middlewares.use(MOCK_API_BASE, middleware)
+    }
+  }
+}
 
 export default defineConfig({
+  plugins: [mockApi()],
   server: {
     port: 3000,
     open: true,
@@ -14,4 +52,3 @@ export default defineConfig({
     sourcemap: true
   }
 })
-